@@ -1,5 +1,5 @@
 #!/usr/bin/env node
-require('dotenv').config();
+require('dotenv').config({ quiet: true });
 const { program } = require("commander");
 const loginCommand = require('./src/commands/login');
 const initCommand = require('./src/commands/init');
@@ -11,6 +11,10 @@ const watchCommand = require('./src/commands/watchClass');
 const syncCommand = require('./src/commands/syncClass');
 const createMethodCommand = require('./src/commands/createMethod');
 const deleteMethodCommand = require('./src/commands/deleteMethod');
+const deleteClassCommand = require('./src/commands/deleteClass');
+const renameCommand = require('./src/commands/rename');
+const cloneCommand = require('./src/commands/clone');
+const promoteCommand = require('./src/commands/promote');
 const obterInstanciaCommand = require('./src/commands/getInstance');
 const createClassCommand = require('./src/commands/createClass');
 const listInstanceCommand = require('./src/commands/listInstance');
@@ -18,27 +22,66 @@ const updateInstanceCommand = require('./src/commands/updateInstance');
 const listProcessesCommand = require('./src/commands/listProcesses');
 const getProcessCommand = require('./src/commands/getProcess');
 const watchProcessCommand = require('./src/commands/watchProcess');
+const envCommand = require('./src/commands/env');
+const logoutCommand = require('./src/commands/logout');
+const pullCommand = require('./src/commands/pull');
+const statusCommand = require('./src/commands/status');
+const diffCommand = require('./src/commands/diff');
+const { activateProfile } = require('./src/utils/profiles');
+const { setNonInteractive, readStdin } = require('./src/utils/prompt');
 
 program
     .name("sydle")
     .version("0.0.1")
     .description("Sydle - The CLI for Sydle")
+    .option('-e, --env <name>', 'Environment profile to use (see: sydle env list)')
+    .option('--non-interactive', 'Fail instead of prompting for input (CI mode)')
+    .option('--token <token>', 'Access token to use for this run ("-" reads it from stdin)')
+    .hook('preAction', async (thisCommand, actionCommand) => {
+        const { env, nonInteractive, token } = thisCommand.opts();
+        try {
+            if (env && actionCommand === loginCommand && actionCommand.opts().url) {
+                // Login with --url may create the environment
+                process.env.SYDLE_ENV = env;
+            } else if (env) {
+                activateProfile(env);
+            }
+            if (nonInteractive) {
+                setNonInteractive();
+            }
+            if (token) {
+                process.env.SYDLE_TOKEN = token === '-' ? await readStdin() : token;
+            }
+        } catch (error) {
+            console.error(error.message);
+            process.exit(1);
+        }
+    })
     .addCommand(initCommand)
     .addCommand(loginCommand)
+    .addCommand(logoutCommand)
     .addCommand(mainCommand)
     .addCommand(obterPacoteCommand)
     .addCommand(obterClasseCommand)
+    .addCommand(pullCommand)
+    .addCommand(statusCommand)
+    .addCommand(diffCommand)
     .addCommand(compareCommand)
     .addCommand(watchCommand)
     .addCommand(syncCommand)
     .addCommand(createMethodCommand)
     .addCommand(deleteMethodCommand)
+    .addCommand(deleteClassCommand)
+    .addCommand(renameCommand)
+    .addCommand(cloneCommand)
+    .addCommand(promoteCommand)
     .addCommand(obterInstanciaCommand)
     .addCommand(createClassCommand)
     .addCommand(listInstanceCommand)
     .addCommand(updateInstanceCommand)
     .addCommand(listProcessesCommand)
     .addCommand(getProcessCommand)
-    .addCommand(watchProcessCommand);
+    .addCommand(watchProcessCommand)
+    .addCommand(envCommand);
 
 program.parse();
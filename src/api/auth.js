@@ -1,9 +1,11 @@
 const axios = require('axios');
 
-const signIn = async (userLogin, userPassword, baseURLOverride) => {
+const { DEFAULT_SIGNIN_METHOD_ID } = require('../utils/authStrategies');
+
+const signIn = async (userLogin, userPassword, baseURLOverride, methodId = DEFAULT_SIGNIN_METHOD_ID) => {
     try {
         const baseURL = baseURLOverride || process.env.SYDLE_API_URL || 'https://cbmsa-dev.sydle.one/api/1';
-        const url = `${baseURL}/main/sys/auth/signIn/ad5e36ead7ebfa3c9e7cef04c9`;
+        const url = `${baseURL}/main/sys/auth/signIn/${methodId}`;
         const response = await axios.post(
             url,
             {
@@ -27,4 +29,23 @@ const signIn = async (userLogin, userPassword, baseURLOverride) => {
     }
 };
 
-module.exports = { signIn };
+/**
+ * Checks that the API base URL answers HTTP requests.
+ * Any HTTP status counts as reachable; only network failures are errors.
+ *
+ * @param {string} baseURL - API base URL
+ * @param {number} [timeout=10000] - Timeout in ms
+ * @returns {Promise<number>} HTTP status returned by the server
+ * @throws {Error} If the host cannot be reached
+ */
+const checkReachability = async (baseURL, timeout = 10000) => {
+    try {
+        const response = await axios.get(baseURL, { timeout, validateStatus: () => true });
+        return response.status;
+    } catch (error) {
+        const reason = error.code === 'ECONNABORTED' ? `no response after ${timeout / 1000}s` : (error.code || error.message);
+        throw new Error(`Unable to reach ${baseURL} (${reason})`);
+    }
+};
+
+module.exports = { signIn, checkReachability };
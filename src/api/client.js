@@ -1,20 +1,24 @@
 const axios = require('axios').default;
-const config = require('../utils/config');
+const { getActiveProfile } = require('../utils/profiles');
+const { resolveRequestToken, buildAuthHeaders } = require('../utils/authStrategies');
+const { makeResilient } = require('./resilience');
 
-const client = axios.create({
+// Timeouts, retries and the concurrency limit are shared by every client (see ./resilience)
+const client = makeResilient(axios.create({
     baseURL: process.env.SYDLE_API_URL || 'https://cbmsa-dev.sydle.one/api/1',
     headers: {
         'Content-Type': 'application/json'
     }
-});
+}));
 
 client.interceptors.request.use(
     (req) => {
-        const token = config.get('token');
-        if (token) {
-            req.headers.Authorization = `Bearer ${token}`;
-        }
-        req.baseURL = process.env.SYDLE_API_URL || 'https://cbmsa-dev.sydle.one/api/1';
+        // Token from SYDLE_TOKEN/--token, else from the auth strategy of the active environment profile
+        const profile = getActiveProfile();
+        const token = resolveRequestToken(profile);
+        Object.assign(req.headers, buildAuthHeaders(profile, token));
+        req._authToken = token;
+        req.baseURL = profile.url || process.env.SYDLE_API_URL || 'https://cbmsa-dev.sydle.one/api/1';
         return req;
     },
     (error) => {
@@ -22,15 +26,36 @@ client.interceptors.request.use(
     }
 );
 
+client.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+        const req = error.config;
+        if (!error.response || error.response.status !== 401 || !req || req._authRetried) {
+            return Promise.reject(error);
+        }
+
+        // Re-authenticate (or pick up a refreshed token) and retry once
+        req._authRetried = true;
+        const { handleUnauthorized } = require('../utils/authFlow');
+        const token = await handleUnauthorized(req._authToken);
+        if (!token) {
+            return Promise.reject(error);
+        }
+
+        return client(req);
+    }
+);
+
 // Factory for isolated clients (e.g. for multi-env compare)
-const createClient = (baseURL, token) => {
-    return axios.create({
+// Pass the profile to send the token the way its auth strategy expects.
+const createClient = (baseURL, token, profile = null) => {
+    return makeResilient(axios.create({
         baseURL: baseURL,
         headers: {
             'Content-Type': 'application/json',
-            'Authorization': token ? `Bearer ${token}` : undefined
+            ...buildAuthHeaders(profile, token)
         }
-    });
+    }));
 };
 
 module.exports = { client, createClient };
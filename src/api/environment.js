@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Environment API
+ *
+ * The main-method calls of api/main bound to a named environment profile
+ * instead of the active one, for commands that read from one environment
+ * and write to another (e.g. promote).
+ *
+ * @module api/environment
+ */
+
+const { createClient } = require('./client');
+const { logger } = require('../utils/logger');
+const { getProfile } = require('../utils/profiles');
+const { resolveUrl, getTokenForUrl, isValidUrl } = require('../utils/compareFlow');
+
+/**
+ * @typedef {Object} EnvironmentApi
+ * @property {string} name - Profile name
+ * @property {string} url - API base URL
+ * @property {(classId: string, method: string, data?: Object) => Promise<any>} execute - Runs a main method
+ * @property {(classId: string, id: string) => Promise<any>} get - Gets a record by _id
+ * @property {(classId: string, query: Object) => Promise<any>} search - Runs _search
+ * @property {(classId: string, query: Object) => Promise<Object[]>} searchAll - Runs _search page by page (search_after) and returns every hit source
+ * @property {(classId: string, patchData: Object) => Promise<any>} patch - Patches a record (_id and _operationsList)
+ * @property {(classId: string, data: Object) => Promise<any>} create - Creates a record
+ */
+
+/**
+ * Creates the API of an environment profile
+ * @param {string} envName - Profile name (dev, hom, prod...)
+ * @returns {EnvironmentApi}
+ * @throws {Error} When the profile has no URL or no token
+ */
+function createEnvironmentApi(envName) {
+    const url = resolveUrl(envName);
+    if (!isValidUrl(url)) {
+        throw new Error(`Environment '${envName}' has no API URL. Run 'sydle ambiente adicionar ${envName}' first.`);
+    }
+
+    const token = getTokenForUrl(url);
+    if (!token) {
+        throw new Error(`No authentication token for environment '${envName}'.`);
+    }
+
+    const client = createClient(url, token, getProfile(envName));
+
+    const execute = async (classId, method, data = {}) => {
+        logger.debug(`API Call (${envName}): POST /main/_classId/${classId}/${method}`);
+        try {
+            const response = await client.post(`/main/_classId/${classId}/${method}`, data);
+            return response.data;
+        } catch (error) {
+            logger.debug(`Error executing ${method} on ${classId} (${envName}): ${error.message}`);
+            throw error;
+        }
+    };
+
+    // Same paging as api/main searchPaginated
+    const searchAll = async (classId, query, pageSize = 50) => {
+        const sources = [];
+        const pageQuery = { sort: [{ _id: 'asc' }], ...query, size: pageSize };
+        for (;;) {
+            const response = await execute(classId, '_search', pageQuery);
+            const hits = (response && response.hits && response.hits.hits) || [];
+            sources.push(...hits.map(hit => ({ _id: hit._id, ...hit._source })));
+
+            const lastHit = hits[hits.length - 1];
+            if (hits.length < pageSize || !lastHit.sort) return sources;
+            pageQuery.search_after = lastHit.sort;
+        }
+    };
+
+    return {
+        name: envName,
+        url,
+        execute,
+        get: (classId, id) => execute(classId, '_get', { _id: id }),
+        search: (classId, query) => execute(classId, '_search', query),
+        searchAll,
+        patch: (classId, patchData) => execute(classId, '_patch', patchData),
+        create: (classId, data) => execute(classId, '_create', data)
+    };
+}
+
+module.exports = {
+    createEnvironmentApi
+};
@@ -154,4 +154,15 @@ const create = async (classId, data) => {
     return await executeMainMethod(classId, "_create", data, 'POST');
 };
 
-module.exports = { executeMainMethod, searchPaginated, get, patch, update, createDraft, create };
+/**
+ * Deletes a record.
+ * 
+ * @param {string} classId - The class ID.
+ * @param {string} id - The record ID.
+ * @returns {Promise<any>} The response data.
+ */
+const remove = async (classId, id) => {
+    return await executeMainMethod(classId, "_delete", { _id: id }, 'POST');
+};
+
+module.exports = { executeMainMethod, searchPaginated, get, patch, update, createDraft, create, remove };
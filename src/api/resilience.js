@@ -0,0 +1,158 @@
+const axios = require('axios').default;
+const { logger } = require('../utils/logger');
+const { loadProjectConfig } = require('../utils/profiles');
+
+// Network errors worth retrying (the request may not have reached the server)
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE', 'ERR_NETWORK'];
+const RETRYABLE_STATUS = [502, 503, 504];
+
+// Upper bound for a single wait (backoff or Retry-After)
+const MAX_DELAY_MS = 60000;
+
+let settingsCache = null;
+
+/**
+ * Resolves the HTTP settings: SYDLE_HTTP_* variables, then the `http` key of
+ * sydle.config.json, then defaults.
+ *
+ * @returns {{ timeout: number, retries: number, backoff: number, concurrency: number }}
+ */
+const getHttpSettings = () => {
+    if (settingsCache) return settingsCache;
+
+    let fileSettings = {};
+    try {
+        fileSettings = loadProjectConfig().http || {};
+    } catch (error) {
+        // Invalid config file is reported by the commands that need it
+    }
+
+    const pick = (envName, key, fallback) => {
+        const value = Number(process.env[envName] !== undefined ? process.env[envName] : fileSettings[key]);
+        return Number.isFinite(value) && value >= 0 ? value : fallback;
+    };
+
+    settingsCache = {
+        timeout: pick('SYDLE_HTTP_TIMEOUT', 'timeout', 60000),
+        retries: pick('SYDLE_HTTP_RETRIES', 'retries', 3),
+        backoff: pick('SYDLE_HTTP_BACKOFF', 'backoff', 500),
+        concurrency: Math.max(1, pick('SYDLE_HTTP_CONCURRENCY', 'concurrency', 6))
+    };
+    return settingsCache;
+};
+
+const queue = [];
+let active = 0;
+
+/**
+ * Waits for a free slot of the global concurrency limiter
+ * @returns {Promise<void>}
+ */
+const acquire = () => {
+    if (active < getHttpSettings().concurrency) {
+        active++;
+        return Promise.resolve();
+    }
+    return new Promise(resolve => queue.push(resolve));
+};
+
+/**
+ * Releases a slot of the global concurrency limiter
+ */
+const release = () => {
+    const next = queue.shift();
+    if (next) {
+        next();
+    } else {
+        active--;
+    }
+};
+
+/**
+ * Checks whether a request can be repeated safely (reads and _get/_search calls)
+ * @param {import('axios').InternalAxiosRequestConfig} config - Request config
+ * @returns {boolean}
+ */
+const isIdempotent = (config) => {
+    const method = (config.method || 'get').toLowerCase();
+    if (method === 'get' || method === 'head') return true;
+    return /\/(_get|_search)\/?(\?|$)/.test(config.url || '');
+};
+
+/**
+ * Parses a Retry-After header (seconds or HTTP date)
+ * @param {string|undefined} header - Header value
+ * @returns {number|null} Delay in ms
+ */
+const parseRetryAfter = (header) => {
+    if (!header) return null;
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = new Date(header).getTime();
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Decides whether a failed request should be retried, and after how long
+ * @param {any} error - Axios error
+ * @param {number} attempt - Retry number (0 for the first retry)
+ * @param {{ retries: number, backoff: number }} settings - HTTP settings
+ * @returns {number|null} Delay in ms, or null to give up
+ */
+const getRetryDelay = (error, attempt, settings) => {
+    if (attempt >= settings.retries || !error.config) return null;
+
+    const status = error.response && error.response.status;
+    // 429 means the request was not processed, so any method can be repeated
+    if (status === 429) {
+        const retryAfter = parseRetryAfter(error.response.headers && error.response.headers['retry-after']);
+        return Math.min(retryAfter !== null ? retryAfter : settings.backoff * 2 ** attempt, MAX_DELAY_MS);
+    }
+
+    if (!isIdempotent(error.config)) return null;
+    const retryable = status ? RETRYABLE_STATUS.includes(status) : RETRYABLE_CODES.includes(error.code);
+    if (!retryable) return null;
+
+    const jitter = Math.random() * settings.backoff;
+    return Math.min(settings.backoff * 2 ** attempt + jitter, MAX_DELAY_MS);
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Wraps the axios adapter with the concurrency limiter and retries.
+ * Interceptors (auth, 401 handling) run once around the retried call.
+ *
+ * @param {import('axios').AxiosInstance} instance - Axios instance
+ * @returns {import('axios').AxiosInstance} The same instance
+ */
+const makeResilient = (instance) => {
+    const settings = getHttpSettings();
+    const adapter = axios.getAdapter(instance.defaults.adapter);
+
+    instance.defaults.timeout = settings.timeout;
+    instance.defaults.adapter = async (config) => {
+        for (let attempt = 0; ; attempt++) {
+            let failure;
+            await acquire();
+            try {
+                return await adapter(config);
+            } catch (error) {
+                failure = error;
+            } finally {
+                release();
+            }
+
+            const delay = getRetryDelay(failure, attempt, settings);
+            if (delay === null) throw failure;
+
+            const reason = failure.response ? `HTTP ${failure.response.status}` : (failure.code || failure.message);
+            logger.warn(`⚠️  ${(config.method || 'get').toUpperCase()} ${config.url} failed (${reason}), retrying in ${(delay / 1000).toFixed(1)}s (${attempt + 1}/${settings.retries})`);
+            await sleep(delay);
+        }
+    };
+
+    return instance;
+};
+
+module.exports = { makeResilient, getHttpSettings, isIdempotent, parseRetryAfter, getRetryDelay };
@@ -0,0 +1,152 @@
+/**
+ * @fileoverview Clone Command
+ *
+ * CLI command to copy a method into another class, or a whole class (as a
+ * template), as local drafts published by the next sync.
+ * Portuguese: sydle clonar
+ * English alias: sydle clone
+ *
+ * Does NOT send to Sydle API - use sync or watch to push changes.
+ *
+ * @module commands/clone
+ */
+
+const { Command } = require('commander');
+const fs = require('fs');
+const path = require('path');
+const { ensureAuth } = require('../utils/authFlow');
+const { createLogger } = require('../utils/logger');
+const { getRootPath } = require('../utils/profiles');
+const { PACKAGE_METADATA_ID } = require('../utils/createClassFlow');
+const { copyMethodFolder, copyClassFolder } = require('../utils/clone');
+const {
+    CLASS_IDENTIFIER_PATTERN,
+    METHOD_IDENTIFIER_PATTERN,
+    readPackageInfo,
+    resolveClassOrMethod,
+    regenerateMethodTypings,
+    regenerateTypings
+} = require('../utils/rename');
+
+const cloneCommand = new Command('clonar')
+    .alias('clone')
+    .description('Copy a method into another class, or a whole class, as local drafts')
+    .argument('<source>', 'What to copy: package.class.method or package.class')
+    .argument('<target>', 'Method: package.class[.newMethod]. Class: NewClass or package.NewClass')
+    .option('-v, --verbose', 'Show verbose logging')
+    .addHelpText('after', `
+Exemplos:
+  $ sydle clonar vendas.Pedido.calc vendas.Orcamento
+  $ sydle clone vendas.Pedido.calc vendas.Orcamento.calcularOrcamento
+  $ sydle clone vendas.Pedido compras.PedidoCompra
+
+A cópia é criada localmente como rascunho.
+Use 'sydle watch' ou 'sydle sync' para enviar ao Sydle.
+`)
+    .action(async (source, target, options) => {
+        const logger = createLogger(options.verbose);
+
+        try {
+            // 1. Authentication Check (typings of REFERENCE fields are read from Sydle)
+            if (!(await ensureAuth())) {
+                return;
+            }
+
+            // 2. Resolve the source
+            const rootPath = getRootPath();
+            const from = resolveClassOrMethod(rootPath, source);
+            if (!from) {
+                logger.error(`❌ Not found locally: ${source}`);
+                logger.info(`   Use package.class.method or package.class. Run 'sydle obterClasse' or 'sydle pull' first.`);
+                return;
+            }
+
+            const targetParts = target.split('.');
+
+            if (from.kind === 'method') {
+                // 3a. Target class: package.class (same identifier) or package.class.newMethod
+                let targetClass = resolveClassOrMethod(rootPath, target);
+                let identifier = from.methodIdentifier;
+                if (!targetClass || targetClass.kind === 'method') {
+                    targetClass = targetParts.length >= 3 ? resolveClassOrMethod(rootPath, targetParts.slice(0, -1).join('.')) : null;
+                    identifier = targetParts[targetParts.length - 1];
+                }
+                if (!targetClass || targetClass.kind !== 'class') {
+                    logger.error(`❌ Target class not found locally: ${target}`);
+                    return;
+                }
+                if (!identifier.startsWith('_') && !METHOD_IDENTIFIER_PATTERN.test(identifier)) {
+                    logger.error(`❌ Invalid identifier: ${identifier}`);
+                    return;
+                }
+
+                const fromPath = path.join(from.classPath, 'methods', from.methodIdentifier);
+                const toPath = path.join(targetClass.classPath, 'methods', identifier);
+                if (fs.existsSync(toPath)) {
+                    logger.error(`❌ Method already exists: ${path.relative(process.cwd(), toPath)}`);
+                    return;
+                }
+
+                logger.info(`\n📋 ${source} → ${targetClass.packageIdentifier}.${targetClass.classIdentifier}.${identifier}`);
+                const methodData = copyMethodFolder(fromPath, toPath, identifier);
+
+                // List the draft in class.json so class.d.ts types it
+                const classJsonPath = path.join(targetClass.classPath, 'class.json');
+                const classData = JSON.parse(fs.readFileSync(classJsonPath, 'utf-8'));
+                classData.methods = [...(classData.methods || []), methodData];
+                fs.writeFileSync(classJsonPath, JSON.stringify(classData, null, 2));
+
+                logger.progress('🔧 Regenerating typings...');
+                regenerateMethodTypings(rootPath, toPath, identifier);
+                await regenerateTypings(rootPath, [targetClass.classPath]);
+
+                logger.success(`✓ Method copied: ${path.relative(process.cwd(), toPath)}`);
+
+            } else {
+                // 3b. Target: NewClass (same package) or package.NewClass
+                const identifier = targetParts[targetParts.length - 1];
+                const packageIdentifier = targetParts.length > 1 ? targetParts.slice(0, -1).join('.') : from.packageIdentifier;
+                if (!CLASS_IDENTIFIER_PATTERN.test(identifier)) {
+                    logger.error(`❌ Invalid identifier: ${identifier}`);
+                    return;
+                }
+
+                const packagePath = targetParts.length > 1
+                    ? path.join(rootPath, ...packageIdentifier.split('.'))
+                    : path.dirname(from.classPath);
+                const targetPackage = readPackageInfo(packagePath);
+                if (!targetPackage._id) {
+                    logger.error(`❌ Package not found locally: ${packageIdentifier}`);
+                    logger.info(`   Run 'sydle obterPacote ${packageIdentifier}' or 'sydle pull' first.`);
+                    return;
+                }
+
+                const toPath = path.join(packagePath, identifier);
+                if (fs.existsSync(toPath)) {
+                    logger.error(`❌ Class already exists: ${path.relative(process.cwd(), toPath)}`);
+                    return;
+                }
+
+                logger.info(`\n📋 ${source} → ${packageIdentifier}.${identifier}`);
+                const classData = copyClassFolder(from.classPath, toPath, identifier, {
+                    _id: targetPackage._id,
+                    _classId: PACKAGE_METADATA_ID
+                });
+
+                logger.progress('🔧 Regenerating typings...');
+                (classData.methods || []).forEach(method =>
+                    regenerateMethodTypings(rootPath, path.join(toPath, 'methods', method.identifier), method.identifier));
+                await regenerateTypings(rootPath, [toPath], [packagePath]);
+
+                logger.success(`✓ Class copied: ${path.relative(process.cwd(), toPath)}`);
+            }
+
+            logger.info('   Copied as a draft: run "sydle sync" or "sydle watch" to publish it.');
+
+        } catch (error) {
+            logger.error(`❌ Error: ${error instanceof Error ? error.message : String(error)}`);
+            if (options.verbose && error instanceof Error) logger.debug(error.stack);
+        }
+    });
+
+module.exports = cloneCommand;
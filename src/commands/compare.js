@@ -1,7 +1,8 @@
 /**
  * @fileoverview Compare Command
  * 
- * CLI command to compare code between two environments.
+ * CLI command to compare code between two environments: one method, or a
+ * whole package/class as a report (terminal, JSON or HTML).
  * Portuguese: sydle comparar
  * English alias: sydle compare
  * 
@@ -11,9 +12,12 @@
 const { Command } = require('commander');
 const path = require('path');
 const { createLogger } = require('../utils/logger');
+const { getRootPath } = require('../utils/profiles');
+const { createEnvironmentApi } = require('../api/environment');
+const { buildCompareReport, printCompareReport, compareClass, printClassComparison } = require('../core/compareReport');
+const { generateCompareHtml } = require('../generators/compareHtml');
 const {
     promptCompareArgs,
-    getCurrentUrl,
     resolveUrl,
     getTokenForUrl,
     ensureEnvironmentAccess,
@@ -28,10 +32,31 @@ const compareCommand = new Command('comparar')
     .argument('[method]', 'Method identifier')
     .argument('[source]', 'Source environment (dev, hom, prod)')
     .argument('[target]', 'Target environment (dev, hom, prod)')
+    .option('--package <identifier>', 'Compare every class of a package (arguments: <source> <target>)')
+    .option('--class <package.Class>', 'Compare every field and method of a class (arguments: <source> <target>)')
+    .option('--format <format>', 'Report format with --package/--class: terminal, json or html', 'terminal')
+    .option('-o, --output <file>', 'HTML report file (default: compare-<selection>-<source>-<target>.html)')
+    .option('-i, --interactive', 'Pick how to resolve each merge conflict in the terminal')
+    .option('--tool <tool>', 'Merge tool for conflicts: vscode, meld, kdiff3, vimdiff or a command with $BASE $LOCAL $REMOTE $MERGED')
     .option('-v, --verbose', 'Mostrar logs detalhados')
+    .addHelpText('after', `
+Exemplos:
+  $ sydle comparar com.MyClass myMethod dev hom
+  $ sydle compare com.MyClass myMethod dev hom --interactive
+  $ sydle compare com.MyClass myMethod dev hom --tool meld
+  $ sydle compare --package rh dev prod
+  $ sydle compare --class rh.Funcionario hom prod --format json > report.json
+  $ sydle compare --package rh dev prod --format html -o rh.html
+`)
     .action(async (classArg, methodArg, sourceArg, targetArg, options) => {
-        const logger = createLogger(options.verbose);
+        // With --format json, logs go to stderr so stdout holds only the report
+        const logger = createLogger(options.verbose, { stderr: options.format === 'json' });
         try {
+            if (options.package || options.class) {
+                await compareSelection(classArg, methodArg, options, logger);
+                return;
+            }
+
             // 1. Interactive flow for missing arguments
             const args = await promptCompareArgs({
                 classIdentifier: classArg,
@@ -65,34 +90,43 @@ const compareCommand = new Command('comparar')
                 fetchMethodData(targetUrl, targetEnv, targetToken, classIdentifier, methodIdentifier)
             ]);
 
-            // 5. Determine output folder
-            const currentUrl = getCurrentUrl();
-            let rootEnv = 'dev';
-            if (currentUrl && currentUrl.includes('hom')) rootEnv = 'hom';
-            if (currentUrl && currentUrl.includes('prod')) rootEnv = 'prod';
-
-            const rootName = `sydle-${rootEnv}`;
+            // 5. Determine output folder (same layout as pull)
+            const rootPath = getRootPath();
             const scriptsPath = path.join(
-                process.cwd(),
-                rootName,
+                rootPath,
                 ...sourceData.packageIdentifier.split('.'),
                 classIdentifier,
+                'methods',
                 methodIdentifier,
                 'scripts'
             );
 
-            // 6. Generate diff files
-            generateDiffFiles({
+            // 6. Three-way merge into the local scripts
+            const conflicts = await generateDiffFiles({
                 sourceScripts: sourceData.scripts,
                 targetScripts: targetData.scripts,
                 scriptsPath,
+                rootPath,
                 sourceEnv,
                 targetEnv,
                 sourceUrl,
-                targetUrl
+                targetUrl,
+                tool: options.tool,
+                interactive: options.interactive
             }, logger);
 
-            logger.success('Open the conflict file(s) to view and merge changes manually if preferred.');
+            if (conflicts > 0) {
+                logger.warn('Resolve the conflict markers before syncing.');
+            }
+
+            // 7. Fields, parameters and access levels
+            const structure = compareClass(sourceData.classData, targetData.classData, { scripts: false });
+            if (structure.status === 'changed') {
+                logger.info(`\n📐 Structure differences (${targetEnv} → ${sourceEnv}):`);
+                printClassComparison(structure, logger);
+            } else {
+                logger.success(`✓ Fields, parameters and access levels match`);
+            }
 
         } catch (error) {
             const message = error instanceof Error ? error.message : String(error);
@@ -101,4 +135,48 @@ const compareCommand = new Command('comparar')
         }
     });
 
+/**
+ * Compares a package or class in two environments and outputs the report
+ * @param {string} sourceEnv - Source environment
+ * @param {string} targetEnv - Target environment
+ * @param {Object} options - Command options
+ * @param {import('../utils/logger').Logger} logger - Logger instance
+ */
+async function compareSelection(sourceEnv, targetEnv, options, logger) {
+    if (!['terminal', 'json', 'html'].includes(options.format)) {
+        throw new Error(`Unknown format '${options.format}'. Use terminal, json or html.`);
+    }
+    if (!sourceEnv || !targetEnv) {
+        throw new Error('Give the source and target environments, e.g. sydle compare --package rh dev prod');
+    }
+
+    const [packageIdentifier, classIdentifier] = options.class
+        ? [options.class.split('.').slice(0, -1).join('.'), options.class.split('.').pop()]
+        : [options.package];
+    if (!packageIdentifier) {
+        throw new Error('--class expects package.Class');
+    }
+
+    await ensureEnvironmentAccess(sourceEnv, logger);
+    await ensureEnvironmentAccess(targetEnv, logger);
+
+    const report = await buildCompareReport(
+        createEnvironmentApi(sourceEnv),
+        createEnvironmentApi(targetEnv),
+        { packageIdentifier, classIdentifier },
+        logger
+    );
+
+    if (options.format === 'json') {
+        console.log(JSON.stringify(report, null, 2));
+    } else if (options.format === 'html') {
+        const outputPath = path.resolve(options.output || `compare-${report.selection}-${sourceEnv}-${targetEnv}.html`);
+        generateCompareHtml(report, outputPath);
+        printCompareReport(report, logger);
+        logger.success(`✓ Report saved to ${path.relative(process.cwd(), outputPath)}`);
+    } else {
+        printCompareReport(report, logger);
+    }
+}
+
 module.exports = compareCommand;
@@ -17,6 +17,7 @@ const fs = require('fs');
 const path = require('path');
 const { ensureAuth } = require('../utils/authFlow');
 const { createLogger } = require('../utils/logger');
+const { getRootPath } = require('../utils/profiles');
 const { createDraft } = require('../api/main');
 const { processClasses } = require('../core/processClasses');
 const {
@@ -59,13 +60,7 @@ Use 'sydle watch' ou 'sydle sync' para enviar ao Sydle.
             }
 
             // 2. Determine Environment and Root Path
-            let url = process.env.SYDLE_API_URL;
-            let env = 'prod';
-            if (url.includes('dev')) env = 'dev';
-            else if (url.includes('hom')) env = 'hom';
-
-            const rootFolder = `sydle-${env}`;
-            const rootPath = path.join(process.cwd(), rootFolder);
+            const rootPath = getRootPath();
 
             // Create root folder if not exists
             if (!fs.existsSync(rootPath)) {
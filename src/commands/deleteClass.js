@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Delete Class Command
+ *
+ * CLI command to delete a class from Sydle and archive its local folder.
+ * Portuguese: sydle excluirClasse
+ * English alias: sydle deleteClass
+ *
+ * @module commands/deleteClass
+ */
+
+const { Command } = require('commander');
+const fs = require('fs');
+const path = require('path');
+const { ensureAuth } = require('../utils/authFlow');
+const { createLogger } = require('../utils/logger');
+const { getRootPath, assertWritable } = require('../utils/profiles');
+const { prompt } = require('../utils/prompt');
+const { remove } = require('../api/main');
+const { forgetClass } = require('../core/manifest');
+const { isUnpublishedDraft } = require('../core/syncLogic');
+const { CLASS_METADATA_ID } = require('../core/syncFields');
+const { findClassReferences, countInstances, archiveClassFolder } = require('../utils/deleteClass');
+
+const deleteClassCommand = new Command('excluirClasse')
+    .alias('deleteClass')
+    .description('Delete a class from Sydle and archive its local folder')
+    .argument('<packageClass>', 'Class to delete: package.class')
+    .option('-y, --yes', 'Delete without asking for confirmation')
+    .option('-f, --force', 'Delete even if other classes reference it')
+    .option('-v, --verbose', 'Show verbose logging')
+    .addHelpText('after', `
+Exemplos:
+  $ sydle excluirClasse vendas.PedidoAntigo
+  $ sydle deleteClass vendas.PedidoAntigo --yes
+`)
+    .action(async (packageClass, options) => {
+        const logger = createLogger(options.verbose);
+
+        try {
+            // 1. Authentication Check
+            if (!(await ensureAuth())) {
+                return;
+            }
+
+            assertWritable();
+
+            // 2. Resolve the local class folder (package identifiers may contain dots)
+            const parts = packageClass.split('.');
+            if (parts.length < 2) {
+                logger.error('❌ Invalid format. Use: package.class');
+                return;
+            }
+
+            const rootPath = getRootPath();
+            const className = parts[parts.length - 1];
+            const classPath = path.join(rootPath, ...parts.slice(0, -1), className);
+            const classJsonPath = path.join(classPath, 'class.json');
+
+            if (!fs.existsSync(classJsonPath)) {
+                logger.error(`❌ Class not found locally: ${packageClass}`);
+                logger.info(`   Run 'sydle obterClasse' or 'sydle pull' first.`);
+                return;
+            }
+
+            const classData = JSON.parse(fs.readFileSync(classJsonPath, 'utf-8'));
+            const published = !isUnpublishedDraft(classData);
+
+            logger.info(`\n🔍 Checking ${packageClass}...`);
+
+            // 3. REFERENCE fields of other local classes pointing to this one
+            const references = findClassReferences(rootPath, classData);
+            if (references.length > 0) {
+                logger.warn(`   ⚠ Referenced by ${references.length} field(s) of other classes:`);
+                references.forEach(ref => logger.warn(`      - ${ref.from}.${ref.field}`));
+                if (!options.force) {
+                    logger.error(`❌ Not deleted: remove the references first, or use --force.`);
+                    return;
+                }
+            } else {
+                logger.log('   ✓ No references from other local classes');
+            }
+
+            // 4. Instances stored in Sydle
+            let instances = { count: 0, atLeast: false };
+            if (published) {
+                instances = await countInstances(classData._id);
+                if (instances.count > 0) {
+                    logger.warn(`   ⚠ ${instances.count}${instances.atLeast ? '+' : ''} instance(s) stored in Sydle`);
+                } else {
+                    logger.log('   ✓ No instances');
+                }
+            } else {
+                logger.log('   ✓ Unpublished draft (only exists locally)');
+            }
+
+            // 5. Confirm
+            if (!options.yes) {
+                const instancesNote = instances.count > 0 ? ` and its ${instances.count}${instances.atLeast ? '+' : ''} instance(s)` : '';
+                const { confirmDelete } = await prompt([{
+                    type: 'confirm',
+                    name: 'confirmDelete',
+                    message: `Delete ${packageClass}${instancesNote}${published ? ' from Sydle' : ''}? The local folder will be archived.`,
+                    default: false
+                }]);
+                if (!confirmDelete) {
+                    logger.info('Cancelled.');
+                    return;
+                }
+            }
+
+            // 6. Delete remotely, then archive locally
+            if (published) {
+                logger.progress(`🗑 Deleting ${packageClass} from Sydle...`);
+                await remove(CLASS_METADATA_ID, classData._id);
+                logger.success(`✓ Class deleted from Sydle`);
+            }
+
+            const archivePath = archiveClassFolder(rootPath, classPath);
+            forgetClass(rootPath, classData._id, classPath);
+
+            logger.success(`✓ Local folder archived: ${path.relative(process.cwd(), archivePath)}`);
+            logger.info(`   To restore it, move it back to ${path.relative(process.cwd(), classPath)}, set "_revision" to "0" in class.json and run 'sydle sync ${packageClass}'.`);
+
+        } catch (error) {
+            logger.error(`❌ Error: ${error instanceof Error ? error.message : String(error)}`);
+            if (options.verbose && error instanceof Error) logger.debug(error.stack);
+        }
+    });
+
+module.exports = deleteClassCommand;
@@ -14,6 +14,7 @@ const path = require('path');
 const { ensureAuth } = require('../utils/authFlow');
 const { createLogger } = require('../utils/logger');
 const { handleMethodDeletion } = require('../utils/deleteMethod');
+const { assertWritable } = require('../utils/profiles');
 const {
     determineEnvironment,
     validateRootPath,
@@ -28,6 +29,7 @@ const deleteMethodCommand = new Command('excluirMetodo')
     .argument('[package]', 'Package identifier')
     .argument('[class]', 'Class identifier')
     .argument('[method]', 'Method identifier')
+    .option('-y, --yes', 'Delete from Sydle without asking for confirmation')
     .option('-v, --verbose', 'Show verbose logging')
     .action(async (pkgArg, classArg, methodArg, options) => {
         const logger = createLogger(options.verbose);
@@ -38,6 +40,8 @@ const deleteMethodCommand = new Command('excluirMetodo')
                 return;
             }
 
+            assertWritable();
+
             // 2. Determine Environment and Root Path
             const { rootPath } = determineEnvironment();
 
@@ -84,7 +88,7 @@ const deleteMethodCommand = new Command('excluirMetodo')
             }
 
             // Delegate to the utility that handles logic (confirmation, system check, rollback)
-            await handleMethodDeletion(methodFolder, rootPath, logger);
+            await handleMethodDeletion(methodFolder, rootPath, logger, { confirm: options.yes });
 
         } catch (error) {
             logger.error(`❌ Error: ${error instanceof Error ? error.message : String(error)}`);
@@ -0,0 +1,37 @@
+/**
+ * @fileoverview Diff Command
+ *
+ * CLI command to show the line diff between local files and Sydle.
+ * Portuguese: sydle diferencas
+ * English alias: sydle diff
+ *
+ * @module commands/diff
+ */
+
+const { Command } = require('commander');
+const { ensureAuth } = require('../utils/authFlow');
+const { runDiffFlow } = require('../utils/statusFlow');
+const { createLogger } = require('../utils/logger');
+
+const diffCommand = new Command('diferencas')
+    .alias('diff')
+    .description('Mostrar o diff entre os arquivos locais e o Sydle (Show the diff between local files and Sydle)')
+    .argument('[path]', 'Only files under this path (e.g. sydle-dev/rh/Funcionario/methods/calcular)')
+    .option('-v, --verbose', 'Mostrar logs detalhados')
+    .action(async (targetPath, options) => {
+        const logger = createLogger(options.verbose);
+        try {
+            if (!(await ensureAuth())) {
+                return;
+            }
+
+            await runDiffFlow({ ...options, path: targetPath });
+
+        } catch (error) {
+            logger.error(`❌ Erro: ${error instanceof Error ? error.message : String(error)}`);
+            if (options.verbose && error instanceof Error) logger.debug(error.stack);
+            process.exit(1);
+        }
+    });
+
+module.exports = diffCommand;
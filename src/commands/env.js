@@ -0,0 +1,156 @@
+/**
+ * @fileoverview Environment Command
+ *
+ * CLI command to manage named environment profiles (sydle.config.json).
+ * Portuguese: sydle ambiente listar|usar|adicionar|remover
+ * English alias: sydle env list|use|add|remove
+ *
+ * @module commands/env
+ */
+
+const { Command } = require('commander');
+const { createLogger } = require('../utils/logger');
+const {
+    PROJECT_CONFIG_FILE,
+    listProfiles,
+    getActiveProfile,
+    upsertProfile,
+    removeProfile,
+    useProfile,
+    validateApiUrl
+} = require('../utils/profiles');
+const { STRATEGIES, getAuthConfig } = require('../utils/authStrategies');
+
+/**
+ * Builds the auth definition of a profile from the `env add` options
+ * @param {string} name - Profile name
+ * @param {Object} options - Command options
+ * @returns {Object|undefined} Auth definition (undefined keeps the current one)
+ */
+function buildAuthDefinition(name, options) {
+    const { auth: strategy, signInMethod, tokenEnv, authHeader, authScheme } = options;
+    if (!strategy && !signInMethod && !tokenEnv && !authHeader && authScheme === undefined) {
+        return undefined;
+    }
+
+    const auth = { strategy: strategy || 'password' };
+    if (signInMethod) auth.signInMethodId = signInMethod;
+    if (tokenEnv) auth.tokenEnv = tokenEnv;
+    if (authHeader) auth.header = authHeader;
+    if (authScheme !== undefined) auth.scheme = authScheme;
+
+    // Validates strategy name and required fields
+    getAuthConfig({ name, auth });
+    return auth;
+}
+
+const listCommand = new Command('listar')
+    .alias('list')
+    .description('List configured environments')
+    .option('-v, --verbose', 'Mostrar logs detalhados')
+    .action((options) => {
+        const logger = createLogger(options.verbose);
+        try {
+            const profiles = listProfiles();
+            if (profiles.length === 0) {
+                logger.warn(`No environments configured. Use 'sydle env add <name> --url <url>' to create one.`);
+                return;
+            }
+
+            const active = getActiveProfile();
+            profiles.forEach(profile => {
+                const marker = profile.name === active.name ? '*' : ' ';
+                const flags = profile.readOnly ? ' [read-only]' : '';
+                logger.log(`${marker} ${profile.name}${flags}`);
+                logger.log(`    URL: ${profile.url || '(not set)'}`);
+                logger.log(`    Folder: ${profile.rootFolder}`);
+                logger.log(`    Auth: ${getAuthConfig(profile).strategy}`);
+                logger.debug(`    Token slot: ${profile.tokenSlot}`);
+            });
+        } catch (error) {
+            logger.error(`❌ Error: ${error instanceof Error ? error.message : String(error)}`);
+            process.exit(1);
+        }
+    });
+
+const useCommand = new Command('usar')
+    .alias('use')
+    .description('Set the default environment')
+    .argument('<name>', 'Environment name')
+    .option('-v, --verbose', 'Mostrar logs detalhados')
+    .action((name, options) => {
+        const logger = createLogger(options.verbose);
+        try {
+            const profile = useProfile(name);
+            logger.success(`✓ Default environment set to '${profile.name}' (${profile.url || 'no URL'})`);
+        } catch (error) {
+            logger.error(`❌ Error: ${error instanceof Error ? error.message : String(error)}`);
+            process.exit(1);
+        }
+    });
+
+const addCommand = new Command('adicionar')
+    .alias('add')
+    .description('Add or update an environment')
+    .argument('<name>', 'Environment name (e.g., dev, hom, prod)')
+    .requiredOption('-u, --url <url>', 'API base URL (e.g., https://tenant-dev.sydle.one/api/1)')
+    .option('-r, --root-folder <folder>', 'Local classes folder (default: sydle-<name>)')
+    .option('-t, --token-slot <slot>', 'Token storage slot (default: <name>)')
+    .option('--read-only', 'Block remote changes (sync, watch, delete) in this environment')
+    .option('--no-read-only', 'Allow remote changes again in a read-only environment')
+    .option('-a, --auth <strategy>', `Auth strategy: ${STRATEGIES.join(', ')} (default: password)`)
+    .option('--sign-in-method <id>', 'signIn method id (password strategy)')
+    .option('--token-env <variable>', 'Environment variable holding the token (apiToken, bearer)')
+    .option('--auth-header <header>', 'Header that carries the token (default: Authorization)')
+    .option('--auth-scheme <scheme>', 'Header value prefix (default: Bearer, "" for none)')
+    .option('-v, --verbose', 'Mostrar logs detalhados')
+    .action((name, options) => {
+        const logger = createLogger(options.verbose);
+        try {
+            const auth = buildAuthDefinition(name, options);
+            const profile = upsertProfile(name, {
+                url: validateApiUrl(options.url),
+                rootFolder: options.rootFolder,
+                tokenSlot: options.tokenSlot,
+                readOnly: options.readOnly,
+                auth
+            });
+            logger.success(`✓ Environment '${profile.name}' saved to ${PROJECT_CONFIG_FILE}`);
+            logger.log(`   URL: ${profile.url}`);
+            logger.log(`   Folder: ${profile.rootFolder}`);
+            if (profile.readOnly || options.readOnly === false) logger.log(`   Read-only: ${profile.readOnly ? 'yes' : 'no'}`);
+            if (profile.auth) logger.log(`   Auth: ${getAuthConfig(profile).strategy}`);
+        } catch (error) {
+            logger.error(`❌ Error: ${error instanceof Error ? error.message : String(error)}`);
+            process.exit(1);
+        }
+    });
+
+const removeCommand = new Command('remover')
+    .alias('remove')
+    .description('Remove an environment')
+    .argument('<name>', 'Environment name')
+    .option('-v, --verbose', 'Mostrar logs detalhados')
+    .action((name, options) => {
+        const logger = createLogger(options.verbose);
+        try {
+            if (!removeProfile(name)) {
+                logger.error(`❌ Environment '${name}' not found in ${PROJECT_CONFIG_FILE}`);
+                process.exit(1);
+            }
+            logger.success(`✓ Environment '${name}' removed`);
+        } catch (error) {
+            logger.error(`❌ Error: ${error instanceof Error ? error.message : String(error)}`);
+            process.exit(1);
+        }
+    });
+
+const envCommand = new Command('ambiente')
+    .alias('env')
+    .description('Gerenciar ambientes (Manage environment profiles)')
+    .addCommand(listCommand)
+    .addCommand(useCommand)
+    .addCommand(addCommand)
+    .addCommand(removeCommand);
+
+module.exports = envCommand;
@@ -1,11 +1,9 @@
 const { Command } = require('commander');
 const { ensureAuth } = require('../utils/authFlow');
-const { searchPaginated, get } = require('../api/main');
+const { downloadClasses } = require('../core/downloadClasses');
 const { processClasses } = require('../core/processClasses');
 const { createLogger } = require('../utils/logger');
 
-const CLASS_METADATA_ID = '000000000000000000000000';
-
 const obterClasseCommand = new Command('obterClasse')
     .alias('getClass')
     .description('Obter classe do Sydle')
@@ -29,21 +27,7 @@ const obterClasseCommand = new Command('obterClasse')
             };
 
             // Fetch class from API
-            const classesData = [];
-            await searchPaginated(CLASS_METADATA_ID, query, 50, async (hits) => {
-                for (const hit of hits) {
-                    if (hit._source) {
-                        // Fetch full class to ensure we have all details including scripts
-                        try {
-                            const fullClass = await get(CLASS_METADATA_ID, hit._source._id);
-                            classesData.push(fullClass);
-                        } catch (error) {
-                            logger.warn(`Failed to fetch class ${hit._source._id}, using search result.`);
-                            classesData.push(hit._source);
-                        }
-                    }
-                }
-            });
+            const classesData = await downloadClasses(query, { logger, label: 'Downloading class' });
 
             if (classesData.length === 0) {
                 logger.error(`Class '${identifier}' not found`);
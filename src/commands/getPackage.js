@@ -18,6 +18,7 @@ const obterPacoteCommand = new Command('obterPacote')
     .alias('gp')
     .description('Obter todas as classes de um pacote (Get all classes from a package)')
     .argument('[identifier]', 'Identificador do pacote (Package identifier)')
+    .option('-i, --incremental', 'Baixar apenas classes alteradas desde a última execução (Only changed classes)')
     .option('-v, --verbose', 'Mostrar logs detalhados')
     .action(async (identifier, options) => {
         const logger = createLogger(options.verbose);
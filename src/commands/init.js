@@ -1,14 +1,14 @@
 const { Command } = require('commander');
 const { ensureAuth } = require('../utils/authFlow');
-const { searchPaginated, get } = require('../api/main');
+const { downloadClasses, downloadChangedClasses, printPullReport } = require('../core/downloadClasses');
 const { processClasses } = require('../core/processClasses');
 const { createLogger } = require('../utils/logger');
-
-const CLASS_METADATA_ID = '000000000000000000000000';
+const { getRootPath } = require('../utils/profiles');
 
 const initCommand = new Command('iniciar')
     .alias('init')
     .description('Initialize Sydle environment (all classes)')
+    .option('-i, --incremental', 'Download only classes changed since the last pull')
     .option('-v, --verbose', 'Mostrar logs detalhados')
     .action(async (options) => {
         const logger = createLogger(options.verbose);
@@ -25,23 +25,19 @@ const initCommand = new Command('iniciar')
                 sort: [{ "_id": "asc" }]
             };
 
-            // Fetch all classes from API
-            const classesData = [];
-            await searchPaginated(CLASS_METADATA_ID, query, 50, async (hits) => {
-                logger.progress(`Found ${hits.length} classes in this batch...`);
-                for (const hit of hits) {
-                    if (hit._source) {
-                        // Fetch full class to ensure we have all details including scripts
-                        try {
-                            const fullClass = await get(CLASS_METADATA_ID, hit._source._id);
-                            classesData.push(fullClass);
-                        } catch (error) {
-                            logger.warn(`Failed to fetch class ${hit._source._id}, using search result.`);
-                            classesData.push(hit._source);
-                        }
-                    }
+            if (options.incremental) {
+                const { classesData, report } = await downloadChangedClasses(query, { logger, rootPath: getRootPath() });
+                if (classesData.length > 0) {
+                    await processClasses(classesData, {
+                        description: `Regenerating ${classesData.length} changed classes...`
+                    });
                 }
-            });
+                printPullReport(report, logger);
+                return;
+            }
+
+            // Fetch all classes from API (parallel, see core/downloadClasses)
+            const classesData = await downloadClasses(query, { logger });
 
             logger.info(`Total classes fetched: ${classesData.length}`);
 
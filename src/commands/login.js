@@ -1,24 +1,90 @@
 const { Command } = require('commander');
-const { performLogin, ensureAuth } = require('../utils/authFlow');
+const { performLogin, saveApiToken, ensureAuth } = require('../utils/authFlow');
 const { createLogger } = require('../utils/logger');
+const { listProfiles, getActiveProfile } = require('../utils/profiles');
+const { getTokenEntry, removeToken, describeTokenLifetime } = require('../utils/tokenManager');
+const { prompt, readStdin } = require('../utils/prompt');
+
+/**
+ * Prints the token status of every configured environment
+ * @param {import('../utils/logger').Logger} logger - Logger instance
+ */
+function printTokenStatus(logger) {
+    const profiles = listProfiles();
+    if (profiles.length === 0) {
+        logger.warn(`No environments configured. Run 'sydle login' or 'sydle env add'.`);
+        return;
+    }
+
+    const active = getActiveProfile();
+    profiles.forEach(profile => {
+        const entry = getTokenEntry(profile.tokenSlot, profile.url);
+        const status = describeTokenLifetime(entry);
+        const marker = profile.name === active.name ? '*' : ' ';
+        const line = `${marker} ${profile.name.padEnd(10)} ${status}`;
+
+        if (status.startsWith('valid')) logger.success(line);
+        else logger.warn(line);
+
+        if (entry && entry.issuedAt) logger.debug(`    Issued at: ${entry.issuedAt}`);
+        if (entry && entry.expiresAt) logger.debug(`    Expires at: ${entry.expiresAt}`);
+    });
+}
 
 const loginCommand = new Command('login')
     .description('Login to the Sydle CLI')
     .argument('[username]', 'Your username')
     .argument('[password]', 'Your password')
+    .option('-u, --url <url>', 'API base URL (e.g., https://tenant-dev.sydle.one/api/1)')
+    .option('--api-token <token>', 'Store a pre-issued API token for the active environment ("-" reads it from stdin)')
+    .option('-s, --status', 'Show which environments have valid tokens')
+    .option('--logout', 'Remove the stored token of the active environment')
+    .option('--password-stdin', 'Read the password from stdin')
     .option('-v, --verbose', 'Mostrar logs detalhados')
-    .action(async (username, password, url, options) => {
+    .action(async (username, password, options, command) => {
         const logger = createLogger(options.verbose);
         try {
-            if (username && password) {
-                await performLogin(username, password, url);
+            if (options.status) {
+                printTokenStatus(logger);
+                return;
+            }
+
+            if (options.logout) {
+                const profile = getActiveProfile();
+                if (removeToken(profile.tokenSlot, profile.url)) {
+                    logger.success(`✓ Logged out from '${profile.name}'`);
+                } else {
+                    logger.warn(`No token stored for '${profile.name}'`);
+                }
+                return;
+            }
+
+            if (options.apiToken) {
+                saveApiToken(options.apiToken === '-' ? await readStdin() : options.apiToken);
+                return;
+            }
+
+            if (options.passwordStdin) {
+                password = await readStdin();
+            }
+
+            if (options.url) {
+                const answers = await prompt([
+                    { type: 'input', name: 'username', message: 'Enter your username:', when: !username },
+                    { type: 'password', name: 'password', message: 'Enter your password:', when: !password }
+                ]);
+                // Only an environment named with --env may get a new URL
+                await performLogin(username || answers.username, password || answers.password, options.url, command.optsWithGlobals().env);
+            } else if (username && password) {
+                await performLogin(username, password);
             } else {
                 await ensureAuth(true);
             }
         } catch (error) {
             logger.error(`Login failed: ${error instanceof Error ? error.message : String(error)}`);
             if (options.verbose && error instanceof Error) logger.debug(error.stack);
+            process.exitCode = 1;
         }
     });
 
-module.exports = loginCommand;
\ No newline at end of file
+module.exports = loginCommand;
@@ -0,0 +1,35 @@
+const { Command } = require('commander');
+const { createLogger } = require('../utils/logger');
+const { getActiveProfile } = require('../utils/profiles');
+const { removeToken, clearTokens } = require('../utils/tokenManager');
+const { getBackend, getSecretsFilePath } = require('../utils/secretStore');
+
+const logoutCommand = new Command('logout')
+    .description('Remove stored credentials (active environment, or all with --all)')
+    .option('-a, --all', 'Remove the tokens of every environment and the secret store')
+    .option('-v, --verbose', 'Mostrar logs detalhados')
+    .action((options) => {
+        const logger = createLogger(options.verbose);
+        try {
+            if (options.all) {
+                clearTokens();
+                logger.success('✓ All stored tokens removed');
+                if (getBackend().name === 'encrypted-file') {
+                    logger.debug(`   Deleted ${getSecretsFilePath()}`);
+                }
+                return;
+            }
+
+            const profile = getActiveProfile();
+            if (removeToken(profile.tokenSlot, profile.url)) {
+                logger.success(`✓ Logged out from '${profile.name}'`);
+            } else {
+                logger.warn(`No token stored for '${profile.name}'`);
+            }
+        } catch (error) {
+            logger.error(`❌ Error: ${error instanceof Error ? error.message : String(error)}`);
+            process.exit(1);
+        }
+    });
+
+module.exports = logoutCommand;
@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Promote Command
+ *
+ * CLI command to promote a package, class or method (and process versions)
+ * from one environment to another, e.g. dev → hom → prod.
+ * Portuguese: sydle promover
+ * English alias: sydle promote
+ *
+ * @module commands/promote
+ */
+
+const { Command } = require('commander');
+const path = require('path');
+const { createLogger } = require('../utils/logger');
+const { getProfile, assertWritable } = require('../utils/profiles');
+const { prompt } = require('../utils/prompt');
+const { ensureEnvironmentAccess } = require('../utils/compareFlow');
+const { createEnvironmentApi } = require('../api/environment');
+const { getManagedClassProperties } = require('../core/syncClassMetadata');
+const { buildPlan, printPlan } = require('../core/syncPlan');
+const {
+    createReferenceMapper,
+    loadSelection,
+    loadProcessVersion,
+    planClass,
+    planProcessVersion,
+    listChanges,
+    applyPromotion,
+    recordPromotion
+} = require('../core/promote');
+
+const promoteCommand = new Command('promover')
+    .alias('promote')
+    .description('Promote classes, fields, methods and process versions from one environment to another')
+    .argument('[selection]', 'What to promote: package, package.class or package.class.method')
+    .requiredOption('--from <env>', 'Source environment (e.g. dev)')
+    .requiredOption('--to <env>', 'Target environment (e.g. hom)')
+    .option('--process <identifiers...>', 'Also promote the current version of these processes')
+    .option('--allow-removal', 'Remove fields and methods that are missing in the source')
+    .option('--plan', 'Only show what would be promoted')
+    .option('--json', 'With --plan, print the plan as JSON')
+    .option('-y, --yes', 'Promote without asking for confirmation')
+    .option('-v, --verbose', 'Show verbose logging')
+    .addHelpText('after', `
+Exemplos:
+  $ sydle promover vendas --from dev --to hom --plan
+  $ sydle promote vendas.Pedido --from hom --to prod
+  $ sydle promote vendas.Pedido.calc --from dev --to hom --yes
+  $ sydle promote --process aprovacaoPedido --from dev --to hom
+`)
+    .action(async (selectionArg, options) => {
+        // With --json, logs go to stderr so stdout holds only the plan
+        const logger = createLogger(options.verbose, { stderr: Boolean(options.json) });
+
+        try {
+            if (options.json && !options.plan) {
+                throw new Error('--json requires --plan');
+            }
+            if (!selectionArg && !options.process) {
+                throw new Error('Give a package[.class[.method]] and/or --process <identifier>');
+            }
+            if (options.from === options.to) {
+                throw new Error('--from and --to must be different environments');
+            }
+            for (const envName of [options.from, options.to]) {
+                if (!getProfile(envName)) {
+                    throw new Error(`Unknown environment: ${envName}`);
+                }
+            }
+
+            // A plan only reads from the target
+            if (!options.plan) {
+                assertWritable(getProfile(options.to));
+            }
+
+            // 1. Access to both environments
+            await ensureEnvironmentAccess(options.from, logger);
+            await ensureEnvironmentAccess(options.to, logger);
+            const source = createEnvironmentApi(options.from);
+            const target = createEnvironmentApi(options.to);
+
+            const mapper = createReferenceMapper(source, target);
+            const context = {
+                mapper,
+                pending: new Set(),
+                targetEnv: options.to,
+                allowRemoval: Boolean(options.allowRemoval)
+            };
+            const records = [];
+
+            // 2. Classes of the selection, matched by identifier
+            if (selectionArg) {
+                const [packageIdentifier, classIdentifier, methodIdentifier] = selectionArg.split('.');
+                const selection = { packageIdentifier, classIdentifier, methodIdentifier };
+
+                logger.progress(`🔍 Loading ${selectionArg} from ${options.from} and ${options.to}...`);
+                const [fromSelection, toSelection] = await Promise.all([
+                    loadSelection(source, selection),
+                    loadSelection(target, selection)
+                ]);
+
+                if (!fromSelection.package || fromSelection.classes.length === 0) {
+                    throw new Error(`${selectionArg} not found in ${options.from}`);
+                }
+                if (!toSelection.package) {
+                    throw new Error(`Package ${packageIdentifier} not found in ${options.to}. Create it there first.`);
+                }
+
+                const targetByIdentifier = new Map(toSelection.classes.map(c => [c.identifier, c]));
+                fromSelection.classes
+                    .filter(c => !targetByIdentifier.has(c.identifier))
+                    .forEach(c => context.pending.add(c.identifier));
+
+                const classProperties = getManagedClassProperties();
+                for (const sourceClass of fromSelection.classes) {
+                    const targetClass = targetByIdentifier.get(sourceClass.identifier) || null;
+                    if (methodIdentifier && !(sourceClass.methods || []).some(m => m.identifier === methodIdentifier)) {
+                        throw new Error(`Method ${methodIdentifier} not found in ${options.from}`);
+                    }
+                    records.push(await planClass(sourceClass, targetClass, selection, classProperties, context));
+                }
+            }
+
+            // 3. Current versions of the processes
+            for (const identifier of options.process || []) {
+                logger.progress(`🔍 Loading process ${identifier}...`);
+                const sourceVersion = await loadProcessVersion(source, identifier);
+                if (!sourceVersion) {
+                    throw new Error(`Process ${identifier} (current version) not found in ${options.from}`);
+                }
+                const targetVersion = await loadProcessVersion(target, identifier);
+                records.push(await planProcessVersion(identifier, sourceVersion, targetVersion, context));
+            }
+
+            // 4. Plan
+            const changes = listChanges(records);
+            const plan = buildPlan(changes, options.to);
+            const texts = {
+                title: `Promotion plan ${options.from} → ${options.to}`,
+                empty: `No changes. ${options.to} already matches ${options.from}.`,
+                blocked: 'blocked (see the reasons above)'
+            };
+
+            if (options.plan && options.json) {
+                console.log(JSON.stringify({ from: options.from, ...plan }, null, 2));
+                return;
+            }
+            printPlan(plan, logger, texts);
+            if (options.plan || changes.every(change => change.blocked)) {
+                return;
+            }
+
+            // 5. Confirm
+            if (!options.yes) {
+                const { confirmPromote } = await prompt([{
+                    type: 'confirm',
+                    name: 'confirmPromote',
+                    message: `Apply these changes to ${options.to}?`,
+                    default: false
+                }]);
+                if (!confirmPromote) {
+                    logger.info('Cancelled.');
+                    return;
+                }
+            }
+
+            // 6. Apply and record
+            await applyPromotion(records, target, mapper, logger);
+
+            const logPath = recordPromotion({
+                from: options.from,
+                to: options.to,
+                selection: [selectionArg, ...(options.process || []).map(identifier => `process:${identifier}`)].filter(Boolean),
+                changes
+            });
+
+            const applied = changes.filter(change => change.status === 'applied').length;
+            const failed = changes.filter(change => change.status === 'failed').length;
+            const lines = [`✓ Promoted ${options.from} → ${options.to}: ${applied} change(s) applied`];
+            if (failed > 0) lines.push(`❌ ${failed} change(s) failed`);
+            lines.push(`📝 Recorded in ${path.relative(process.cwd(), logPath)}`);
+            logger.summary(lines);
+            if (failed > 0) process.exitCode = 1;
+
+        } catch (error) {
+            logger.error(`❌ Error: ${error instanceof Error ? error.message : String(error)}`);
+            if (options.verbose && error instanceof Error) logger.debug(error.stack);
+            process.exitCode = 1;
+        }
+    });
+
+module.exports = promoteCommand;
@@ -0,0 +1,40 @@
+/**
+ * @fileoverview Pull Command
+ *
+ * CLI command to refresh local classes from Sydle keeping local edits.
+ * Portuguese: sydle baixar
+ * English alias: sydle pull
+ *
+ * @module commands/pull
+ */
+
+const { Command } = require('commander');
+const { ensureAuth } = require('../utils/authFlow');
+const { runPullFlow, STRATEGIES } = require('../utils/pullFlow');
+const { createLogger } = require('../utils/logger');
+
+const pullCommand = new Command('baixar')
+    .alias('pull')
+    .description('Atualizar arquivos locais sem perder edições (Refresh local files keeping local edits)')
+    .option('-p, --package <identifier>', 'Only classes of this package')
+    .option('-c, --class <identifier>', 'Only this class')
+    .option('-a, --all', 'Also pull classes unchanged since the last pull')
+    .option('-s, --strategy <strategy>', `Resolve every conflict with: ${STRATEGIES.join(', ')}`)
+    .option('-v, --verbose', 'Mostrar logs detalhados')
+    .action(async (options) => {
+        const logger = createLogger(options.verbose);
+        try {
+            if (!(await ensureAuth())) {
+                return;
+            }
+
+            await runPullFlow(options);
+
+        } catch (error) {
+            logger.error(`❌ Erro: ${error instanceof Error ? error.message : String(error)}`);
+            if (options.verbose && error instanceof Error) logger.debug(error.stack);
+            process.exit(1);
+        }
+    });
+
+module.exports = pullCommand;
@@ -0,0 +1,342 @@
+/**
+ * @fileoverview Rename Command
+ *
+ * CLI command to rename a method or a class (optionally moving the class to
+ * another package): updates the record in Sydle, moves the local folder,
+ * regenerates the typings and rewrites the call sites in the local scripts.
+ * Portuguese: sydle renomear
+ * English alias: sydle rename
+ *
+ * @module commands/rename
+ */
+
+const { Command } = require('commander');
+const fs = require('fs');
+const path = require('path');
+const { ensureAuth } = require('../utils/authFlow');
+const { createLogger } = require('../utils/logger');
+const { getRootPath, assertWritable } = require('../utils/profiles');
+const { prompt } = require('../utils/prompt');
+const { get } = require('../api/main');
+const { loadManifest, saveManifest, recordFileHashes, isLocallyModified } = require('../core/manifest');
+const { checkRemoteClass, printRemoteConflict } = require('../core/remoteChanges');
+const { applyClassChanges } = require('../core/classPatch');
+const { isUnpublishedDraft } = require('../core/syncLogic');
+const { CLASS_METADATA_ID } = require('../core/syncFields');
+const { findClassReferences } = require('../utils/deleteClass');
+const {
+    CLASS_IDENTIFIER_PATTERN,
+    METHOD_IDENTIFIER_PATTERN,
+    readPackageInfo,
+    resolveClassOrMethod,
+    moveFolder,
+    methodCallSites,
+    isClassIdentifierShared,
+    classCallSites,
+    rewriteCallSites,
+    regenerateMethodTypings,
+    regenerateTypings
+} = require('../utils/rename');
+
+/**
+ * Updates method.json and the methods of class.json with the new method identifier
+ * @param {string} classPath - Class folder
+ * @param {string} methodPath - Method folder (already renamed)
+ * @param {string} from - Previous identifier
+ * @param {string} to - New identifier
+ */
+function renameMethodLocally(classPath, methodPath, from, to) {
+    const methodJsonPath = path.join(methodPath, 'method.json');
+    if (fs.existsSync(methodJsonPath)) {
+        const methodData = JSON.parse(fs.readFileSync(methodJsonPath, 'utf-8'));
+        methodData.identifier = to;
+        fs.writeFileSync(methodJsonPath, JSON.stringify(methodData, null, 2));
+    }
+
+    const classJsonPath = path.join(classPath, 'class.json');
+    const classData = JSON.parse(fs.readFileSync(classJsonPath, 'utf-8'));
+    const method = (classData.methods || []).find(m => m.identifier === from);
+    if (method) {
+        method.identifier = to;
+        fs.writeFileSync(classJsonPath, JSON.stringify(classData, null, 2));
+    }
+}
+
+/**
+ * Updates class properties in class.json
+ * @param {string} classPath - Class folder
+ * @param {Object} values - Properties to set
+ */
+function updateClassJson(classPath, values) {
+    const classJsonPath = path.join(classPath, 'class.json');
+    const classData = JSON.parse(fs.readFileSync(classJsonPath, 'utf-8'));
+    fs.writeFileSync(classJsonPath, JSON.stringify({ ...classData, ...values }, null, 2));
+}
+
+const renameCommand = new Command('renomear')
+    .alias('rename')
+    .description('Rename a method or class in Sydle and locally, updating the call sites in local scripts')
+    .argument('<source>', 'What to rename: package.class.method or package.class')
+    .argument('<target>', 'New identifier (method or class), or package.class to also move the class')
+    .option('-y, --yes', 'Rename without asking for confirmation')
+    .option('-f, --force', 'Rename even if the class was changed remotely since the last pull/sync')
+    .option('-v, --verbose', 'Show verbose logging')
+    .addHelpText('after', `
+Exemplos:
+  $ sydle renomear vendas.Pedido.calc calcularTotal
+  $ sydle rename vendas.Pedido PedidoVenda
+  $ sydle rename vendas.Pedido compras.Pedido --yes
+`)
+    .action(async (source, target, options) => {
+        const logger = createLogger(options.verbose);
+
+        try {
+            // 1. Authentication Check
+            if (!(await ensureAuth())) {
+                return;
+            }
+
+            assertWritable();
+
+            // 2. Resolve what is being renamed and where it goes
+            const rootPath = getRootPath();
+            const from = resolveClassOrMethod(rootPath, source);
+            if (!from) {
+                logger.error(`❌ Not found locally: ${source}`);
+                logger.info(`   Use package.class.method or package.class. Run 'sydle obterClasse' or 'sydle pull' first.`);
+                return;
+            }
+
+            const classPath = from.classPath;
+            const classData = JSON.parse(fs.readFileSync(path.join(classPath, 'class.json'), 'utf-8'));
+            const targetParts = target.split('.');
+            const newIdentifier = targetParts[targetParts.length - 1];
+            const isMethod = from.kind === 'method';
+
+            let to;
+            if (isMethod) {
+                const targetClass = targetParts.slice(0, -1).join('.');
+                if (targetParts.length > 1 && targetClass !== `${from.packageIdentifier}.${from.classIdentifier}`) {
+                    logger.error('❌ A method can only be renamed within its class.');
+                    return;
+                }
+                to = { ...from, methodIdentifier: newIdentifier };
+            } else {
+                const packageIdentifier = targetParts.length > 1 ? targetParts.slice(0, -1).join('.') : from.packageIdentifier;
+                to = { ...from, packageIdentifier, classIdentifier: newIdentifier };
+            }
+
+            const pattern = isMethod ? METHOD_IDENTIFIER_PATTERN : CLASS_IDENTIFIER_PATTERN;
+            if (!pattern.test(newIdentifier)) {
+                logger.error(`❌ Invalid identifier: ${newIdentifier}`);
+                return;
+            }
+
+            const fromLabel = isMethod
+                ? `${from.packageIdentifier}.${from.classIdentifier}.${from.methodIdentifier}`
+                : `${from.packageIdentifier}.${from.classIdentifier}`;
+            const toLabel = isMethod
+                ? `${to.packageIdentifier}.${to.classIdentifier}.${to.methodIdentifier}`
+                : `${to.packageIdentifier}.${to.classIdentifier}`;
+            if (fromLabel === toLabel) {
+                logger.info('Nothing to rename.');
+                return;
+            }
+
+            // 3. Destination folder (and package, for moves)
+            const fromPath = isMethod ? path.join(classPath, 'methods', from.methodIdentifier) : classPath;
+            const movesPackage = !isMethod && to.packageIdentifier !== from.packageIdentifier;
+            const packagePath = movesPackage ? path.join(rootPath, ...to.packageIdentifier.split('.')) : path.dirname(classPath);
+            const toPath = isMethod ? path.join(classPath, 'methods', to.methodIdentifier) : path.join(packagePath, to.classIdentifier);
+
+            if (fs.existsSync(toPath)) {
+                logger.error(`❌ Already exists locally: ${path.relative(process.cwd(), toPath)}`);
+                return;
+            }
+
+            let targetPackage = null;
+            if (movesPackage) {
+                targetPackage = readPackageInfo(packagePath);
+                if (!targetPackage._id) {
+                    logger.error(`❌ Package not found locally: ${to.packageIdentifier}`);
+                    logger.info(`   Run 'sydle obterPacote ${to.packageIdentifier}' or 'sydle pull' first.`);
+                    return;
+                }
+            }
+
+            // 4. Current state in Sydle (drafts and unsynced methods are renamed locally only)
+            let currentClass = null;
+            let methodIndex = -1;
+            if (!isUnpublishedDraft(classData)) {
+                currentClass = await get(CLASS_METADATA_ID, classData._id);
+                if (!currentClass || !currentClass._id) {
+                    logger.error(`❌ Class ${from.classIdentifier} not found in Sydle.`);
+                    return;
+                }
+
+                if (isMethod) {
+                    methodIndex = (currentClass.methods || []).findIndex(m => m.identifier === from.methodIdentifier);
+                    if ((currentClass.methods || []).some(m => m.identifier === to.methodIdentifier)) {
+                        logger.error(`❌ Method ${to.methodIdentifier} already exists in Sydle.`);
+                        return;
+                    }
+                    if (methodIndex === -1) currentClass = null;
+                }
+            }
+
+            const remoteTarget = isMethod
+                ? { methods: [from.methodIdentifier] }
+                : { properties: movesPackage ? ['identifier', 'package'] : ['identifier'] };
+            if (currentClass) {
+                const check = checkRemoteClass(rootPath, currentClass, remoteTarget);
+                if (check.conflicts.length > 0 && !options.force) {
+                    printRemoteConflict(logger, currentClass, check.baseRevision, check.conflicts);
+                    logger.error('❌ Not renamed: pull the class first, or use --force.');
+                    return;
+                }
+            }
+
+            // 5. Preview
+            const callSiteOptions = { sharedIdentifier: !isMethod && isClassIdentifierShared(rootPath, from) };
+            const rewrites = isMethod
+                ? methodCallSites(from.packageIdentifier, from.classIdentifier, from.methodIdentifier, to.methodIdentifier)
+                : classCallSites(from, to, callSiteOptions);
+            const preview = await rewriteCallSites(rootPath, rewrites, { dryRun: true });
+            const callSites = preview.reduce((total, { count }) => total + count, 0);
+
+            logger.info(`\n✏️  ${fromLabel} → ${toLabel}`);
+            logger.log(currentClass ? '   • Sydle record renamed' : '   • Not in Sydle yet: renamed locally only');
+            logger.log(`   • Folder: ${path.relative(process.cwd(), fromPath)} → ${path.relative(process.cwd(), toPath)}`);
+            logger.log(`   • ${callSites} call site(s) in ${preview.length} local file(s)`);
+
+            // 6. Confirm
+            if (!options.yes) {
+                const { confirmRename } = await prompt([{
+                    type: 'confirm',
+                    name: 'confirmRename',
+                    message: `Rename ${fromLabel} to ${toLabel}?`,
+                    default: false
+                }]);
+                if (!confirmRename) {
+                    logger.info('Cancelled.');
+                    return;
+                }
+            }
+
+            // 7. Rename in Sydle; the local folder follows each accepted operation
+            const classJsonSynced = isLocallyModified(loadManifest(rootPath), rootPath, path.join(classPath, 'class.json')) === false;
+            let currentPath = fromPath;
+            const changes = [];
+            if (isMethod) {
+                changes.push({
+                    label: `${from.methodIdentifier} → ${to.methodIdentifier}`,
+                    operation: { op: 'replace', path: `/methods/${methodIndex}/identifier`, value: to.methodIdentifier },
+                    target: { methods: [from.methodIdentifier, to.methodIdentifier] },
+                    description: 'Renamed',
+                    commit: () => {
+                        moveFolder(rootPath, fromPath, toPath);
+                        renameMethodLocally(classPath, toPath, from.methodIdentifier, to.methodIdentifier);
+                        currentPath = toPath;
+                    }
+                });
+            } else {
+                if (to.classIdentifier !== from.classIdentifier) {
+                    changes.push({
+                        label: `${from.classIdentifier} → ${to.classIdentifier}`,
+                        operation: { op: 'replace', path: '/identifier', value: to.classIdentifier },
+                        target: { properties: ['identifier'] },
+                        description: 'Renamed',
+                        commit: () => {
+                            const renamedPath = path.join(path.dirname(currentPath), to.classIdentifier);
+                            moveFolder(rootPath, currentPath, renamedPath);
+                            updateClassJson(renamedPath, { identifier: to.classIdentifier });
+                            currentPath = renamedPath;
+                        }
+                    });
+                }
+                if (movesPackage) {
+                    const packageRef = { ...(classData.package || {}), _id: targetPackage._id };
+                    changes.push({
+                        label: `${from.packageIdentifier} → ${to.packageIdentifier}`,
+                        operation: { op: 'replace', path: '/package', value: packageRef },
+                        target: { properties: ['package'] },
+                        description: 'Moved',
+                        commit: () => {
+                            const movedPath = path.join(packagePath, path.basename(currentPath));
+                            moveFolder(rootPath, currentPath, movedPath);
+                            updateClassJson(movedPath, { package: packageRef });
+                            currentPath = movedPath;
+                        }
+                    });
+                }
+            }
+
+            if (currentClass) {
+                const { failed } = await applyClassChanges({
+                    classId: CLASS_METADATA_ID,
+                    classFolder: classPath,
+                    rootPath,
+                    currentClass,
+                    changes,
+                    logger
+                });
+                if (failed.length === changes.length) {
+                    logger.error('❌ Not renamed.');
+                    return;
+                }
+            } else {
+                changes.forEach(change => change.commit(null));
+            }
+
+            const classFolder = isMethod ? classPath : currentPath;
+            if (currentClass && classJsonSynced) {
+                recordFileHashes(rootPath, [path.join(classFolder, 'class.json')]);
+            }
+            if (currentClass && path.dirname(currentPath) !== path.dirname(fromPath)) {
+                const manifest = loadManifest(rootPath);
+                const entry = manifest.classes[classData._id];
+                if (entry) {
+                    entry.packageIdentifier = to.packageIdentifier;
+                    entry.packageId = targetPackage._id;
+                    saveManifest(rootPath, manifest);
+                }
+            }
+
+            if (currentPath !== toPath) {
+                logger.warn(`⚠ Partially renamed: local folder is now ${path.relative(process.cwd(), currentPath)}`);
+            }
+
+            // 8. Typings: the class itself, classes referencing it, packages and globals
+            logger.progress('🔧 Regenerating typings...');
+            if (isMethod) {
+                regenerateMethodTypings(rootPath, toPath, to.methodIdentifier);
+                await regenerateTypings(rootPath, [classPath]);
+            } else {
+                const referencing = findClassReferences(rootPath, { ...classData, identifier: to.classIdentifier })
+                    .map(reference => reference.classPath);
+                await regenerateTypings(rootPath, [classFolder, ...referencing], [path.dirname(fromPath), path.dirname(classFolder)]);
+            }
+
+            // 9. Call sites (left as local changes, to be sent with sydle sync)
+            const finalNames = isMethod ? to : {
+                packageIdentifier: path.dirname(currentPath) === path.dirname(fromPath) ? from.packageIdentifier : to.packageIdentifier,
+                classIdentifier: path.basename(currentPath)
+            };
+            const rewritten = isMethod
+                ? await rewriteCallSites(rootPath, rewrites)
+                : await rewriteCallSites(rootPath, classCallSites(from, finalNames, callSiteOptions));
+
+            logger.success(`✓ Renamed ${fromLabel} → ${toLabel}`);
+            if (rewritten.length > 0) {
+                logger.info(`   Updated call sites in ${rewritten.length} file(s):`);
+                rewritten.forEach(({ file, count }) => logger.log(`      - ${path.relative(process.cwd(), file)} (${count})`));
+                logger.info(`   Review them and run 'sydle sync' to send the updated scripts to Sydle.`);
+            }
+
+        } catch (error) {
+            logger.error(`❌ Error: ${error instanceof Error ? error.message : String(error)}`);
+            if (options.verbose && error instanceof Error) logger.debug(error.stack);
+        }
+    });
+
+module.exports = renameCommand;
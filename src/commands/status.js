@@ -0,0 +1,37 @@
+/**
+ * @fileoverview Status Command
+ *
+ * CLI command to list the local files that differ from Sydle (as git status).
+ * Portuguese: sydle situacao
+ * English alias: sydle status
+ *
+ * @module commands/status
+ */
+
+const { Command } = require('commander');
+const { ensureAuth } = require('../utils/authFlow');
+const { runStatusFlow } = require('../utils/statusFlow');
+const { createLogger } = require('../utils/logger');
+
+const statusCommand = new Command('situacao')
+    .alias('status')
+    .description('Listar diferenças entre os arquivos locais e o Sydle (List local files that differ from Sydle)')
+    .argument('[path]', 'Only files under this path (e.g. sydle-dev/rh/Funcionario)')
+    .option('-v, --verbose', 'Mostrar logs detalhados')
+    .action(async (targetPath, options) => {
+        const logger = createLogger(options.verbose);
+        try {
+            if (!(await ensureAuth())) {
+                return;
+            }
+
+            await runStatusFlow({ ...options, path: targetPath });
+
+        } catch (error) {
+            logger.error(`❌ Erro: ${error instanceof Error ? error.message : String(error)}`);
+            if (options.verbose && error instanceof Error) logger.debug(error.stack);
+            process.exit(1);
+        }
+    });
+
+module.exports = statusCommand;
@@ -3,49 +3,47 @@ const { glob } = require('glob');
 const fs = require('fs');
 const path = require('path');
 const { ensureAuth } = require('../utils/authFlow');
-const config = require('../utils/config');
 const { createLogger } = require('../utils/logger');
-const { syncMethodCore, ensureClassExists } = require('../core/syncLogic');
-const { syncFieldsCore } = require('../core/syncFields');
+const { getRootPath, getActiveProfile, assertWritable } = require('../utils/profiles');
+const { ensureClassExists, getMethodLocation } = require('../core/syncLogic');
+const { syncClassCore } = require('../core/syncClassBatch');
+const { getManagedClassProperties } = require('../core/syncClassMetadata');
+const { buildPlan, printPlan } = require('../core/syncPlan');
 
 const syncCommand = new Command('sincronizarClasse')
     .alias('syncClass')
     .description('Sync script files to Sydle (Classes only)')
     .argument('[path]', 'Optional path: package.class.method, package.class, or package')
+    .option('-f, --force', 'Overwrite methods/fields/class properties changed remotely since the last pull/sync')
+    .option('--allow-field-removal', 'Remove fields missing from fields.js without asking')
+    .option('--plan', 'Show what would be created/changed in Sydle without syncing')
+    .option('--json', 'With --plan, print the plan as JSON')
     .option('-v, --verbose', 'Show verbose logging')
     .action(async (syncPath, options) => {
-        const logger = createLogger(options.verbose);
+        // With --json, logs go to stderr so stdout holds only the plan
+        const logger = createLogger(options.verbose, { stderr: Boolean(options.json) });
 
         try {
+            if (options.json && !options.plan) {
+                throw new Error('--json requires --plan');
+            }
+
             if (!(await ensureAuth())) {
                 return;
             }
 
-            // Ensure the main token matches the current env URL if available in envTokens
-            const currentUrl = process.env.SYDLE_API_URL;
-            if (currentUrl) {
-                const envTokens = config.get('envTokens') || {};
-                const specificToken = envTokens[currentUrl];
-                const currentToken = config.get('token');
-
-                if (specificToken && specificToken !== currentToken) {
-                    config.set('token', specificToken);
-                    logger.info(`🔑 Switched to stored authentication token for ${currentUrl}`);
-                }
+            // A plan only reads from Sydle
+            if (!options.plan) {
+                assertWritable();
             }
 
             const classId = '000000000000000000000000';
-            let url = process.env.SYDLE_API_URL;
-            let env = 'prod';
-            if (url.includes('dev')) env = 'dev';
-            else if (url.includes('hom')) env = 'hom';
-
-            const rootFolder = `sydle-${env}`;
-            const rootPath = path.join(process.cwd(), rootFolder);
+            const rootPath = getRootPath();
 
             if (!fs.existsSync(rootPath)) {
                 logger.error(`❌ Directory not found: ${rootPath}`);
                 logger.info(`   Run 'sydle init' or 'sydle obterPacote' first.`);
+                process.exitCode = 1;
                 return;
             }
 
@@ -60,13 +58,13 @@ const syncCommand = new Command('sincronizarClasse')
                 if (parts.length === 3) {
                     // Specific method: package.class.method
                     const [pkg, cls, method] = parts;
-                    pattern = `${pkg.split('.').join('/')}/${cls}/${method}/method.json`;
+                    pattern = `${pkg.split('.').join('/')}/${cls}/methods/${method}/method.json`;
                     classPattern = `${pkg.split('.').join('/')}/${cls}/class.json`;
                     fieldsPattern = `${pkg.split('.').join('/')}/${cls}/fields.js`;
                 } else if (parts.length === 2) {
                     // Specific class: package.class
                     const [pkg, cls] = parts;
-                    pattern = `${pkg.split('.').join('/')}/${cls}/*/method.json`;
+                    pattern = `${pkg.split('.').join('/')}/${cls}/methods/*/method.json`;
                     classPattern = `${pkg.split('.').join('/')}/${cls}/class.json`;
                     fieldsPattern = `${pkg.split('.').join('/')}/${cls}/fields.js`;
                 } else if (parts.length === 1) {
@@ -84,12 +82,29 @@ const syncCommand = new Command('sincronizarClasse')
                 nodir: true
             });
 
+            const syncOptions = {
+                force: options.force,
+                plan: options.plan,
+                allowFieldRemoval: options.allowFieldRemoval,
+                classProperties: getManagedClassProperties()
+            };
+            // A single method path only syncs that method
+            const syncClassProperties = !syncPath || syncPath.split('.').length < 3;
+            const plannedChanges = [];
+            const fetchedClasses = new Map();
+
             let classesCreated = 0;
             for (const classFile of classFiles) {
                 const classJsonPath = path.join(rootPath, classFile);
-                const result = await ensureClassExists(classJsonPath, logger);
+                const result = await ensureClassExists(classJsonPath, logger, syncOptions);
+                if (result.plan) {
+                    plannedChanges.push(...result.plan);
+                }
                 if (result.created) {
                     classesCreated++;
+                } else if (result.classData) {
+                    // Reused by the batch sync below (one get per class)
+                    fetchedClasses.set(path.dirname(classJsonPath), result.classData);
                 }
             }
 
@@ -97,55 +112,127 @@ const syncCommand = new Command('sincronizarClasse')
                 logger.info(`\n📦 Created ${classesCreated} class(es) in Sydle\n`);
             }
 
-            // Sync fields.js files
+            // Find fields.js and method.json files, grouped by class folder
             const fieldsFiles = await glob(fieldsPattern, {
                 cwd: rootPath,
                 absolute: false,
                 nodir: true
             });
-
-            let fieldsSynced = 0;
-            let fieldsSkipped = 0;
-            for (const fieldsFile of fieldsFiles) {
-                const fieldsJsPath = path.join(rootPath, fieldsFile);
-                const result = await syncFieldsCore(fieldsJsPath, classId, rootPath, logger);
-                if (result.success) {
-                    fieldsSynced++;
-                } else if (result.message === 'No fields defined') {
-                    fieldsSkipped++;
-                }
-            }
-
-            // Find all method.json files
             const methodFiles = await glob(pattern, {
                 cwd: rootPath,
                 absolute: false,
                 nodir: true
             });
 
-            if (methodFiles.length === 0) {
+            const hasClassFiles = syncClassProperties && classFiles.length > 0;
+            if (methodFiles.length === 0 && fieldsFiles.length === 0 && !hasClassFiles && !options.plan) {
                 logger.error(`❌ No methods found matching: ${syncPath || 'all'}`);
+                process.exitCode = 1;
                 return;
             }
 
             logger.info(`📦 Found ${methodFiles.length} method(s) to sync\n`);
 
+            const classGroups = new Map();
+            const getGroup = (classFolder) => {
+                if (!classGroups.has(classFolder)) {
+                    classGroups.set(classFolder, { classProperties: false, fieldsJsPath: null, methodJsonPaths: [] });
+                }
+                return classGroups.get(classFolder);
+            };
+            if (syncClassProperties) {
+                for (const classFile of classFiles) {
+                    getGroup(path.dirname(path.join(rootPath, classFile))).classProperties = true;
+                }
+            }
+            for (const fieldsFile of fieldsFiles) {
+                const fieldsJsPath = path.join(rootPath, fieldsFile);
+                getGroup(path.dirname(fieldsJsPath)).fieldsJsPath = fieldsJsPath;
+            }
+            for (const methodFile of methodFiles) {
+                const methodJsonPath = path.join(rootPath, methodFile);
+                getGroup(getMethodLocation(methodJsonPath).classFolder).methodJsonPaths.push(methodJsonPath);
+            }
+
+            let conflictCount = 0;
+            let propertiesSynced = 0;
+            let fieldsSynced = 0;
+            let fieldsUnchanged = 0;
+            let fieldsSkipped = 0;
+            let fieldsRemovalRefused = 0;
             let successCount = 0;
             let failCount = 0;
             let skippedCount = 0;
+            let unchangedCount = 0;
 
-            // Sync each method
-            for (const methodFile of methodFiles) {
-                const result = await syncMethodCore(path.join(rootPath, methodFile), classId, rootPath, logger);
-                if (result.success) {
-                    if (result.skipped) {
-                        skippedCount++;
+            // Sync each class with one patch
+            for (const [classFolder, files] of classGroups) {
+                const results = await syncClassCore(classFolder, files, classId, rootPath, logger, {
+                    ...syncOptions,
+                    currentClass: fetchedClasses.get(classFolder)
+                });
+
+                const propertiesResult = results.properties;
+                if (propertiesResult) {
+                    if (propertiesResult.plan) {
+                        plannedChanges.push(...propertiesResult.plan);
+                    } else if (propertiesResult.conflict) {
+                        conflictCount++;
+                    } else if (propertiesResult.success && !propertiesResult.unchanged) {
+                        propertiesSynced++;
+                    } else if (!propertiesResult.success) {
+                        failCount++;
+                    }
+                }
+
+                const fieldsResult = results.fields;
+                if (fieldsResult) {
+                    if (fieldsResult.plan) {
+                        plannedChanges.push(...fieldsResult.plan);
+                    } else if (fieldsResult.unchanged) {
+                        fieldsUnchanged++;
+                    } else if (fieldsResult.success) {
+                        fieldsSynced++;
+                    } else if (fieldsResult.conflict) {
+                        conflictCount++;
+                    } else if (fieldsResult.removalRefused) {
+                        fieldsRemovalRefused++;
+                    } else if (fieldsResult.message === 'No fields defined') {
+                        fieldsSkipped++;
+                    }
+                }
+
+                for (const result of results.methods) {
+                    if (result.plan) {
+                        plannedChanges.push(...result.plan);
+                    } else if (result.success) {
+                        if (result.unchanged) {
+                            unchangedCount++;
+                        } else if (result.skipped) {
+                            skippedCount++;
+                        } else {
+                            successCount++;
+                        }
+                    } else if (result.conflict) {
+                        conflictCount++;
                     } else {
-                        successCount++;
+                        failCount++;
                     }
+                }
+            }
+
+            if (options.plan) {
+                const plan = buildPlan(plannedChanges, getActiveProfile().name);
+                if (failCount > 0) {
+                    logger.warn(`⚠ ${failCount} method(s) could not be planned (see errors above)`);
+                    process.exitCode = 1;
+                }
+                if (options.json) {
+                    console.log(JSON.stringify(plan, null, 2));
                 } else {
-                    failCount++;
+                    printPlan(plan, logger);
                 }
+                return;
             }
 
             // Summary
@@ -153,15 +240,27 @@ const syncCommand = new Command('sincronizarClasse')
             if (classesCreated > 0) {
                 summaryLines.push(`✓ Created classes: ${classesCreated}`);
             }
+            if (propertiesSynced > 0) {
+                summaryLines.push(`✓ Synced class properties: ${propertiesSynced} class(es)`);
+            }
             if (fieldsSynced > 0) {
                 summaryLines.push(`✓ Synced fields: ${fieldsSynced}`);
             }
             if (successCount > 0) {
                 summaryLines.push(`✓ Synced methods: ${successCount}`);
             }
+            if (fieldsUnchanged + unchangedCount > 0) {
+                summaryLines.push(`= Unchanged: ${unchangedCount} method(s), ${fieldsUnchanged} fields.js`);
+            }
             if (skippedCount > 0) {
                 summaryLines.push(`⏭ Skipped (no scripts): ${skippedCount}`);
             }
+            if (fieldsRemovalRefused > 0) {
+                summaryLines.push(`⚠ Field removal not confirmed (not synced): ${fieldsRemovalRefused} fields.js - use --allow-field-removal`);
+            }
+            if (conflictCount > 0) {
+                summaryLines.push(`⚠ Changed remotely (not synced): ${conflictCount} - run 'sydle pull' or use --force`);
+            }
             if (failCount > 0) {
                 summaryLines.push(`✗ Failed: ${failCount}`);
             }
@@ -170,11 +269,17 @@ const syncCommand = new Command('sincronizarClasse')
             }
             logger.summary(summaryLines);
 
+            // Refused or failed changes never reached Sydle
+            if (conflictCount > 0 || failCount > 0 || fieldsRemovalRefused > 0) {
+                process.exitCode = 1;
+            }
+
         } catch (error) {
             logger.error('❌ Sync command failed: ' + error.message);
             if (options.verbose) {
                 logger.debug(error.stack);
             }
+            process.exitCode = 1;
         }
     });
 
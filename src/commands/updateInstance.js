@@ -12,6 +12,7 @@ const { Command } = require('commander');
 const { ensureAuth } = require('../utils/authFlow');
 const { createLogger } = require('../utils/logger');
 const { update } = require('../api/main');
+const { assertWritable } = require('../utils/profiles');
 const {
     parsePackageClass,
     validatePackageAndClass,
@@ -38,6 +39,10 @@ const updateInstanceCommand = new Command('atualizarInstancia')
                 return;
             }
 
+            if (!options.dryRun) {
+                assertWritable();
+            }
+
             // 2. Parse package.class
             const parsed = parsePackageClass(packageClass);
             if (!parsed) {
@@ -6,6 +6,7 @@ const path = require('path');
 const { get, update } = require('../api/main');
 const { ensureAuth } = require('../utils/authFlow');
 const { createLogger } = require('../utils/logger');
+const { getRootPath, assertWritable } = require('../utils/profiles');
 const { scaffoldMethod } = require('../utils/scaffoldMethod');
 const { handleMethodDeletion } = require('../utils/deleteMethod');
 const { syncFieldsCore } = require('../core/syncFields');
@@ -14,6 +15,8 @@ const watchCommand = new Command('monitorarClasse')
     .alias('watchClass')
     .description('Watch for changes in script files and sync to Sydle (Classes only)')
     .argument('[package]', 'Optional package to watch (e.g., recursosHumanos)')
+    .option('-f, --force', 'Overwrite methods/fields changed remotely since the last pull/sync')
+    .option('--allow-field-removal', 'Remove fields missing from fields.js without asking')
     .option('-v, --verbose', 'Show verbose logging')
     .action(async (packageFilter, options) => {
         const logger = createLogger(options.verbose);
@@ -23,15 +26,10 @@ const watchCommand = new Command('monitorarClasse')
                 return;
             }
 
-            const classId = '000000000000000000000000'; // Class metadata ID
-            let url = process.env.SYDLE_API_URL;
-            let env = 'prod';
-            if (url.includes('dev')) env = 'dev';
-            else if (url.includes('hom')) env = 'hom';
-
-            const rootFolder = `sydle-${env}`;
-            const rootPath = path.join(process.cwd(), rootFolder);
+            assertWritable();
 
+            const classId = '000000000000000000000000'; // Class metadata ID
+            const rootPath = getRootPath();
 
             if (!fs.existsSync(rootPath)) {
                 logger.error(`❌ Directory not found: ${rootPath}`);
@@ -42,11 +40,13 @@ const watchCommand = new Command('monitorarClasse')
             // Build glob patterns
             let scriptGlobPattern = '**/scripts/script_*.js';
             let fieldsGlobPattern = '**/fields.js';
+            let parametersGlobPattern = '**/methods/*/{input/inputs,output/outputs}.js';
 
             if (packageFilter) {
                 const packagePath = packageFilter.split('.').join('/');
                 scriptGlobPattern = `${packagePath}/**/scripts/script_*.js`;
                 fieldsGlobPattern = `${packagePath}/**/fields.js`;
+                parametersGlobPattern = `${packagePath}/${parametersGlobPattern}`;
             }
 
             logger.info('🔍 Starting file watcher...');
@@ -88,6 +88,7 @@ const watchCommand = new Command('monitorarClasse')
             const watcher = chokidar.watch([
                 scriptGlobPattern,
                 fieldsGlobPattern,
+                parametersGlobPattern,
                 rootPath
             ], {
                 cwd: rootPath,
@@ -115,10 +116,12 @@ const watchCommand = new Command('monitorarClasse')
                 // Construct absolute path (chokidar returns relative when using cwd)
                 const filePath = path.join(rootPath, relativePath);
 
-                // STRICT FILTER: Only process script_*.js files
+                // STRICT FILTER: Only process script_*.js and inputs.js/outputs.js files
                 // This prevents the watcher from trying to sync method.json, class.json, or other files
                 // which was causing errors like "No scripts folder found"
-                if (!filePath.endsWith('.js') || !filePath.includes(path.sep + 'scripts' + path.sep + 'script_')) {
+                const isScript = filePath.endsWith('.js') && filePath.includes(path.sep + 'scripts' + path.sep + 'script_');
+                const isParameters = filePath.endsWith(path.join('input', 'inputs.js')) || filePath.endsWith(path.join('output', 'outputs.js'));
+                if (!isScript && !isParameters) {
                     return;
                 }
 
@@ -129,7 +132,7 @@ const watchCommand = new Command('monitorarClasse')
 
                 const timer = setTimeout(async () => {
                     debounceTimers.delete(filePath);
-                    await syncScript(filePath, classId, rootPath, logger);
+                    await syncScript(filePath, classId, rootPath, logger, { force: options.force });
                 }, 500);
 
                 debounceTimers.set(filePath, timer);
@@ -154,7 +157,7 @@ const watchCommand = new Command('monitorarClasse')
 
                 const timer = setTimeout(async () => {
                     fieldsDebounceTimers.delete(filePath);
-                    await syncFieldsCore(filePath, classId, rootPath, logger);
+                    await syncFieldsCore(filePath, classId, rootPath, logger, { force: options.force, allowFieldRemoval: options.allowFieldRemoval });
                 }, 500);
 
                 fieldsDebounceTimers.set(filePath, timer);
@@ -205,10 +208,10 @@ const watchCommand = new Command('monitorarClasse')
 
 const { syncMethodCore } = require('../core/syncLogic');
 
-async function syncScript(filePath, classId, rootPath, logger) {
+async function syncScript(filePath, classId, rootPath, logger, syncOptions) {
     try {
         // Parse current file to find associated method.json
-        // filePath is usually .../scripts/script_N.js
+        // filePath is usually .../scripts/script_N.js (or .../input/inputs.js, .../output/outputs.js)
         // We need method.json which is in ../method.json relative to scripts folder
         const methodFolder = path.dirname(path.dirname(filePath));
         const methodJsonPath = path.join(methodFolder, 'method.json');
@@ -228,7 +231,7 @@ async function syncScript(filePath, classId, rootPath, logger) {
         }
 
         // Delegate to core logic
-        await syncMethodCore(methodJsonPath, classId, rootPath, logger);
+        await syncMethodCore(methodJsonPath, classId, rootPath, logger, syncOptions);
 
     } catch (error) {
         logger.error(`❌ Failed: ${error instanceof Error ? error.message : String(error)}`);
@@ -5,6 +5,7 @@ const fs = require('fs');
 const path = require('path');
 const { ensureAuth } = require('../utils/authFlow');
 const { createLogger } = require('../utils/logger');
+const { getRootPath, getProcessRootPath, assertWritable } = require('../utils/profiles');
 const { scaffoldMethod } = require('../utils/scaffoldMethod');
 const { scaffoldProcessRole } = require('../utils/scaffoldProcessRole');
 const { handleProcessMethodDeletion } = require('../utils/deleteProcessMethod');
@@ -15,9 +16,8 @@ const { syncDiagramTaskCore, syncDiagramTaskScriptCore } = require('../core/sync
 
 // Helper to load existing classes for type resolution
 // Copied/Adapted from processProcesses.js logic
-function loadExistingClasses(env, logger) {
+function loadExistingClasses(sydleDevPath, logger) {
     const classIdToIdentifier = new Map();
-    const sydleDevPath = path.join(process.cwd(), `sydle-${env}`);
 
     if (fs.existsSync(sydleDevPath)) {
         logger.info('Phase 0: Loading existing classes for type resolution...');
@@ -54,6 +54,7 @@ function loadExistingClasses(env, logger) {
 const watchProcessCommand = new Command('monitorarProcesso')
     .alias('watchProcess')
     .description('Watch for changes in process files (scripts and fields) and sync to Sydle')
+    .option('-f, --force', 'Overwrite process roles changed remotely since the last pull/sync')
     .option('-v, --verbose', 'Show verbose logging')
     .action(async (options) => {
         const logger = createLogger(options.verbose);
@@ -63,13 +64,9 @@ const watchProcessCommand = new Command('monitorarProcesso')
                 return;
             }
 
-            let url = process.env.SYDLE_API_URL;
-            let env = 'prod';
-            if (url.includes('dev')) env = 'dev';
-            else if (url.includes('hom')) env = 'hom';
+            assertWritable();
 
-            const rootFolder = `sydle-process-${env}`;
-            const rootPath = path.join(process.cwd(), rootFolder);
+            const rootPath = getProcessRootPath();
 
             if (!fs.existsSync(rootPath)) {
                 logger.error(`❌ Directory not found: ${rootPath}`);
@@ -106,7 +103,7 @@ const watchProcessCommand = new Command('monitorarProcesso')
             }
 
             // Phase 0: Load existing classes for type resolution (needed for d.ts generation)
-            const classIdToIdentifier = loadExistingClasses(env, logger);
+            const classIdToIdentifier = loadExistingClasses(getRootPath(), logger);
 
             // Build glob patterns
             const scriptGlobPattern = '**/pin/**/scripts/script_*.js';
@@ -222,7 +219,7 @@ const watchProcessCommand = new Command('monitorarProcesso')
                         if (rolesDebounceTimers.has(roleJsonPath)) clearTimeout(rolesDebounceTimers.get(roleJsonPath));
                         const timer = setTimeout(async () => {
                             rolesDebounceTimers.delete(roleJsonPath);
-                            await syncProcessRolesCore(roleJsonPath, rootPath, logger);
+                            await syncProcessRolesCore(roleJsonPath, rootPath, logger, { force: options.force });
                         }, 500);
                         rolesDebounceTimers.set(roleJsonPath, timer);
                         return;
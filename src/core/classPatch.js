@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Class Patch
+ *
+ * Applies the changes prepared by the sync cores (methods, fields, class
+ * properties) to one class with a single `_patch` call. If Sydle rejects the batch, each
+ * operation is sent on its own to find out which one failed; the others
+ * are still applied.
+ *
+ * @module core/classPatch
+ */
+
+const { get, patch } = require('../api/main');
+const { checkRemoteClass, recordSyncedClass } = require('./remoteChanges');
+
+/**
+ * A change prepared by a sync core
+ * @typedef {Object} PreparedChange
+ * @property {string} label - Shown in logs (e.g. "calc" or "fields.js")
+ * @property {{ op: string, path: string, value: any }} operation - JSON Patch operation
+ * @property {{ methods?: string[], fields?: boolean, properties?: string[] }} target - Synced part (see core/remoteChanges)
+ * @property {string} description - Success message (e.g. "Synced (2 script(s))")
+ * @property {(updatedClass: Object) => void} commit - Local writes once Sydle accepted the operation
+ */
+
+/**
+ * Merges the targets of several changes
+ * @param {PreparedChange[]} changes - Prepared changes
+ * @returns {{ methods: string[], fields: boolean, properties: string[] }}
+ */
+function mergeTargets(changes) {
+    return {
+        methods: changes.flatMap(change => change.target.methods || []),
+        fields: changes.some(change => change.target.fields),
+        properties: changes.flatMap(change => change.target.properties || [])
+    };
+}
+
+/**
+ * Logs a rejected patch with the server response
+ * @param {Object} logger - Logger instance
+ * @param {string} label - What was being patched
+ * @param {Error} error - Patch error
+ */
+function logPatchError(logger, label, error) {
+    logger.error(`   ❌ ${label}: ${error.message}`);
+    if (error.response?.data) {
+        logger.error(`      ${JSON.stringify(error.response.data)}`);
+    }
+}
+
+/**
+ * Patches a class with the prepared changes, then runs their local writes
+ * and records the new state in the manifest
+ *
+ * @param {Object} params
+ * @param {string} params.classId - Class metadata ID
+ * @param {string} params.classFolder - Local class folder
+ * @param {string} params.rootPath - Classes root path
+ * @param {Object} params.currentClass - Class as fetched before preparing the changes
+ * @param {PreparedChange[]} params.changes - Changes to apply
+ * @param {Object} params.logger - Logger instance
+ * @returns {Promise<{ applied: PreparedChange[], failed: PreparedChange[] }>}
+ */
+async function applyClassChanges({ classId, classFolder, rootPath, currentClass, changes, logger }) {
+    if (changes.length === 0) {
+        return { applied: [], failed: [] };
+    }
+
+    const classRecordId = currentClass._id;
+    const applied = [];
+    const failed = [];
+    let patchedClass = null;
+
+    if (changes.length > 1) {
+        logger.progress(`📤 ${currentClass.identifier}: patching ${changes.length} operations`);
+    }
+
+    try {
+        patchedClass = await patch(classId, {
+            _id: classRecordId,
+            _operationsList: changes.map(change => change.operation)
+        });
+        applied.push(...changes);
+    } catch (error) {
+        if (changes.length === 1) {
+            logPatchError(logger, changes[0].label, error);
+            return { applied, failed: changes };
+        }
+
+        logger.warn(`   ⚠ Batch patch rejected (${error.message}), retrying one operation at a time...`);
+        for (const change of changes) {
+            try {
+                patchedClass = await patch(classId, { _id: classRecordId, _operationsList: [change.operation] });
+                applied.push(change);
+            } catch (operationError) {
+                logPatchError(logger, change.label, operationError);
+                failed.push(change);
+            }
+        }
+    }
+
+    if (applied.length === 0) {
+        return { applied, failed };
+    }
+
+    const updatedClass = patchedClass && patchedClass._revision !== undefined
+        ? patchedClass
+        : await get(classId, classRecordId);
+
+    for (const change of applied) {
+        change.commit(updatedClass);
+        logger.success(`   ✓ ${change.label}: ${change.description}`);
+    }
+
+    // Compared with the class as it was before the patch, so remote edits
+    // to other parts still show up in the next pull
+    const target = mergeTargets(applied);
+    recordSyncedClass(rootPath, classFolder, updatedClass, target, checkRemoteClass(rootPath, currentClass, target));
+
+    return { applied, failed };
+}
+
+module.exports = {
+    applyClassChanges
+};
@@ -0,0 +1,442 @@
+/**
+ * @fileoverview Compare Report
+ *
+ * Compares every class, field and method of a package (or of one class) in
+ * two environments: classes, fields and methods that exist only on one side,
+ * field definitions and method signatures (input/output parameters and
+ * access level) that differ, and method scripts that differ with their
+ * changed lines.
+ *
+ * Fields and parameters are compared as their fields.js definition (the `sy`
+ * chain of generators/fieldsSchema mapFieldToSy), with refClass resolved to
+ * the class identifier, so different _ids alone are not a difference.
+ *
+ * @module core/compareReport
+ */
+
+const { loadSelection } = require('./promote');
+const { mapFieldToSy } = require('../generators/fieldsSchema');
+const { diffLines, countChanges, toHunks } = require('../utils/lineDiff');
+
+const CLASS_METADATA_ID = '000000000000000000000000';
+
+/**
+ * Script of a method that differs
+ * @typedef {Object} ScriptDiff
+ * @property {number} index - Script position (script_<index>.js)
+ * @property {number} added - Lines only in the source
+ * @property {number} removed - Lines only in the target
+ * @property {import('../utils/lineDiff').Hunk[]} hunks - Diff from the target (old) to the source (new)
+ */
+
+/**
+ * Differences between two lists of fields (class fields or method parameters)
+ * @typedef {Object} FieldsDiff
+ * @property {string[]} sourceOnly - Identifiers only in the source
+ * @property {string[]} targetOnly - Identifiers only in the target
+ * @property {{ identifier: string, properties: string[], source: string, target: string }[]} changed - Fields whose
+ *     definition differs: the `sy` calls that differ (e.g. required, refClass) and both definitions
+ */
+
+/**
+ * Differences between the signatures of a method
+ * @typedef {Object} SignatureDiff
+ * @property {{ source: string, target: string }|null} accessLevel - Access levels, when they differ
+ * @property {FieldsDiff} inputParameters - Input parameter differences
+ * @property {FieldsDiff} outputParameters - Output parameter differences
+ */
+
+/**
+ * Comparison of a class present in both environments
+ * @typedef {Object} ClassComparison
+ * @property {string} identifier - Class identifier
+ * @property {'source-only'|'target-only'|'changed'|'same'} status - Result
+ * @property {{ source: string, target: string }|null} accessLevel - Class access levels, when they differ
+ * @property {FieldsDiff} fields - Field differences
+ * @property {{ sourceOnly: string[], targetOnly: string[], changed: { identifier: string, added: number, removed: number, scripts: ScriptDiff[], signature: SignatureDiff|null }[] }} methods - Method differences
+ */
+
+/**
+ * Creates a resolver of class references to class identifiers in one environment
+ * @param {(classId: string, id: string) => Promise<Object>} get - Gets a record by _id in that environment
+ * @returns {(refClass: Object) => Promise<string|null>}
+ */
+function createClassIdentifierResolver(get) {
+    const cache = new Map();
+    return async refClass => {
+        if (!refClass || !refClass._id) return refClass && refClass.identifier || null;
+        if (!cache.has(refClass._id)) {
+            const record = await get(CLASS_METADATA_ID, refClass._id).catch(() => null);
+            cache.set(refClass._id, (record && record.identifier) || refClass._id);
+        }
+        return cache.get(refClass._id);
+    };
+}
+
+/**
+ * Lists the parameters of a method (stored as `{ fields }`, or as a list by older scaffolds)
+ * @param {Object} method - Method record
+ * @param {'inputParameters'|'outputParameters'} key - Parameter list
+ * @returns {Object[]}
+ */
+function parameterFields(method, key) {
+    const parameters = method[key];
+    if (Array.isArray(parameters)) return parameters;
+    return (parameters && parameters.fields) || [];
+}
+
+/**
+ * Copies fields with their refClass replaced by the class identifier
+ * @param {Object[]} fields - Fields
+ * @param {(refClass: Object) => Promise<string|null>} resolveClass - See createClassIdentifierResolver
+ * @returns {Promise<Object[]>}
+ */
+async function withClassIdentifiers(fields, resolveClass) {
+    const resolved = [];
+    for (const field of fields || []) {
+        resolved.push(field.refClass
+            ? { ...field, refClass: { identifier: await resolveClass(field.refClass) } }
+            : field);
+    }
+    return resolved;
+}
+
+/**
+ * Copies a class with the refClass of its fields and method parameters resolved to identifiers
+ * @param {Object} _class - Class (or a class with only the methods being compared)
+ * @param {(refClass: Object) => Promise<string|null>} resolveClass - See createClassIdentifierResolver
+ * @returns {Promise<Object>}
+ */
+async function resolveClassReferences(_class, resolveClass) {
+    const methods = [];
+    for (const method of _class.methods || []) {
+        methods.push({
+            ...method,
+            inputParameters: { fields: await withClassIdentifiers(parameterFields(method, 'inputParameters'), resolveClass) },
+            outputParameters: { fields: await withClassIdentifiers(parameterFields(method, 'outputParameters'), resolveClass) }
+        });
+    }
+    return { ..._class, fields: await withClassIdentifiers(_class.fields, resolveClass), methods };
+}
+
+/**
+ * Splits a `sy` chain into its calls
+ * @param {string} chain - e.g. "sy.section('Campos').name('Nome').type('STRING').required()"
+ * @returns {Object<string, string>} Arguments by call name, e.g. { section: "'Campos'", required: '' }
+ */
+function parseSyChain(chain) {
+    const calls = {};
+    const pattern = /\.([a-zA-Z]+)\((.*?)\)(?=\.[a-zA-Z]+\(|$)/g;
+    let match;
+    while ((match = pattern.exec(chain.replace(/^sy/, ''))) !== null) {
+        calls[match[1]] = match[2];
+    }
+    return calls;
+}
+
+/**
+ * Splits two lists of records by identifier
+ * @param {Object[]} sourceList - Source records
+ * @param {Object[]} targetList - Target records
+ * @returns {{ sourceOnly: string[], targetOnly: string[], both: [Object, Object][] }}
+ */
+function matchByIdentifier(sourceList = [], targetList = []) {
+    const targetByIdentifier = new Map(targetList.map(record => [record.identifier, record]));
+    const sourceIdentifiers = new Set(sourceList.map(record => record.identifier));
+    return {
+        sourceOnly: sourceList.filter(record => !targetByIdentifier.has(record.identifier)).map(record => record.identifier),
+        targetOnly: targetList.filter(record => !sourceIdentifiers.has(record.identifier)).map(record => record.identifier),
+        both: sourceList
+            .filter(record => targetByIdentifier.has(record.identifier))
+            .map(record => [record, targetByIdentifier.get(record.identifier)])
+    };
+}
+
+/**
+ * Compares two lists of field definitions (refClass already resolved, see resolveClassReferences)
+ * @param {Object[]} sourceFields - Source fields
+ * @param {Object[]} targetFields - Target fields
+ * @returns {FieldsDiff}
+ */
+function diffFieldDefinitions(sourceFields, targetFields) {
+    const { sourceOnly, targetOnly, both } = matchByIdentifier(sourceFields, targetFields);
+    const changed = [];
+    for (const [sourceField, targetField] of both) {
+        const source = mapFieldToSy(sourceField);
+        const target = mapFieldToSy(targetField);
+        if (source === target) continue;
+
+        const sourceCalls = parseSyChain(source);
+        const targetCalls = parseSyChain(target);
+        const properties = [...new Set([...Object.keys(sourceCalls), ...Object.keys(targetCalls)])]
+            .filter(name => sourceCalls[name] !== targetCalls[name]);
+        changed.push({ identifier: sourceField.identifier, properties, source, target });
+    }
+    return { sourceOnly, targetOnly, changed };
+}
+
+/**
+ * Checks whether a diff of two lists (fields, parameters or methods) has any difference
+ * @param {{ sourceOnly: string[], targetOnly: string[], changed: Object[] }} diff - List diff
+ * @returns {boolean}
+ */
+function hasListDifferences(diff) {
+    return diff.sourceOnly.length + diff.targetOnly.length + diff.changed.length > 0;
+}
+
+/**
+ * Compares the access levels of two records
+ * @param {Object} source - Source record
+ * @param {Object} target - Target record
+ * @returns {{ source: string, target: string }|null}
+ */
+function diffAccessLevel(source, target) {
+    return source.accessLevel === target.accessLevel
+        ? null
+        : { source: source.accessLevel || '(none)', target: target.accessLevel || '(none)' };
+}
+
+/**
+ * Compares the signature of a method: access level and input/output parameters
+ * @param {Object} sourceMethod - Method in the source (parameters resolved, see resolveClassReferences)
+ * @param {Object} targetMethod - Method in the target
+ * @returns {SignatureDiff|null} null when the signatures match
+ */
+function diffMethodSignature(sourceMethod, targetMethod) {
+    const signature = {
+        accessLevel: diffAccessLevel(sourceMethod, targetMethod),
+        inputParameters: diffFieldDefinitions(parameterFields(sourceMethod, 'inputParameters'), parameterFields(targetMethod, 'inputParameters')),
+        outputParameters: diffFieldDefinitions(parameterFields(sourceMethod, 'outputParameters'), parameterFields(targetMethod, 'outputParameters'))
+    };
+    const differs = signature.accessLevel
+        || hasListDifferences(signature.inputParameters)
+        || hasListDifferences(signature.outputParameters);
+    return differs ? signature : null;
+}
+
+/**
+ * Diffs the scripts of a method
+ * @param {string[]} sourceScripts - Scripts in the source
+ * @param {string[]} targetScripts - Scripts in the target
+ * @returns {ScriptDiff[]} Only the scripts that differ
+ */
+function diffScripts(sourceScripts = [], targetScripts = []) {
+    const scripts = [];
+    for (let index = 0; index < Math.max(sourceScripts.length, targetScripts.length); index++) {
+        const lines = diffLines(targetScripts[index] || '', sourceScripts[index] || '');
+        const { added, removed } = countChanges(lines);
+        if (added > 0 || removed > 0) {
+            scripts.push({ index, added, removed, hunks: toHunks(lines) });
+        }
+    }
+    return scripts;
+}
+
+/**
+ * Compares a class present in both environments (references resolved, see resolveClassReferences)
+ * @param {Object} sourceClass - Class in the source
+ * @param {Object} targetClass - Class in the target
+ * @param {Object} [options]
+ * @param {boolean} [options.scripts=true] - Also diff the method scripts
+ * @returns {ClassComparison}
+ */
+function compareClass(sourceClass, targetClass, options = {}) {
+    const methods = matchByIdentifier(sourceClass.methods, targetClass.methods);
+    const changedMethods = [];
+    for (const [sourceMethod, targetMethod] of methods.both) {
+        const scripts = options.scripts === false ? [] : diffScripts(sourceMethod.scripts, targetMethod.scripts);
+        const signature = diffMethodSignature(sourceMethod, targetMethod);
+        if (scripts.length > 0 || signature) {
+            changedMethods.push({
+                identifier: sourceMethod.identifier,
+                added: scripts.reduce((total, script) => total + script.added, 0),
+                removed: scripts.reduce((total, script) => total + script.removed, 0),
+                scripts,
+                signature
+            });
+        }
+    }
+
+    const comparison = {
+        identifier: sourceClass.identifier,
+        status: 'same',
+        accessLevel: diffAccessLevel(sourceClass, targetClass),
+        fields: diffFieldDefinitions(sourceClass.fields, targetClass.fields),
+        methods: { sourceOnly: methods.sourceOnly, targetOnly: methods.targetOnly, changed: changedMethods }
+    };
+    if (comparison.accessLevel || hasListDifferences(comparison.fields) || hasListDifferences(comparison.methods)) {
+        comparison.status = 'changed';
+    }
+    return comparison;
+}
+
+/**
+ * Builds the comparison report of a package or class
+ * @param {import('../api/environment').EnvironmentApi} source - Source environment
+ * @param {import('../api/environment').EnvironmentApi} target - Target environment
+ * @param {{ packageIdentifier: string, classIdentifier?: string }} selection - Selection
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Object>} Report: source, target, selection, classes (ClassComparison[]) and summary
+ */
+async function buildCompareReport(source, target, selection, logger) {
+    const label = selection.classIdentifier
+        ? `${selection.packageIdentifier}.${selection.classIdentifier}`
+        : selection.packageIdentifier;
+
+    logger.progress(`🔍 Loading ${label} from ${source.name} and ${target.name}...`);
+    const [fromSelection, toSelection] = await Promise.all([
+        loadSelection(source, selection),
+        loadSelection(target, selection)
+    ]);
+    if (fromSelection.classes.length === 0 && toSelection.classes.length === 0) {
+        throw new Error(`${label} not found in ${source.name} nor in ${target.name}`);
+    }
+
+    const resolveSource = createClassIdentifierResolver(source.get);
+    const resolveTarget = createClassIdentifierResolver(target.get);
+    const { sourceOnly, targetOnly, both } = matchByIdentifier(fromSelection.classes, toSelection.classes);
+    const only = (classes, identifier, status) => {
+        const _class = classes.find(c => c.identifier === identifier);
+        return {
+            identifier,
+            status,
+            fields: (_class.fields || []).length,
+            methods: (_class.methods || []).length
+        };
+    };
+
+    const classes = [
+        ...sourceOnly.map(identifier => only(fromSelection.classes, identifier, 'source-only')),
+        ...targetOnly.map(identifier => only(toSelection.classes, identifier, 'target-only'))
+    ];
+    for (const [sourceClass, targetClass] of both) {
+        logger.debug(`Comparing ${sourceClass.identifier}`);
+        classes.push(compareClass(
+            await resolveClassReferences(sourceClass, resolveSource),
+            await resolveClassReferences(targetClass, resolveTarget)
+        ));
+    }
+    classes.sort((a, b) => a.identifier.localeCompare(b.identifier));
+
+    const compared = classes.filter(c => c.status === 'changed' || c.status === 'same');
+    const sum = pick => compared.reduce((total, c) => total + pick(c), 0);
+    const changedMethods = compared.flatMap(c => c.methods.changed);
+
+    return {
+        source: source.name,
+        target: target.name,
+        selection: label,
+        date: new Date().toISOString(),
+        classes,
+        summary: {
+            classes: {
+                sourceOnly: sourceOnly.length,
+                targetOnly: targetOnly.length,
+                changed: compared.filter(c => c.status === 'changed').length,
+                same: compared.filter(c => c.status === 'same').length
+            },
+            fields: {
+                sourceOnly: sum(c => c.fields.sourceOnly.length),
+                targetOnly: sum(c => c.fields.targetOnly.length),
+                changed: sum(c => c.fields.changed.length)
+            },
+            methods: {
+                sourceOnly: sum(c => c.methods.sourceOnly.length),
+                targetOnly: sum(c => c.methods.targetOnly.length),
+                changed: changedMethods.length,
+                signatures: changedMethods.filter(m => m.signature).length
+            },
+            lines: {
+                added: changedMethods.reduce((total, m) => total + m.added, 0),
+                removed: changedMethods.reduce((total, m) => total + m.removed, 0)
+            }
+        }
+    };
+}
+
+/**
+ * Prints the differences of a fields diff
+ * @param {{ sourceOnly: string[], targetOnly: string[], changed: Object[] }} diff - List diff
+ * @param {string} type - Label (e.g. "field ", "input ")
+ * @param {string} indent - Indentation
+ * @param {import('../utils/logger').Logger} logger - Logger instance
+ */
+function printFieldsDiff(diff, type, indent, logger) {
+    diff.sourceOnly.forEach(identifier => logger.success(`${indent}+ ${type}  ${identifier}`));
+    diff.targetOnly.forEach(identifier => logger.error(`${indent}- ${type}  ${identifier}`));
+    diff.changed.forEach(field => logger.warn(`${indent}~ ${type}  ${field.identifier} (${field.properties.join(', ')})`));
+}
+
+/**
+ * Prints the differences of a class present in both environments
+ * @param {ClassComparison} _class - Class comparison
+ * @param {import('../utils/logger').Logger} logger - Logger instance
+ */
+function printClassComparison(_class, logger) {
+    logger.warn(`  ~ class   ${_class.identifier}`);
+    if (_class.accessLevel) {
+        logger.warn(`      ~ accessLevel  ${_class.accessLevel.target} → ${_class.accessLevel.source}`);
+    }
+    printFieldsDiff(_class.fields, 'field ', '      ', logger);
+
+    _class.methods.sourceOnly.forEach(identifier => logger.success(`      + method  ${identifier}`));
+    _class.methods.targetOnly.forEach(identifier => logger.error(`      - method  ${identifier}`));
+    for (const method of _class.methods.changed) {
+        const scripts = method.scripts.length > 0
+            ? ` +${method.added} -${method.removed} (${method.scripts.map(s => `script_${s.index}.js`).join(', ')})`
+            : '';
+        logger.warn(`      ~ method  ${method.identifier}${scripts}`);
+
+        const { signature } = method;
+        if (!signature) continue;
+        if (signature.accessLevel) {
+            logger.warn(`          ~ accessLevel  ${signature.accessLevel.target} → ${signature.accessLevel.source}`);
+        }
+        printFieldsDiff(signature.inputParameters, 'input ', '          ', logger);
+        printFieldsDiff(signature.outputParameters, 'output', '          ', logger);
+    }
+}
+
+/**
+ * Prints a comparison report in the terminal
+ * @param {Object} report - Report from buildCompareReport
+ * @param {import('../utils/logger').Logger} logger - Logger instance
+ */
+function printCompareReport(report, logger) {
+    const { source, target, summary } = report;
+    logger.info(`\n📊 ${report.selection}: ${source} → ${target}`);
+    logger.log(`   + only in ${source}   - only in ${target}   ~ different (${target} → ${source})\n`);
+
+    for (const _class of report.classes) {
+        if (_class.status === 'source-only') {
+            logger.success(`  + class   ${_class.identifier} (${_class.fields} field(s), ${_class.methods} method(s))`);
+        } else if (_class.status === 'target-only') {
+            logger.error(`  - class   ${_class.identifier} (${_class.fields} field(s), ${_class.methods} method(s))`);
+        } else if (_class.status === 'changed') {
+            printClassComparison(_class, logger);
+        }
+    }
+
+    const line = (name, counts) => `${name}: ${counts.sourceOnly} only in ${source}, ${counts.targetOnly} only in ${target}, ${counts.changed} different`;
+    const lines = [
+        `${line('Classes', summary.classes)}, ${summary.classes.same} identical`,
+        line('Fields', summary.fields),
+        `${line('Methods', summary.methods)} (${summary.methods.signatures} in their signature)`
+    ];
+    if (summary.lines.added + summary.lines.removed > 0) {
+        lines.push(`Script lines: +${summary.lines.added} -${summary.lines.removed}`);
+    }
+    logger.summary(lines);
+}
+
+module.exports = {
+    createClassIdentifierResolver,
+    resolveClassReferences,
+    diffFieldDefinitions,
+    diffMethodSignature,
+    diffScripts,
+    compareClass,
+    buildCompareReport,
+    printClassComparison,
+    printCompareReport
+};
@@ -0,0 +1,243 @@
+/**
+ * Download pipeline for Sydle classes
+ * Shared by init, obterPacote and obterClasse commands
+ *
+ * Lists the classes matching a query, then fetches every full class with a
+ * bounded worker pool (see utils/workerPool) showing a progress bar with ETA.
+ * Packages are fetched once per `_id` and cached for the whole run.
+ *
+ * In incremental mode only classes whose `_revision`/`_lastUpdateDate`
+ * differ from the local manifest (see ./manifest) are downloaded.
+ */
+
+const { searchPaginated, get } = require('../api/main');
+const { getHttpSettings } = require('../api/resilience');
+const { runPool } = require('../utils/workerPool');
+const { createProgressBar } = require('../utils/progressBar');
+const { logger: defaultLogger } = require('../utils/logger');
+const { loadManifest, saveManifest, hasChanged } = require('./manifest');
+
+const CLASS_METADATA_ID = '000000000000000000000000';
+const PACKAGE_METADATA_ID = '000000000000000000000015';
+
+/**
+ * Package cache keyed by package _id (holds the pending promise, so
+ * concurrent requests for the same package share one call)
+ * @type {Map<string, Promise<Object>>}
+ */
+const packageCache = new Map();
+
+/**
+ * Gets a package by _id, using the cache
+ * @param {string} packageId - Package _id
+ * @returns {Promise<Object>}
+ */
+function getPackage(packageId) {
+    if (!packageCache.has(packageId)) {
+        const pending = get(PACKAGE_METADATA_ID, packageId);
+        // Failed calls are not cached, so a later call can retry
+        pending.catch(() => packageCache.delete(packageId));
+        packageCache.set(packageId, pending);
+    }
+    return packageCache.get(packageId);
+}
+
+/**
+ * Fetches the packages of the given classes in parallel (fills the cache)
+ * @param {Object[]} classesData - Classes with a `package._id`
+ * @returns {Promise<Map<string, Object>>} Packages by _id (missing if the fetch failed)
+ */
+async function fetchPackages(classesData) {
+    const ids = [...new Set(classesData.map(c => c.package && c.package._id).filter(Boolean))];
+    const packages = new Map();
+
+    await runPool(ids, async (id) => {
+        try {
+            packages.set(id, await getPackage(id));
+        } catch (error) {
+            // Reported per class by the caller
+        }
+    }, getHttpSettings().concurrency);
+
+    return packages;
+}
+
+/**
+ * Lists the classes matching a query
+ * @param {Object} query - Search query for the class metadata
+ * @param {import('../utils/logger').Logger} logger - Logger instance
+ * @param {string[]} [sourceFields] - Only return these fields (lightweight listing)
+ * @returns {Promise<Object[]>} Class search results (_source)
+ */
+async function listClasses(query, logger, sourceFields) {
+    const listQuery = sourceFields ? { ...query, _source: sourceFields } : { ...query };
+    const sources = [];
+    await searchPaginated(CLASS_METADATA_ID, listQuery, 50, async (batch) => {
+        sources.push(...batch.filter(hit => hit._source).map(hit => hit._source));
+        logger.debug(`Listed ${sources.length} classes...`);
+    });
+    return sources;
+}
+
+/**
+ * Fetches the full data of listed classes in parallel
+ * @param {Object[]} sources - Class search results
+ * @param {Object} options - See downloadClasses
+ * @returns {Promise<{ classesData: Object[], failed: Object[] }>} Full classes, and the search results of the classes that could not be fetched
+ */
+async function fetchFullClasses(sources, options) {
+    const {
+        logger = defaultLogger,
+        concurrency = getHttpSettings().concurrency,
+        label = 'Downloading classes'
+    } = options;
+
+    if (sources.length === 0) {
+        return { classesData: [], failed: [] };
+    }
+
+    const bar = createProgressBar(sources.length, label);
+    const failed = [];
+
+    const classesData = await runPool(sources, async (source) => {
+        try {
+            // Fetch full class to ensure we have all details including scripts
+            return await get(CLASS_METADATA_ID, source._id);
+        } catch (error) {
+            logger.debug(`Failed to fetch ${source.identifier || source._id}: ${error.message}`);
+            failed.push(source);
+            return null;
+        } finally {
+            bar.tick(source.identifier);
+        }
+    }, concurrency);
+
+    bar.done();
+
+    return { classesData: classesData.filter(Boolean), failed };
+}
+
+/**
+ * Lists the classes matching a query and downloads them in parallel
+ * @param {Object} query - Search query for the class metadata
+ * @param {Object} [options]
+ * @param {import('../utils/logger').Logger} [options.logger] - Logger instance
+ * @param {number} [options.concurrency] - Worker count (default: http.concurrency)
+ * @param {string} [options.label='Downloading classes'] - Progress bar label
+ * @returns {Promise<Object[]>} Full classes (search result when the full fetch failed)
+ */
+async function downloadClasses(query, options = {}) {
+    const logger = options.logger || defaultLogger;
+    const sources = await listClasses(query, logger);
+    const { classesData, failed } = await fetchFullClasses(sources, options);
+
+    // The full listing already holds the whole class
+    if (failed.length > 0) {
+        logger.warn(`Failed to fetch ${failed.length} full classes, using search results: ${failed.map(c => c.identifier || c._id).join(', ')}`);
+    }
+    return [...classesData, ...failed];
+}
+
+/**
+ * @typedef {Object} PullReport
+ * @property {Object[]} added - New classes (search results)
+ * @property {Object[]} changed - Classes with a new revision (search results)
+ * @property {Object[]} removed - Classes no longer returned by the query
+ * @property {Object[]} failed - Added or changed classes that could not be downloaded (fetched again on the next pull)
+ * @property {number} unchanged - Classes skipped
+ * @property {string|null} lastPull - Date of the previous pull
+ */
+
+/**
+ * Downloads only the classes that changed since the last pull.
+ * Removed classes are dropped from the manifest (local folders are kept).
+ *
+ * @param {Object} query - Search query for the class metadata
+ * @param {Object} options - See downloadClasses, plus:
+ * @param {string} options.rootPath - Classes root path (manifest location)
+ * @param {(entry: Object) => boolean} [options.inScope] - Which manifest entries the query covers (for removals)
+ * @returns {Promise<{ classesData: Object[], report: PullReport }>}
+ */
+async function downloadChangedClasses(query, options) {
+    const { rootPath, inScope = () => true } = options;
+    const logger = options.logger || defaultLogger;
+    const manifest = loadManifest(rootPath);
+
+    const listed = await listClasses(query, logger, ['_id', 'identifier', '_revision', '_lastUpdateDate', 'package']);
+    const listedIds = new Set(listed.map(c => c._id));
+
+    const report = { added: [], changed: [], removed: [], failed: [], unchanged: 0, lastPull: manifest.lastPull };
+    const toFetch = [];
+    for (const source of listed) {
+        const entry = manifest.classes[source._id];
+        if (!entry) {
+            report.added.push(source);
+            toFetch.push(source);
+        } else if (hasChanged(entry, source)) {
+            report.changed.push({ ...source, packageIdentifier: entry.packageIdentifier });
+            toFetch.push(source);
+        } else {
+            report.unchanged++;
+        }
+    }
+
+    for (const [id, entry] of Object.entries(manifest.classes)) {
+        if (!listedIds.has(id) && inScope(entry)) {
+            report.removed.push(entry);
+            delete manifest.classes[id];
+        }
+    }
+    if (report.removed.length > 0) {
+        saveManifest(rootPath, manifest);
+    }
+
+    // The lightweight listing is not a class: failed classes are neither written nor recorded
+    const { classesData, failed } = await fetchFullClasses(toFetch, options);
+    const failedIds = new Set(failed.map(source => source._id));
+    report.added = report.added.filter(source => !failedIds.has(source._id));
+    report.changed = report.changed.filter(source => !failedIds.has(source._id));
+    report.failed = failed.map(source => ({
+        ...source,
+        packageIdentifier: manifest.classes[source._id] ? manifest.classes[source._id].packageIdentifier : undefined
+    }));
+    return { classesData, report };
+}
+
+/**
+ * Prints the added/changed/removed summary of an incremental pull
+ * @param {PullReport} report - Pull report
+ * @param {import('../utils/logger').Logger} logger - Logger instance
+ */
+function printPullReport(report, logger) {
+    const name = (c) => c.packageIdentifier ? `${c.packageIdentifier}.${c.identifier}` : c.identifier;
+    const lines = [];
+
+    if (report.lastPull) lines.push(`Last pull: ${report.lastPull}`);
+    if (report.added.length > 0) {
+        lines.push(`+ Added: ${report.added.length}`);
+        report.added.forEach(c => lines.push(`    + ${name(c)}`));
+    }
+    if (report.changed.length > 0) {
+        lines.push(`~ Changed: ${report.changed.length}`);
+        report.changed.forEach(c => lines.push(`    ~ ${name(c)}`));
+    }
+    if (report.removed.length > 0) {
+        lines.push(`- Removed: ${report.removed.length} (local folders kept)`);
+        report.removed.forEach(c => lines.push(`    - ${name(c)}`));
+    }
+    lines.push(`= Unchanged: ${report.unchanged}`);
+    if (report.failed.length > 0) {
+        lines.push(`✗ Not downloaded: ${report.failed.length} (fetched again on the next pull)`);
+        report.failed.forEach(c => lines.push(`    ✗ ${name(c)}`));
+    }
+
+    logger.summary(lines);
+}
+
+module.exports = {
+    downloadClasses,
+    downloadChangedClasses,
+    printPullReport,
+    fetchPackages,
+    getPackage
+};
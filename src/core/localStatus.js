@@ -0,0 +1,464 @@
+/**
+ * @fileoverview Local Status
+ *
+ * Compares the local tree of the active environment (sydle-<env> and
+ * sydle-process-<env>) with the current remote state, for `sydle status`
+ * and `sydle diff`. Covered: the files the manifest tracks for classes
+ * (listTrackedFiles: class.json, fields.js, method scripts and inputs.js/
+ * outputs.js), and the pin and diagram tasks (scripts, fields.js,
+ * inputs.js/outputs.js) of process versions. class.json is compared on the
+ * properties syncClass manages (see core/syncClassMetadata).
+ *
+ * Each item is compared three ways: the local file, the remote record and
+ * the version recorded locally at the last pull/sync (the copies of the
+ * scripts and class.json in .sydle-base, the parameters of method.json, and
+ * the fields of class.json, version.json or task.json). The recorded version
+ * tells which side changed. Process versions have no .sydle-base copies:
+ * their scripts are compared with method.json.
+ *
+ * @module core/localStatus
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { get } = require('../api/main');
+const { getHttpSettings } = require('../api/resilience');
+const { runPool } = require('../utils/workerPool');
+const { convertFieldsToApi } = require('../generators/fieldApiConverter');
+const { hasDifferences, readBaseFile } = require('./manifest');
+const { loadLocalClasses } = require('./processClasses');
+const { getManagedClassProperties } = require('./syncClassMetadata');
+const { PARAMETER_FILES } = require('./methodParameters');
+
+const CLASS_METADATA_ID = '000000000000000000000000';
+const PROCESS_VERSION_CLASS_ID = '595c20500000000000000110';
+
+/**
+ * Record metadata ignored when showing fields (see manifest.hasDifferences)
+ */
+const VOLATILE_KEYS = ['_classRevision', '_revision', '_lastUpdateDate', '_lastUpdateUser'];
+
+/**
+ * @typedef {'modified'|'added'|'removed'|'remote'|'conflict'} ItemStatus
+ * modified/added/removed: changed locally; remote: changed remotely; conflict: changed on both sides
+ */
+
+/**
+ * @typedef {Object} StatusItem
+ * @property {string} path - Absolute path of the local file (or folder)
+ * @property {string} [field] - Field or parameter identifier (fields.js, inputs.js and outputs.js items)
+ * @property {string} [property] - Class property (class.json items)
+ * @property {ItemStatus} status - Kind of difference
+ * @property {'added'|'modified'|'removed'} [remoteChange] - What changed remotely (remote/conflict)
+ * @property {string|null} local - Local content (null when missing locally)
+ * @property {string|null} remote - Remote content (null when missing remotely)
+ */
+
+/**
+ * @typedef {Object} LocalStatus
+ * @property {StatusItem[]} items - Differences, sorted by path
+ * @property {{ path: string, message: string }[]} failed - Parts that could not be compared
+ * @property {number} compared - Number of classes and process versions compared
+ */
+
+/**
+ * Classifies one item from its local, remote and recorded versions
+ * @template T
+ * @param {T|null} local - Local version (null when missing)
+ * @param {T|null} remote - Remote version (null when missing)
+ * @param {T|null|undefined} base - Version of the last pull/sync (null when missing, undefined when unknown)
+ * @param {(value: T, other: T) => boolean} differs - Compares two existing versions
+ * @returns {{ status: ItemStatus, remoteChange?: string }|null} Null when local and remote match
+ */
+function classifyItem(local, remote, base, differs) {
+    if (local === null && remote === null) return null;
+    if (local !== null && remote !== null && !differs(local, remote)) return null;
+
+    const byPresence = remote === null ? 'added' : local === null ? 'removed' : 'modified';
+    if (base === undefined) {
+        return { status: byPresence };
+    }
+
+    const changedFromBase = value => (value === null) !== (base === null) || (value !== null && differs(value, base));
+    const localChanged = changedFromBase(local);
+    if (!changedFromBase(remote)) {
+        return { status: byPresence };
+    }
+
+    const remoteChange = base === null ? 'added' : remote === null ? 'removed' : 'modified';
+    return { status: localChanged ? 'conflict' : 'remote', remoteChange };
+}
+
+/**
+ * Reads a JSON file (null when missing or malformed)
+ * @param {string} filePath - File path
+ * @returns {Object|null}
+ */
+function readJson(filePath) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Lists the sub-folders of a folder
+ * @param {string} folderPath - Folder path
+ * @returns {string[]} Folder names (empty when the folder is missing)
+ */
+function listFolders(folderPath) {
+    if (!fs.existsSync(folderPath)) return [];
+    return fs.readdirSync(folderPath).filter(name => fs.statSync(path.join(folderPath, name)).isDirectory());
+}
+
+/**
+ * Gets a script by index ('' and missing scripts count as missing, as the
+ * generator does not write empty scripts)
+ * @param {string[]} [scripts] - Scripts of a method
+ * @param {number} index - Script index
+ * @returns {string|null}
+ */
+function scriptAt(scripts, index) {
+    return Array.isArray(scripts) && scripts[index] ? scripts[index] : null;
+}
+
+/**
+ * Compares the method scripts and parameters (inputs.js/outputs.js) of a class, pin or task folder
+ * @param {string} basePath - Folder containing methods/
+ * @param {Object[]} baseMethods - Methods recorded at the last pull/sync (class.json, version.json or task.json)
+ * @param {Object[]} remoteMethods - Methods currently in Sydle
+ * @param {string} [rootPath] - Classes root path, to compare the scripts with their copy in .sydle-base
+ * @returns {StatusItem[]}
+ */
+function compareMethods(basePath, baseMethods = [], remoteMethods = [], rootPath) {
+    const methodsPath = path.join(basePath, 'methods');
+    const identifiers = new Set([
+        ...listFolders(methodsPath),
+        ...baseMethods.map(method => method.identifier),
+        ...remoteMethods.map(method => method.identifier)
+    ]);
+
+    const items = [];
+    for (const identifier of identifiers) {
+        const methodPath = path.join(methodsPath, identifier);
+        const scriptsPath = path.join(methodPath, 'scripts');
+        const remoteMethod = remoteMethods.find(method => method.identifier === identifier);
+
+        // method.json: base of the parameters, and of the scripts of process versions (no .sydle-base)
+        const methodJson = readJson(path.join(methodPath, 'method.json'));
+        const baseMethod = methodJson || baseMethods.find(method => method.identifier === identifier);
+        const baseScripts = baseMethod ? baseMethod.scripts || [] : [];
+
+        const localScripts = [];
+        if (fs.existsSync(scriptsPath)) {
+            for (const file of fs.readdirSync(scriptsPath)) {
+                const match = file.match(/^script_(\d+)\.js$/);
+                if (match) localScripts[Number(match[1])] = fs.readFileSync(path.join(scriptsPath, file), 'utf8');
+            }
+        }
+
+        // In class trees the base is the copy of the last pull/sync: sync rewrites
+        // method.json before it checks for remote changes, so a refused sync
+        // would make the local scripts look like the base
+        const baseScriptAt = rootPath
+            ? index => readBaseFile(rootPath, path.join(scriptsPath, `script_${index}.js`)) || null
+            : index => scriptAt(baseScripts, index);
+
+        const remoteScripts = remoteMethod ? remoteMethod.scripts || [] : [];
+        const count = Math.max(localScripts.length, remoteScripts.length, baseScripts.length);
+        for (let index = 0; index < count; index++) {
+            const local = scriptAt(localScripts, index);
+            const remote = scriptAt(remoteScripts, index);
+            const change = classifyItem(local, remote, baseScriptAt(index), (a, b) => a !== b);
+            if (change) {
+                items.push({ path: path.join(scriptsPath, `script_${index}.js`), ...change, local, remote });
+            }
+        }
+
+        // Parameters are compared as sync applies them (see core/methodParameters)
+        for (const { type, key, file } of PARAMETER_FILES) {
+            const parameters = method => (method && method[key] && method[key].fields) || [];
+            items.push(...compareFields(path.join(methodPath, type, file), parameters(baseMethod), parameters(remoteMethod)));
+        }
+    }
+    return items;
+}
+
+/**
+ * Formats a field for display, with the properties set by fields.js
+ * @param {Object|null} field - Field in API format
+ * @param {string[]|null} keys - Properties to show (all but metadata when null)
+ * @returns {string|null}
+ */
+function formatField(field, keys) {
+    if (!field) return null;
+    const shown = {};
+    for (const key of keys || Object.keys(field).filter(key => !VOLATILE_KEYS.includes(key))) {
+        if (field[key] !== undefined) shown[key] = field[key];
+    }
+    return `${JSON.stringify(shown, null, 2)}\n`;
+}
+
+/**
+ * Compares a fields.js with the remote fields (after convertFieldsToApi, as sync sends them)
+ * @param {string} fieldsJsPath - Path of fields.js
+ * @param {Object[]} baseFields - Fields recorded at the last pull/sync
+ * @param {Object[]} remoteFields - Fields currently in Sydle
+ * @param {string[]} [ignoredExports] - Exports of fields.js that are not fields (e.g. processFields of tasks)
+ * @returns {StatusItem[]}
+ * @throws {Error} When fields.js cannot be loaded
+ */
+function compareFields(fieldsJsPath, baseFields = [], remoteFields = [], ignoredExports = []) {
+    if (!fs.existsSync(fieldsJsPath)) return [];
+
+    delete require.cache[require.resolve(fieldsJsPath)];
+    const fieldsModule = { ...require(fieldsJsPath) };
+    ignoredExports.forEach(name => delete fieldsModule[name]);
+
+    // System fields (_id, _creationDate...) are not part of fields.js
+    const byIdentifier = fields => new Map(fields
+        .filter(field => field.identifier && !field.identifier.startsWith('_'))
+        .map(field => [field.identifier, field]));
+
+    const localFields = byIdentifier(convertFieldsToApi(fieldsModule, baseFields));
+    const base = byIdentifier(baseFields);
+    const remote = byIdentifier(remoteFields);
+
+    const items = [];
+    for (const identifier of new Set([...localFields.keys(), ...base.keys(), ...remote.keys()])) {
+        const localField = localFields.get(identifier) || null;
+        const remoteField = remote.get(identifier) || null;
+        const change = classifyItem(localField, remoteField, base.get(identifier) || null, hasDifferences);
+        if (change) {
+            const keys = localField ? Object.keys(localField).filter(key => !VOLATILE_KEYS.includes(key)) : null;
+            items.push({
+                path: fieldsJsPath,
+                field: identifier,
+                ...change,
+                local: formatField(localField, keys),
+                remote: formatField(remoteField, keys)
+            });
+        }
+    }
+    return items;
+}
+
+/**
+ * Compares the class properties syncClass manages (see core/syncClassMetadata) with the remote class
+ * @param {string} rootPath - Classes root path
+ * @param {string} classJsonPath - Path of class.json
+ * @param {Object} classData - Local class.json
+ * @param {Object} remoteClass - Class currently in Sydle
+ * @returns {StatusItem[]}
+ * @throws {Error} When sync.classProperties in sydle.config.json is invalid
+ */
+function compareClassProperties(rootPath, classJsonPath, classData, remoteClass) {
+    // The copy of class.json recorded at the last pull/sync (missing for older trees)
+    let baseClass;
+    try {
+        const baseContent = readBaseFile(rootPath, classJsonPath);
+        baseClass = baseContent === null ? undefined : JSON.parse(baseContent);
+    } catch (error) {
+        baseClass = undefined;
+    }
+
+    const format = value => `${JSON.stringify(value, null, 2)}\n`;
+    const valueIn = (data, property) => (property in data ? format(data[property]) : null);
+
+    const items = [];
+    // As syncClass --plan: properties missing from class.json are not sent
+    for (const property of getManagedClassProperties().filter(property => property in classData)) {
+        const local = valueIn(classData, property);
+        const remote = valueIn(remoteClass, property);
+        const base = baseClass === undefined ? undefined : valueIn(baseClass, property);
+        const change = classifyItem(local, remote, base, (a, b) => a !== b);
+        if (change) items.push({ path: classJsonPath, property, ...change, local, remote });
+    }
+    return items;
+}
+
+/**
+ * Compares a local class folder with the class in Sydle
+ * @param {string} rootPath - Classes root path
+ * @param {string} classPath - Local class folder
+ * @param {Object} classData - Local class.json (last pull/sync)
+ * @returns {Promise<StatusItem[]>}
+ */
+async function compareClassFolder(rootPath, classPath, classData) {
+    const remoteClass = await get(CLASS_METADATA_ID, classData._id);
+    if (!remoteClass) {
+        return [{ path: classPath, status: 'remote', remoteChange: 'removed', local: null, remote: null }];
+    }
+
+    return [
+        ...compareClassProperties(rootPath, path.join(classPath, 'class.json'), classData, remoteClass),
+        ...compareFields(path.join(classPath, 'fields.js'), classData.fields, remoteClass.fields),
+        ...compareMethods(classPath, classData.methods, remoteClass.methods, rootPath)
+    ];
+}
+
+/**
+ * Gets the local folder of each active diagram task (same naming as generators/diagramElementFiles)
+ * @param {string} tasksPath - diagram/tasks folder
+ * @returns {Map<string, { taskPath: string, task: Object }>} By task _id (or identifier)
+ */
+function loadLocalTasks(tasksPath) {
+    const tasks = new Map();
+    for (const folder of listFolders(tasksPath)) {
+        const task = readJson(path.join(tasksPath, folder, 'task.json'));
+        if (task) tasks.set(task._id || task.identifier, { taskPath: path.join(tasksPath, folder), task });
+    }
+    return tasks;
+}
+
+/**
+ * Compares the diagram tasks of a process version with Sydle
+ * @param {string} versionPath - Local version folder
+ * @param {Object} remoteVersion - Process version currently in Sydle
+ * @returns {Promise<StatusItem[]>}
+ */
+async function compareDiagramTasks(versionPath, remoteVersion) {
+    const diagramPath = path.join(versionPath, 'diagram');
+    const baseDiagram = readJson(path.join(diagramPath, 'diagram.json'));
+    const diagramRef = remoteVersion.diagram;
+    if (!baseDiagram || !diagramRef || !diagramRef._id || !diagramRef._classId) return [];
+
+    const remoteDiagram = await get(diagramRef._classId, diagramRef._id);
+    const remoteTasks = ((remoteDiagram && remoteDiagram.tasks) || []).filter(task => task.active !== false);
+    const baseTasks = (baseDiagram.tasks || []).filter(task => task.active !== false);
+    const localTasks = loadLocalTasks(path.join(diagramPath, 'tasks'));
+
+    const items = [];
+    const keys = new Set([...localTasks.keys(), ...remoteTasks.map(task => task._id || task.identifier)]);
+    for (const key of keys) {
+        const local = localTasks.get(key) || null;
+        const remoteTask = remoteTasks.find(task => (task._id || task.identifier) === key) || null;
+        const baseTask = baseTasks.find(task => (task._id || task.identifier) === key) || null;
+
+        if (!local || !remoteTask) {
+            // Task added or removed as a whole: reported by folder
+            const change = classifyItem(local && local.task, remoteTask, baseTask, () => false);
+            const taskPath = local ? local.taskPath : path.join(diagramPath, 'tasks', String(remoteTask.identifier || key));
+            if (change) items.push({ path: taskPath, ...change, local: null, remote: null });
+            continue;
+        }
+
+        // The diagram only references the task settings (fields and methods)
+        const settingsRef = remoteTask.settings;
+        const remoteSettings = settingsRef && settingsRef._id && settingsRef._classId
+            ? await get(settingsRef._classId, settingsRef._id)
+            : settingsRef;
+        const baseSettings = local.task.settings || {};
+
+        items.push(
+            ...compareFields(path.join(local.taskPath, 'fields.js'), baseSettings.fields, (remoteSettings || {}).fields, ['processFields']),
+            ...compareMethods(local.taskPath, baseSettings.methods, (remoteSettings || {}).methods)
+        );
+    }
+    return items;
+}
+
+/**
+ * Compares a local process version folder (pin and diagram) with Sydle
+ * @param {string} versionPath - Local version folder
+ * @param {Object} versionData - Local version.json (last pull/sync)
+ * @returns {Promise<StatusItem[]>}
+ */
+async function compareVersionFolder(versionPath, versionData) {
+    const remoteVersion = await get(PROCESS_VERSION_CLASS_ID, versionData._id);
+    if (!remoteVersion) {
+        return [{ path: versionPath, status: 'remote', remoteChange: 'removed', local: null, remote: null }];
+    }
+
+    const pinPath = path.join(versionPath, 'pin');
+    return [
+        ...compareFields(path.join(pinPath, 'fields', 'fields.js'), versionData.fields, remoteVersion.fields),
+        ...compareMethods(pinPath, versionData.methods, remoteVersion.methods),
+        ...await compareDiagramTasks(versionPath, remoteVersion)
+    ];
+}
+
+/**
+ * Lists the process version folders (folders with a version.json) under a root folder
+ * @param {string} rootPath - Processes root path (e.g. sydle-process-dev)
+ * @returns {{ versionPath: string, versionData: Object }[]}
+ */
+function loadLocalVersions(rootPath) {
+    const versions = [];
+    const walk = (dir, depth) => {
+        for (const folder of listFolders(dir)) {
+            const folderPath = path.join(dir, folder);
+            const versionData = readJson(path.join(folderPath, 'version.json'));
+            if (versionData && versionData._id) {
+                versions.push({ versionPath: folderPath, versionData });
+            } else if (depth < 2) {
+                // <group>/<process>/<version>
+                walk(folderPath, depth + 1);
+            }
+        }
+    };
+    if (fs.existsSync(rootPath)) walk(rootPath, 0);
+    return versions;
+}
+
+/**
+ * Checks whether two paths overlap (one contains the other)
+ * @param {string} a - Absolute path
+ * @param {string} b - Absolute path
+ * @returns {boolean}
+ */
+function overlaps(a, b) {
+    const inside = (child, parent) => child === parent || child.startsWith(parent + path.sep);
+    return inside(a, b) || inside(b, a);
+}
+
+/**
+ * Compares the local tree of an environment with the current remote state
+ * @param {Object} options
+ * @param {string} options.rootPath - Classes root path (e.g. sydle-dev)
+ * @param {string} [options.processRootPath] - Processes root path (e.g. sydle-process-dev)
+ * @param {string} [options.filterPath] - Only files under this absolute path
+ * @param {(total: number) => void} [options.onStart] - Called with the number of classes/versions to compare
+ * @param {(label: string) => void} [options.onProgress] - Called after each class/version is compared
+ * @returns {Promise<LocalStatus>}
+ */
+async function collectLocalStatus({ rootPath, processRootPath, filterPath, onStart = () => {}, onProgress = () => {} }) {
+    const units = [
+        ...loadLocalClasses(rootPath).map(({ classPath, classData }) => ({
+            folder: classPath,
+            label: classData.identifier,
+            compare: () => compareClassFolder(rootPath, classPath, classData)
+        })),
+        ...(processRootPath ? loadLocalVersions(processRootPath) : []).map(({ versionPath, versionData }) => ({
+            folder: versionPath,
+            label: path.relative(processRootPath, versionPath),
+            compare: () => compareVersionFolder(versionPath, versionData)
+        }))
+    ].filter(unit => !filterPath || overlaps(unit.folder, filterPath));
+
+    onStart(units.length);
+    const failed = [];
+    const results = await runPool(units, async (unit) => {
+        try {
+            return await unit.compare();
+        } catch (error) {
+            failed.push({ path: unit.folder, message: error instanceof Error ? error.message : String(error) });
+            return [];
+        } finally {
+            onProgress(unit.label);
+        }
+    }, getHttpSettings().concurrency);
+
+    const items = results.flat()
+        .filter(item => !filterPath || overlaps(item.path, filterPath))
+        .sort((a, b) => a.path.localeCompare(b.path) || (a.field || a.property || '').localeCompare(b.field || b.property || ''));
+
+    return { items, failed, compared: units.length };
+}
+
+module.exports = {
+    classifyItem,
+    compareMethods,
+    collectLocalStatus
+};
@@ -0,0 +1,368 @@
+/**
+ * Local manifest of downloaded classes
+ * Used by incremental init/obterPacote to download only what changed, and
+ * by pull to detect local edits (content hash of each editable file as of
+ * the last pull or sync). The method, field and class property hashes of
+ * each class are the base used by sync to detect remote edits (see ./remoteChanges).
+ *
+ * Stored at <rootPath>/.sydle-manifest.json:
+ * {
+ *     "version": 1,
+ *     "lastPull": "2026-01-01T00:00:00.000Z",
+ *     "classes": {
+ *         "<_id>": { "identifier", "packageId", "packageIdentifier", "revision", "lastUpdateDate",
+ *                   "methods": { "<identifier>": "<sha256>" }, "fields": { "<identifier>": "<sha256>" },
+ *                   "properties": { "<class property>": "<sha256>" } }
+ *     },
+ *     "files": {
+ *         "<package>/<Class>/fields.js": "<sha256>"
+ *     }
+ * }
+ *
+ * The content of each editable file as of the last pull or sync is kept in
+ * <rootPath>/.sydle-base/<package>/<Class>/ (with a .base suffix, so the
+ * copies are never taken for classes or scripts), as the base of the
+ * three-way merges of compare and pull (see utils/merge).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MANIFEST_FILE = '.sydle-manifest.json';
+const BASE_FOLDER = '.sydle-base';
+const BASE_SUFFIX = '.base';
+
+/**
+ * Record metadata that changes on every save of the parent class
+ * (ignored when hashing methods and fields)
+ */
+const VOLATILE_KEYS = ['_classRevision', '_revision', '_lastUpdateDate', '_lastUpdateUser'];
+
+/**
+ * Gets the manifest path for a root folder
+ * @param {string} rootPath - Classes root path (e.g. sydle-dev)
+ * @returns {string}
+ */
+function getManifestPath(rootPath) {
+    return path.join(rootPath, MANIFEST_FILE);
+}
+
+/**
+ * Loads the manifest (empty manifest if missing or unreadable)
+ * @param {string} rootPath - Classes root path
+ * @returns {{ version: number, lastPull: string|null, classes: Object<string, Object>, files: Object<string, string> }}
+ */
+function loadManifest(rootPath) {
+    const manifestPath = getManifestPath(rootPath);
+    if (fs.existsSync(manifestPath)) {
+        try {
+            const data = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+            return { version: 1, lastPull: data.lastPull || null, classes: data.classes || {}, files: data.files || {} };
+        } catch (error) {
+            // Corrupted manifest: behave as a first pull
+        }
+    }
+    return { version: 1, lastPull: null, classes: {}, files: {} };
+}
+
+/**
+ * Saves the manifest
+ * @param {string} rootPath - Classes root path
+ * @param {Object} manifest - Manifest data
+ */
+function saveManifest(rootPath, manifest) {
+    if (!fs.existsSync(rootPath)) {
+        fs.mkdirSync(rootPath, { recursive: true });
+    }
+    fs.writeFileSync(getManifestPath(rootPath), JSON.stringify(manifest, null, 2));
+}
+
+/**
+ * Hashes file content
+ * @param {string} content - File content
+ * @returns {string} sha256 hex digest
+ */
+function hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Hashes a record (method, field, role) ignoring volatile metadata
+ * @param {Object} record - Record data
+ * @returns {string} sha256 hex digest
+ */
+function hashRecord(record) {
+    const stable = {};
+    for (const key of Object.keys(record).sort()) {
+        if (!VOLATILE_KEYS.includes(key)) stable[key] = record[key];
+    }
+    return hashContent(JSON.stringify(stable));
+}
+
+/**
+ * Checks whether any property set in a local record differs from the remote one
+ * (properties only present remotely and volatile metadata are ignored)
+ * @param {Object} local - Local record (e.g. method.json with its scripts)
+ * @param {Object} remote - Record stored in Sydle
+ * @returns {boolean}
+ */
+function hasDifferences(local, remote) {
+    return Object.keys(local)
+        .filter(key => !VOLATILE_KEYS.includes(key))
+        .some(key => JSON.stringify(local[key]) !== JSON.stringify(remote[key]));
+}
+
+/**
+ * Hashes a list of records by identifier
+ * @param {Object[]} [records] - Records with an identifier
+ * @returns {Object<string, string>|undefined} Hash by identifier (undefined when the list is missing)
+ */
+function hashByIdentifier(records) {
+    if (!Array.isArray(records)) return undefined;
+    const hashes = {};
+    for (const record of records) {
+        if (record && record.identifier) hashes[record.identifier] = hashRecord(record);
+    }
+    return hashes;
+}
+
+/**
+ * Hashes the class-level properties of a class (everything but metadata, fields and methods)
+ * @param {Object} _class - Class data
+ * @returns {Object<string, string>} Hash by property name
+ */
+function hashClassProperties(_class) {
+    const hashes = {};
+    for (const [key, value] of Object.entries(_class)) {
+        if (!key.startsWith('_') && key !== 'fields' && key !== 'methods') {
+            hashes[key] = hashContent(JSON.stringify(value));
+        }
+    }
+    return hashes;
+}
+
+/**
+ * Builds the manifest entry of a class
+ * @param {Object} _class - Class data (full or search result)
+ * @param {Object} [_package] - Package data
+ * @returns {Object}
+ */
+function buildManifestEntry(_class, _package) {
+    return {
+        identifier: _class.identifier,
+        packageId: _class.package ? _class.package._id : undefined,
+        packageIdentifier: _package ? _package.identifier : undefined,
+        revision: _class._revision !== undefined ? String(_class._revision) : null,
+        lastUpdateDate: _class._lastUpdateDate || null,
+        methods: hashByIdentifier(_class.methods),
+        fields: hashByIdentifier(_class.fields),
+        properties: hashClassProperties(_class)
+    };
+}
+
+/**
+ * Gets the manifest key of a file (path relative to the root, with /)
+ * @param {string} rootPath - Classes root path
+ * @param {string} filePath - Absolute file path
+ * @returns {string}
+ */
+function toFileKey(rootPath, filePath) {
+    return path.relative(rootPath, filePath).split(path.sep).join('/');
+}
+
+/**
+ * Lists the user-editable files of a class folder (class.json, fields.js,
+ * methods/<method>/scripts/script_N.js and methods/<method>/input/inputs.js, output/outputs.js)
+ * @param {string} classPath - Class folder
+ * @returns {string[]} Absolute paths of the existing files
+ */
+function listTrackedFiles(classPath) {
+    const files = ['class.json', 'fields.js']
+        .map(name => path.join(classPath, name))
+        .filter(file => fs.existsSync(file));
+
+    const methodsPath = path.join(classPath, 'methods');
+    if (fs.existsSync(methodsPath)) {
+        for (const method of fs.readdirSync(methodsPath)) {
+            const scriptsPath = path.join(methodsPath, method, 'scripts');
+            if (fs.existsSync(scriptsPath)) {
+                fs.readdirSync(scriptsPath)
+                    .filter(file => /^script_\d+\.js$/.test(file))
+                    .forEach(file => files.push(path.join(scriptsPath, file)));
+            }
+            ['input/inputs.js', 'output/outputs.js']
+                .map(file => path.join(methodsPath, method, file))
+                .filter(file => fs.existsSync(file))
+                .forEach(file => files.push(file));
+        }
+    }
+    return files;
+}
+
+/**
+ * Gets the path where the last synced version of a file is kept
+ * @param {string} rootPath - Classes root path
+ * @param {string} filePath - Absolute path of the file (or folder) in the root folder
+ * @returns {string}
+ */
+function getBasePath(rootPath, filePath) {
+    return path.join(rootPath, BASE_FOLDER, path.relative(rootPath, filePath));
+}
+
+/**
+ * Reads the last synced version of an editable file
+ * @param {string} rootPath - Classes root path
+ * @param {string} filePath - Absolute path of the file
+ * @returns {string|null} Content, or null when none was recorded
+ */
+function readBaseFile(rootPath, filePath) {
+    const basePath = getBasePath(rootPath, filePath) + BASE_SUFFIX;
+    return fs.existsSync(basePath) ? fs.readFileSync(basePath, 'utf8') : null;
+}
+
+/**
+ * Stores the current content hash of files (as the last synced version),
+ * and a copy of them as merge base
+ * @param {Object} manifest - Manifest data (modified in place)
+ * @param {string} rootPath - Classes root path
+ * @param {string[]} filePaths - Absolute file paths
+ */
+function setFileHashes(manifest, rootPath, filePaths) {
+    for (const filePath of filePaths) {
+        if (!fs.existsSync(filePath)) continue;
+
+        const content = fs.readFileSync(filePath);
+        manifest.files[toFileKey(rootPath, filePath)] = hashContent(content);
+
+        const basePath = getBasePath(rootPath, filePath) + BASE_SUFFIX;
+        fs.mkdirSync(path.dirname(basePath), { recursive: true });
+        fs.writeFileSync(basePath, content);
+    }
+}
+
+/**
+ * Records the content hash of files after a pull or sync
+ * @param {string} rootPath - Classes root path
+ * @param {string[]} filePaths - Absolute file paths
+ */
+function recordFileHashes(rootPath, filePaths) {
+    const manifest = loadManifest(rootPath);
+    setFileHashes(manifest, rootPath, filePaths);
+    saveManifest(rootPath, manifest);
+}
+
+/**
+ * Checks whether a file was edited since the last pull or sync
+ * @param {Object} manifest - Manifest data
+ * @param {string} rootPath - Classes root path
+ * @param {string} filePath - Absolute file path
+ * @returns {boolean|null} true/false, or null when no hash was recorded
+ */
+function isLocallyModified(manifest, rootPath, filePath) {
+    const recorded = manifest.files[toFileKey(rootPath, filePath)];
+    if (!recorded) return null;
+    return hashContent(fs.readFileSync(filePath)) !== recorded;
+}
+
+/**
+ * Records downloaded classes (revision and file hashes) in the manifest of a root folder
+ * @param {string} rootPath - Classes root path
+ * @param {{ _class: Object, _package: Object, classPath?: string }[]} entries - Processed classes with their package and folder
+ */
+function recordClasses(rootPath, entries) {
+    const manifest = loadManifest(rootPath);
+    manifest.lastPull = new Date().toISOString();
+    for (const { _class, _package, classPath } of entries) {
+        if (_class._id) {
+            manifest.classes[_class._id] = buildManifestEntry(_class, _package);
+        }
+        if (classPath) {
+            setFileHashes(manifest, rootPath, listTrackedFiles(classPath));
+        }
+    }
+    saveManifest(rootPath, manifest);
+}
+
+/**
+ * Removes a class, the hashes of its files and their merge base from the manifest (e.g. after deleting it)
+ * @param {string} rootPath - Classes root path
+ * @param {string} classId - Class _id
+ * @param {string} classPath - Local class folder
+ */
+function forgetClass(rootPath, classId, classPath) {
+    const manifest = loadManifest(rootPath);
+    const prefix = `${toFileKey(rootPath, classPath)}/`;
+
+    delete manifest.classes[classId];
+    for (const fileKey of Object.keys(manifest.files)) {
+        if (fileKey.startsWith(prefix)) delete manifest.files[fileKey];
+    }
+    fs.rmSync(getBasePath(rootPath, classPath), { recursive: true, force: true });
+    saveManifest(rootPath, manifest);
+}
+
+/**
+ * Moves the hashes and merge base of the files of a folder to another folder (e.g. after renaming a class or method)
+ * @param {string} rootPath - Classes root path
+ * @param {string} fromPath - Previous folder
+ * @param {string} toPath - New folder
+ */
+function moveTrackedFiles(rootPath, fromPath, toPath) {
+    const manifest = loadManifest(rootPath);
+    const fromPrefix = `${toFileKey(rootPath, fromPath)}/`;
+    const toPrefix = `${toFileKey(rootPath, toPath)}/`;
+
+    for (const [fileKey, hash] of Object.entries(manifest.files)) {
+        if (fileKey.startsWith(fromPrefix)) {
+            delete manifest.files[fileKey];
+            manifest.files[toPrefix + fileKey.slice(fromPrefix.length)] = hash;
+        }
+    }
+
+    const fromBase = getBasePath(rootPath, fromPath);
+    if (fs.existsSync(fromBase)) {
+        const toBase = getBasePath(rootPath, toPath);
+        fs.mkdirSync(path.dirname(toBase), { recursive: true });
+        fs.renameSync(fromBase, toBase);
+    }
+    saveManifest(rootPath, manifest);
+}
+
+/**
+ * Checks whether a listed class differs from its manifest entry
+ * @param {Object} entry - Manifest entry
+ * @param {Object} listed - Class from the search listing
+ * @returns {boolean}
+ */
+function hasChanged(entry, listed) {
+    if (listed._revision !== undefined && entry.revision !== null) {
+        return String(listed._revision) !== entry.revision;
+    }
+    if (listed._lastUpdateDate && entry.lastUpdateDate) {
+        return listed._lastUpdateDate !== entry.lastUpdateDate;
+    }
+    // Nothing to compare with: download again to be safe
+    return true;
+}
+
+module.exports = {
+    MANIFEST_FILE,
+    getManifestPath,
+    loadManifest,
+    saveManifest,
+    recordClasses,
+    forgetClass,
+    moveTrackedFiles,
+    buildManifestEntry,
+    hasChanged,
+    hashContent,
+    hashRecord,
+    hashByIdentifier,
+    hashClassProperties,
+    hasDifferences,
+    listTrackedFiles,
+    recordFileHashes,
+    readBaseFile,
+    isLocallyModified
+};
@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Method Parameters
+ *
+ * Reads the `input/inputs.js` and `output/outputs.js` files of a method,
+ * written with the `sy` builder like fields.js, and converts them into the
+ * `inputParameters`/`outputParameters` fields of method.json through
+ * fieldApiConverter. The files are the source of truth for the user
+ * parameters; system parameters (`_*`) are kept from method.json.
+ *
+ * @module core/methodParameters
+ * @requires generators/fieldApiConverter
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { convertFieldsToApi } = require('../generators/fieldApiConverter');
+const { hasDifferences } = require('./manifest');
+
+/**
+ * Parameter files of a method folder (see generators/inputOutputFiles)
+ */
+const PARAMETER_FILES = [
+    { type: 'input', key: 'inputParameters', file: 'inputs.js' },
+    { type: 'output', key: 'outputParameters', file: 'outputs.js' }
+];
+
+/**
+ * Lists the parameter files of a method folder
+ * @param {string} methodFolder - Method folder
+ * @returns {string[]} Absolute paths of the existing files
+ */
+function listParameterFiles(methodFolder) {
+    return PARAMETER_FILES
+        .map(({ type, file }) => path.join(methodFolder, type, file))
+        .filter(file => fs.existsSync(file));
+}
+
+/**
+ * Replaces the user parameters of a method with the ones defined in its
+ * inputs.js/outputs.js (methods without these files are left as they are)
+ *
+ * @param {string} methodFolder - Method folder
+ * @param {Object} methodData - method.json content (modified in place)
+ * @returns {string[]} Parameter files that were applied
+ * @throws {Error} When a parameter file cannot be loaded
+ */
+function applyParameterFiles(methodFolder, methodData) {
+    const applied = [];
+
+    for (const { type, key, file } of PARAMETER_FILES) {
+        const filePath = path.join(methodFolder, type, file);
+        if (!fs.existsSync(filePath)) continue;
+
+        // Clear require cache to get fresh content
+        delete require.cache[require.resolve(filePath)];
+
+        let parametersModule;
+        try {
+            parametersModule = require(filePath);
+        } catch (requireError) {
+            throw new Error(`Failed to load ${type}/${file}: ${requireError.message}`);
+        }
+
+        const existingFields = (methodData[key] && methodData[key].fields) || [];
+        const systemFields = existingFields.filter(f => f.identifier && f.identifier.startsWith('_'));
+
+        // Keep the stored parameter when nothing set in the file differs,
+        // so an untouched method is not patched again
+        const fields = convertFieldsToApi(parametersModule, existingFields).map(field => {
+            const existing = existingFields.find(f => f.identifier === field.identifier);
+            return existing && !hasDifferences(field, existing) ? existing : field;
+        });
+
+        methodData[key] = { ...(methodData[key] || {}), fields: [...systemFields, ...fields] };
+        applied.push(filePath);
+    }
+
+    return applied;
+}
+
+/**
+ * Rewrites input/inputParameters.json and output/outputParameters.json from method.json
+ * @param {string} methodFolder - Method folder
+ * @param {Object} methodData - method.json content
+ */
+function saveParameterJson(methodFolder, methodData) {
+    for (const { type, key } of PARAMETER_FILES) {
+        const folderPath = path.join(methodFolder, type);
+        if (methodData[key] && fs.existsSync(folderPath)) {
+            fs.writeFileSync(path.join(folderPath, `${type}Parameters.json`), JSON.stringify(methodData[key], null, 2));
+        }
+    }
+}
+
+module.exports = {
+    PARAMETER_FILES,
+    listParameterFiles,
+    applyParameterFiles,
+    saveParameterJson
+};
@@ -5,7 +5,7 @@
  * Receives an array of class objects and generates all necessary files.
  */
 
-const { get } = require('../api/main');
+const { fetchPackages } = require('./downloadClasses');
 const fs = require('fs');
 const path = require('path');
 const {
@@ -20,6 +20,56 @@ const {
     generateAiDocs
 } = require('../generators');
 const { logger } = require('../utils/logger');
+const { getRootPath } = require('../utils/profiles');
+const { recordClasses } = require('./manifest');
+
+/**
+ * Loads every class.json under a root folder
+ * @param {string} rootPath - Classes root path (e.g. sydle-dev)
+ * @returns {{ classPath: string, classData: Object }[]} Local classes (malformed files are skipped)
+ */
+function loadLocalClasses(rootPath) {
+    const classes = [];
+    if (!fs.existsSync(rootPath)) {
+        return classes;
+    }
+
+    const loadClassesRecursively = (dir) => {
+        const items = fs.readdirSync(dir);
+        for (const item of items) {
+            const itemPath = path.join(dir, item);
+            const stat = fs.statSync(itemPath);
+
+            if (stat.isDirectory()) {
+                const classJsonPath = path.join(itemPath, 'class.json');
+                if (fs.existsSync(classJsonPath)) {
+                    try {
+                        classes.push({ classPath: itemPath, classData: JSON.parse(fs.readFileSync(classJsonPath, 'utf8')) });
+                    } catch (error) {
+                        // Silently skip malformed files
+                    }
+                }
+                loadClassesRecursively(itemPath);
+            }
+        }
+    };
+
+    loadClassesRecursively(rootPath);
+    return classes;
+}
+
+/**
+ * Maps class IDs to identifiers (used to resolve REFERENCE fields)
+ * @param {{ classData: Object }[]} classes - Classes, e.g. from loadLocalClasses
+ * @returns {Map<string, string>}
+ */
+function buildClassIdToIdentifier(classes) {
+    const classIdToIdentifier = new Map();
+    for (const { classData } of classes) {
+        classIdToIdentifier.set(classData._id, classData.identifier);
+    }
+    return classIdToIdentifier;
+}
 
 /**
  * Process an array of classes and generate all necessary files
@@ -34,14 +84,8 @@ async function processClasses(classesData, options = {}) {
     logger.info(description || 'Processing classes...');
 
     const classId = '000000000000000000000000';
-    const classPakageId = '000000000000000000000015';
 
-    let url = process.env.SYDLE_API_URL;
-    let env = 'prod';
-    if (url.includes('dev')) env = 'dev';
-    else if (url.includes('hom')) env = 'hom';
-    const rootFolder = `sydle-${env}`;
-    const rootPath = path.join(process.cwd(), rootFolder);
+    const rootPath = getRootPath();
 
     // Ensure root folder exists
     if (!fs.existsSync(rootPath)) {
@@ -49,36 +93,12 @@ async function processClasses(classesData, options = {}) {
     }
 
     const packageInfoMap = new Map();
+    const processed = [];
 
     // Phase 0: Load existing classes from previously downloaded packages
-    const classIdToIdentifier = new Map();
-
     logger.info('Phase 0: Loading existing classes from other packages...');
-    if (fs.existsSync(rootPath)) {
-        const loadClassesRecursively = (dir) => {
-            const items = fs.readdirSync(dir);
-            for (const item of items) {
-                const itemPath = path.join(dir, item);
-                const stat = fs.statSync(itemPath);
-
-                if (stat.isDirectory()) {
-                    const classJsonPath = path.join(itemPath, 'class.json');
-                    if (fs.existsSync(classJsonPath)) {
-                        try {
-                            const classData = JSON.parse(fs.readFileSync(classJsonPath, 'utf8'));
-                            classIdToIdentifier.set(classData._id, classData.identifier);
-                        } catch (error) {
-                            // Silently skip malformed files
-                        }
-                    }
-                    loadClassesRecursively(itemPath);
-                }
-            }
-        };
-
-        loadClassesRecursively(rootPath);
-        logger.debug(`Loaded ${classIdToIdentifier.size} existing classes from other packages.`);
-    }
+    const classIdToIdentifier = buildClassIdToIdentifier(loadLocalClasses(rootPath));
+    logger.debug(`Loaded ${classIdToIdentifier.size} existing classes from other packages.`);
 
     // Add new classes to the map
     for (const _class of classesData) {
@@ -87,16 +107,17 @@ async function processClasses(classesData, options = {}) {
         }
     }
 
+    // Fetch each package once (cached by _id)
+    const packagesById = await fetchPackages(classesData);
+
     logger.info(`Phase 1: Processing ${classesData.length} classes...`);
     for (const _class of classesData) {
         logger.progress(`Generating files for class: ${_class.identifier}`);
 
         try {
             // Get package info
-            let _pakage;
-            try {
-                _pakage = await get(classPakageId, _class.package._id);
-            } catch (error) {
+            const _pakage = _class.package && packagesById.get(_class.package._id);
+            if (!_pakage) {
                 logger.error(`Failed to fetch package for class ${_class.identifier}`);
                 continue;
             }
@@ -133,6 +154,7 @@ async function processClasses(classesData, options = {}) {
             packageInfoMap.get(packagePath).classes.push({
                 identifier: _class.identifier
             });
+            processed.push({ _class, _package: _pakage, classPath });
         } catch (error) {
             logger.error(`Error processing class ${_class.identifier}: ${error instanceof Error ? error.message : String(error)}`);
         }
@@ -152,6 +174,9 @@ async function processClasses(classesData, options = {}) {
     generateSydleZod(rootPath);
     generateAiDocs(process.cwd());
 
+    // Record revisions (incremental pulls) and file hashes (local edit detection)
+    recordClasses(rootPath, processed);
+
     logger.success(`Processing completed. Total classes processed: ${classesData.length}`);
     logger.success('Operation complete.');
 
@@ -162,5 +187,7 @@ async function processClasses(classesData, options = {}) {
 }
 
 module.exports = {
-    processClasses
+    processClasses,
+    loadLocalClasses,
+    buildClassIdToIdentifier
 };
@@ -10,6 +10,7 @@ const { get } = require('../api/main');
 const fs = require('fs');
 const path = require('path');
 const { logger } = require('../utils/logger');
+const { getRootPath, getProcessRootPath } = require('../utils/profiles');
 const {
     generateMethodFiles,
     generateFieldsSchema,
@@ -101,13 +102,7 @@ async function processProcesses(processesData, options = {}) {
 
     logger.info(description || 'Processing processes...');
 
-    let url = process.env.SYDLE_API_URL || '';
-    let env = 'prod';
-    if (url.includes('dev')) env = 'dev';
-    else if (url.includes('hom')) env = 'hom';
-
-    const rootFolder = `sydle-process-${env}`;
-    const rootPath = path.join(process.cwd(), rootFolder);
+    const rootPath = getProcessRootPath();
 
     // Ensure root folder exists
     if (!fs.existsSync(rootPath)) {
@@ -121,7 +116,7 @@ async function processProcesses(processesData, options = {}) {
 
     // Phase 0: Load existing classes from sydle-dev for type resolution
     logger.info('Phase 0: Loading existing classes for type resolution...');
-    const sydleDevPath = path.join(process.cwd(), `sydle-${env}`);
+    const sydleDevPath = getRootPath();
     if (fs.existsSync(sydleDevPath)) {
         const loadClassesRecursively = (dir) => {
             const items = fs.readdirSync(dir);
@@ -0,0 +1,490 @@
+/**
+ * @fileoverview Promote
+ *
+ * Computes and applies the differences of a selection (package, class or
+ * method, plus process versions) from one environment to another. Records
+ * are matched by identifier, and the references they carry (classes,
+ * packages) are mapped to the _id of the same identifier in the target.
+ * Every applied promotion is appended to a local audit log.
+ *
+ * @module core/promote
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { hasDifferences } = require('./manifest');
+
+const CLASS_METADATA_ID = '000000000000000000000000';
+const PACKAGE_METADATA_ID = '000000000000000000000015';
+const PROCESS_CLASS_ID = '595c20500000000000000100';
+const PROCESS_VERSION_CLASS_ID = '595c20500000000000000110';
+
+/** References mapped by identifier between environments (class and package records) */
+const MAPPED_REFERENCES = [CLASS_METADATA_ID, PACKAGE_METADATA_ID];
+
+/** Metadata that belongs to one environment and is never copied */
+const ENVIRONMENT_METADATA = ['_id', '_revision', '_classRevision', '_lastUpdateDate', '_lastUpdateUser', '_creationDate', '_creationUser'];
+
+/** Audit log of applied promotions (one JSON object per line, in the project folder) */
+const PROMOTION_LOG_FILE = '.sydle-promotions.jsonl';
+
+/**
+ * One operation of a promotion
+ * @typedef {Object} PromotionItem
+ * @property {import('./syncPlan').PlannedChange} change - Shown in the plan and in the log
+ * @property {'add'|'replace'|'remove'} op - JSON Patch operation
+ * @property {string} path - JSON Patch path in the target record
+ * @property {Object} [source] - Source value, mapped again right before it is sent
+ * @property {Object} [keep] - Target values kept on replace (e.g. the field _id)
+ * @property {string} [status] - "applied", "failed" or "blocked" once applied
+ * @property {string} [error] - Why it failed
+ */
+
+/**
+ * Target record (class or process version) and its operations
+ * @typedef {Object} PromotionRecord
+ * @property {string} label - e.g. "vendas.Pedido" or "aprovacao@v2"
+ * @property {string} metadataId - Class of the record (class or process version metadata)
+ * @property {string|null} targetId - Record _id in the target (null until created)
+ * @property {string} [sourceId] - Record _id in the source
+ * @property {string} [identifier] - Record identifier
+ * @property {Object} [create] - Source data of a class missing in the target
+ * @property {import('./syncPlan').PlannedChange} [createChange] - Planned creation
+ * @property {PromotionItem[]} items - Operations, in the order they are sent
+ */
+
+/**
+ * Removes the environment metadata of a record
+ * @param {Object} record - Record
+ * @returns {Object}
+ */
+function withoutMetadata(record) {
+    const copy = { ...record };
+    ENVIRONMENT_METADATA.forEach(key => delete copy[key]);
+    return copy;
+}
+
+/**
+ * Finds records by identifier
+ * @param {import('../api/environment').EnvironmentApi} api - Environment
+ * @param {string} metadataId - Class of the records
+ * @param {string} identifier - Identifier
+ * @returns {Promise<Object[]>}
+ */
+async function findByIdentifier(api, metadataId, identifier) {
+    return api.searchAll(metadataId, { query: { term: { 'identifier.keyword': identifier } } });
+}
+
+/**
+ * Maps class/package references from the source environment to the target,
+ * by identifier (e.g. refClass of REFERENCE fields, the package of a class)
+ * @param {import('../api/environment').EnvironmentApi} source - Source environment
+ * @param {import('../api/environment').EnvironmentApi} target - Target environment
+ */
+function createReferenceMapper(source, target) {
+    /** @type {Map<string, { identifier: string, targetId: string|null }>} */
+    const cache = new Map();
+
+    const resolve = async (metadataId, sourceId) => {
+        const key = `${metadataId}:${sourceId}`;
+        if (!cache.has(key)) {
+            const record = await source.get(metadataId, sourceId).catch(() => null);
+            const identifier = record && record.identifier;
+            const matches = identifier ? await findByIdentifier(target, metadataId, identifier) : [];
+            cache.set(key, { identifier: identifier || sourceId, targetId: matches.length > 0 ? matches[0]._id : null });
+        }
+        return cache.get(key);
+    };
+
+    /**
+     * Copies a value with its references mapped
+     * @param {any} value - Source value
+     * @param {string[]} unresolved - Receives the identifiers missing in the target
+     * @returns {Promise<any>}
+     */
+    const map = async (value, unresolved) => {
+        if (Array.isArray(value)) {
+            const items = [];
+            for (const item of value) items.push(await map(item, unresolved));
+            return items;
+        }
+        if (!value || typeof value !== 'object') {
+            return value;
+        }
+
+        const mapped = {};
+        for (const [key, item] of Object.entries(value)) {
+            mapped[key] = await map(item, unresolved);
+        }
+        if (typeof value._id === 'string' && MAPPED_REFERENCES.includes(value._classId)) {
+            const { identifier, targetId } = await resolve(value._classId, value._id);
+            if (targetId) mapped._id = targetId;
+            else unresolved.push(identifier);
+        }
+        return mapped;
+    };
+
+    return {
+        map,
+        /** Records a class created in the target during the promotion */
+        register: (metadataId, sourceId, identifier, targetId) => cache.set(`${metadataId}:${sourceId}`, { identifier, targetId })
+    };
+}
+
+/**
+ * Loads the classes of a selection with their full data
+ * @param {import('../api/environment').EnvironmentApi} api - Environment
+ * @param {{ packageIdentifier: string, classIdentifier?: string }} selection - Selection
+ * @returns {Promise<{ package: Object|null, classes: Object[] }>}
+ */
+async function loadSelection(api, selection) {
+    const [_package] = await findByIdentifier(api, PACKAGE_METADATA_ID, selection.packageIdentifier);
+    if (!_package) {
+        return { package: null, classes: [] };
+    }
+
+    const listed = selection.classIdentifier
+        ? await findByIdentifier(api, CLASS_METADATA_ID, selection.classIdentifier)
+        : await api.searchAll(CLASS_METADATA_ID, { query: { term: { 'package._id': _package._id } } });
+
+    const classes = [];
+    for (const listedClass of listed.filter(c => c.package && c.package._id === _package._id)) {
+        classes.push(await api.get(CLASS_METADATA_ID, listedClass._id));
+    }
+    return { package: _package, classes };
+}
+
+/**
+ * Loads the current version of a process
+ * @param {import('../api/environment').EnvironmentApi} api - Environment
+ * @param {string} identifier - Process identifier
+ * @returns {Promise<Object|null>} Version data, or null when the process (or its current version) is missing
+ */
+async function loadProcessVersion(api, identifier) {
+    const [processData] = await findByIdentifier(api, PROCESS_CLASS_ID, identifier);
+    if (!processData || !processData.currentVersion || !processData.currentVersion._id) {
+        return null;
+    }
+    return api.get(PROCESS_VERSION_CLASS_ID, processData.currentVersion._id);
+}
+
+/**
+ * Context shared by the diff helpers
+ * @typedef {Object} DiffContext
+ * @property {ReturnType<typeof createReferenceMapper>} mapper - Reference mapper
+ * @property {Set<string>} pending - Identifiers of classes created by this promotion
+ * @property {string} targetEnv - Target environment name (for messages)
+ * @property {boolean} allowRemoval - Remove fields/methods missing in the source
+ */
+
+/**
+ * Marks a change as blocked when it references records missing in the target
+ * @param {import('./syncPlan').PlannedChange} change - Planned change
+ * @param {string[]} unresolved - Identifiers not found in the target
+ * @param {DiffContext} context - Diff context
+ */
+function blockUnresolved(change, unresolved, context) {
+    const missing = [...new Set(unresolved)].filter(identifier => !context.pending.has(identifier));
+    if (missing.length > 0) {
+        change.blocked = `references ${missing.join(', ')} missing in ${context.targetEnv}`;
+    }
+}
+
+/**
+ * Diffs the fields or methods of a record. System records (`_*`) of the
+ * target are never removed.
+ * @param {'field'|'method'} type - What is compared
+ * @param {Object[]} sourceList - Source records to promote
+ * @param {Object[]} targetList - All target records (their positions are the patch indexes)
+ * @param {string} label - Label of the owner record
+ * @param {DiffContext} context - Diff context
+ * @returns {Promise<PromotionItem[]>}
+ */
+async function diffList(type, sourceList, targetList, label, context) {
+    const basePath = type === 'field' ? '/fields' : '/methods';
+    const replaced = [];
+    const removed = [];
+    const added = [];
+
+    for (const sourceRecord of sourceList) {
+        const source = withoutMetadata(sourceRecord);
+        const unresolved = [];
+        const mapped = await context.mapper.map(source, unresolved);
+        const index = targetList.findIndex(t => t.identifier === sourceRecord.identifier);
+        const target = `${label}.${sourceRecord.identifier}`;
+
+        let item;
+        if (index === -1) {
+            item = { change: { type, action: 'add', target }, op: 'add', path: `${basePath}/-`, source };
+            added.push(item);
+        } else if (hasDifferences(mapped, targetList[index])) {
+            const keep = targetList[index]._id ? { _id: targetList[index]._id } : {};
+            item = { change: { type, action: type === 'method' ? 'replace' : 'change', target }, op: 'replace', path: `${basePath}/${index}`, source, keep };
+            replaced.push(item);
+        } else {
+            continue;
+        }
+        if (type === 'method') item.change.detail = `${(sourceRecord.scripts || []).length} script(s)`;
+        blockUnresolved(item.change, unresolved, context);
+    }
+
+    targetList.forEach((targetRecord, index) => {
+        if (!targetRecord.identifier || targetRecord.identifier.startsWith('_')) return;
+        if (sourceList.some(s => s.identifier === targetRecord.identifier)) return;
+        const change = { type, action: 'remove', target: `${label}.${targetRecord.identifier}` };
+        if (!context.allowRemoval) change.blocked = 'not in source (use --allow-removal)';
+        removed.push({ change, op: 'remove', path: `${basePath}/${index}`, index });
+    });
+
+    // Replaces keep the target indexes valid; removals go from the last index; additions append
+    removed.sort((a, b) => b.index - a.index);
+    return [...replaced, ...removed.map(({ index, ...item }) => item), ...added];
+}
+
+/** User fields (system fields are managed by Sydle) */
+const userFields = record => (record.fields || []).filter(f => f.identifier && !f.identifier.startsWith('_'));
+
+/**
+ * Plans the promotion of a class
+ * @param {Object} sourceClass - Class in the source
+ * @param {Object|null} targetClass - Class with the same identifier in the target
+ * @param {Object} selection - Selection
+ * @param {string} selection.packageIdentifier - Package identifier
+ * @param {string} [selection.methodIdentifier] - Only this method
+ * @param {string[]} classProperties - Class properties promoted (see core/syncClassMetadata)
+ * @param {DiffContext} context - Diff context
+ * @returns {Promise<PromotionRecord>}
+ */
+async function planClass(sourceClass, targetClass, selection, classProperties, context) {
+    const label = `${selection.packageIdentifier}.${sourceClass.identifier}`;
+    const record = {
+        label,
+        metadataId: CLASS_METADATA_ID,
+        targetId: targetClass ? targetClass._id : null,
+        sourceId: sourceClass._id,
+        identifier: sourceClass.identifier,
+        items: []
+    };
+    const empty = { fields: [], methods: [] };
+    const methodFilter = m => !selection.methodIdentifier || m.identifier === selection.methodIdentifier;
+
+    if (!targetClass) {
+        record.createChange = { type: 'class', action: 'create', target: label };
+        if (selection.methodIdentifier) {
+            record.createChange.blocked = `class missing in ${context.targetEnv}`;
+            return record;
+        }
+
+        // Created with the system fields and methods (the package is mapped like any reference); the others are added by the patch
+        const isSystem = r => r.identifier && r.identifier.startsWith('_');
+        record.create = {
+            ...withoutMetadata(sourceClass),
+            fields: (sourceClass.fields || []).filter(isSystem).map(withoutMetadata),
+            methods: (sourceClass.methods || []).filter(isSystem).map(withoutMetadata)
+        };
+        const unresolved = [];
+        await context.mapper.map(record.create, unresolved);
+        blockUnresolved(record.createChange, unresolved, context);
+    }
+
+    const target = targetClass || empty;
+
+    if (!selection.methodIdentifier && targetClass) {
+        for (const property of classProperties.filter(p => p in sourceClass)) {
+            const unresolved = [];
+            const mapped = await context.mapper.map(sourceClass[property], unresolved);
+            if (JSON.stringify(mapped) === JSON.stringify(targetClass[property])) continue;
+
+            const exists = property in targetClass;
+            const item = {
+                change: { type: 'property', action: exists ? 'change' : 'add', target: `${label}.${property}` },
+                op: exists ? 'replace' : 'add',
+                path: `/${property}`,
+                source: sourceClass[property]
+            };
+            blockUnresolved(item.change, unresolved, context);
+            record.items.push(item);
+        }
+    }
+
+    if (!selection.methodIdentifier) {
+        record.items.push(...await diffList('field', userFields(sourceClass), target.fields || [], label, context));
+    }
+
+    const sourceMethods = (sourceClass.methods || []).filter(methodFilter);
+    const targetMethods = target.methods || [];
+    const methodItems = await diffList('method', sourceMethods, targetMethods, label, context);
+
+    // With a method selected, the other target methods are not removals
+    record.items.push(...methodItems.filter(item => !selection.methodIdentifier || item.op !== 'remove'));
+
+    if (record.createChange && record.createChange.blocked) {
+        record.items.filter(item => !item.change.blocked).forEach(item => { item.change.blocked = `${label} cannot be created`; });
+    }
+    return record;
+}
+
+/**
+ * Plans the promotion of the current version of a process (its fields and methods)
+ * @param {string} identifier - Process identifier
+ * @param {Object} sourceVersion - Current version in the source
+ * @param {Object|null} targetVersion - Current version in the target
+ * @param {DiffContext} context - Diff context
+ * @returns {Promise<PromotionRecord>}
+ */
+async function planProcessVersion(identifier, sourceVersion, targetVersion, context) {
+    const label = `${identifier}@${sourceVersion.versionLabel || 'current'}`;
+    const record = {
+        label,
+        metadataId: PROCESS_VERSION_CLASS_ID,
+        targetId: targetVersion ? targetVersion._id : null,
+        identifier,
+        items: []
+    };
+
+    if (!targetVersion) {
+        record.createChange = { type: 'process', action: 'create', target: label, blocked: `process missing in ${context.targetEnv}` };
+        return record;
+    }
+
+    record.items.push(
+        ...await diffList('field', userFields(sourceVersion), targetVersion.fields || [], label, context),
+        ...await diffList('method', sourceVersion.methods || [], targetVersion.methods || [], label, context)
+    );
+    return record;
+}
+
+/**
+ * Lists the planned changes of promotion records
+ * @param {PromotionRecord[]} records - Records
+ * @returns {import('./syncPlan').PlannedChange[]}
+ */
+function listChanges(records) {
+    return records.flatMap(record => [
+        ...(record.createChange ? [record.createChange] : []),
+        ...record.items.map(item => item.change)
+    ]);
+}
+
+/**
+ * Applies promotion records to the target: creates the missing classes
+ * first (so references between them resolve), then patches each record
+ * with one `_patch`, retrying operation by operation if Sydle rejects it
+ *
+ * @param {PromotionRecord[]} records - Planned records
+ * @param {import('../api/environment').EnvironmentApi} target - Target environment
+ * @param {ReturnType<typeof createReferenceMapper>} mapper - Reference mapper
+ * @param {Object} logger - Logger instance
+ */
+async function applyPromotion(records, target, mapper, logger) {
+    const fail = (item, message) => Object.assign(item, { status: 'failed', error: message });
+
+    for (const record of records.filter(r => r.create && !r.createChange.blocked)) {
+        const unresolved = [];
+        const payload = await mapper.map(record.create, unresolved);
+        if (unresolved.length > 0) {
+            fail(record.createChange, `unresolved references: ${[...new Set(unresolved)].join(', ')}`);
+            continue;
+        }
+        try {
+            logger.progress(`📤 Creating ${record.label}...`);
+            const created = await target.create(record.metadataId, payload);
+            record.targetId = created._id;
+            mapper.register(record.metadataId, record.sourceId, record.identifier, created._id);
+            record.createChange.status = 'applied';
+            logger.success(`   ✓ ${record.label}: Created`);
+        } catch (error) {
+            fail(record.createChange, error.message);
+            logger.error(`   ❌ ${record.label}: ${error.message}`);
+        }
+    }
+
+    for (const record of records) {
+        if (record.createChange) {
+            record.createChange.status = record.createChange.status || 'blocked';
+        }
+
+        const items = [];
+        for (const item of record.items) {
+            if (item.change.blocked || !record.targetId) {
+                item.change.status = 'blocked';
+                continue;
+            }
+            const operation = { op: item.op, path: item.path };
+            if (item.op !== 'remove') {
+                const unresolved = [];
+                const value = await mapper.map(item.source, unresolved);
+                if (unresolved.length > 0) {
+                    fail(item.change, `unresolved references: ${[...new Set(unresolved)].join(', ')}`);
+                    continue;
+                }
+                operation.value = item.keep ? { ...value, ...item.keep } : value;
+            }
+            items.push({ item, operation });
+        }
+        if (items.length === 0) continue;
+
+        logger.progress(`📤 ${record.label}: patching ${items.length} operation(s)`);
+        try {
+            await target.patch(record.metadataId, { _id: record.targetId, _operationsList: items.map(i => i.operation) });
+            items.forEach(({ item }) => { item.change.status = 'applied'; });
+        } catch (error) {
+            if (items.length === 1) {
+                fail(items[0].item.change, error.message);
+            } else {
+                logger.warn(`   ⚠ Batch patch rejected (${error.message}), retrying one operation at a time...`);
+                for (const { item, operation } of items) {
+                    try {
+                        await target.patch(record.metadataId, { _id: record.targetId, _operationsList: [operation] });
+                        item.change.status = 'applied';
+                    } catch (operationError) {
+                        fail(item.change, operationError.message);
+                    }
+                }
+            }
+        }
+
+        items.forEach(({ item }) => {
+            const { change } = item;
+            if (change.status === 'applied') logger.success(`   ✓ ${change.target}: ${change.action}`);
+            else logger.error(`   ❌ ${change.target}: ${change.error}`);
+        });
+    }
+}
+
+/**
+ * Appends an applied promotion to the audit log
+ * @param {Object} entry - What was promoted
+ * @param {string} entry.from - Source environment
+ * @param {string} entry.to - Target environment
+ * @param {string[]} entry.selection - Selection and processes
+ * @param {import('./syncPlan').PlannedChange[]} entry.changes - Changes with their status
+ * @returns {string} Log file path
+ */
+function recordPromotion(entry) {
+    const logPath = path.join(process.cwd(), PROMOTION_LOG_FILE);
+    const count = status => entry.changes.filter(change => change.status === status).length;
+
+    const line = {
+        date: new Date().toISOString(),
+        user: os.userInfo().username,
+        ...entry,
+        summary: { applied: count('applied'), failed: count('failed'), blocked: count('blocked') }
+    };
+    fs.appendFileSync(logPath, `${JSON.stringify(line)}\n`);
+    return logPath;
+}
+
+module.exports = {
+    PROMOTION_LOG_FILE,
+    createReferenceMapper,
+    loadSelection,
+    loadProcessVersion,
+    planClass,
+    planProcessVersion,
+    diffList,
+    listChanges,
+    applyPromotion,
+    recordPromotion
+};
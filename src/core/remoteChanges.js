@@ -0,0 +1,197 @@
+/**
+ * @fileoverview Remote Changes Detection
+ *
+ * Optimistic concurrency for sync: before patching a class, the server
+ * `_revision` is compared with the one recorded at the last pull/sync
+ * (see ./manifest). When it moved, the remote methods/fields are hashed and
+ * compared with the recorded hashes to find out what a colleague changed.
+ * The sync is refused only when the part it would replace changed remotely.
+ *
+ * @module core/remoteChanges
+ */
+
+const path = require('path');
+const { loadManifest, saveManifest, buildManifestEntry, hashRecord, hashByIdentifier, hashClassProperties } = require('./manifest');
+
+/**
+ * @typedef {Object} RemoteChange
+ * @property {'class'|'method'|'field'|'property'|'role'} kind - What changed
+ * @property {string} identifier - Identifier of the changed item
+ * @property {'added'|'modified'|'removed'} type - Kind of change
+ */
+
+/**
+ * @typedef {Object} RemoteCheck
+ * @property {boolean} tracked - Whether a base revision was recorded
+ * @property {string|null} baseRevision - Revision recorded at the last pull/sync
+ * @property {RemoteChange[]} changes - Everything that changed remotely
+ * @property {RemoteChange[]} conflicts - Changes the sync would overwrite
+ */
+
+/**
+ * Compares two hash maps
+ * @param {'method'|'field'|'property'|'role'} kind - Item kind
+ * @param {Object<string, string>} base - Recorded hashes
+ * @param {Object<string, string>} remote - Current remote hashes
+ * @returns {RemoteChange[]}
+ */
+function diffHashes(kind, base, remote) {
+    const changes = [];
+    for (const [identifier, hash] of Object.entries(remote)) {
+        if (!(identifier in base)) changes.push({ kind, identifier, type: 'added' });
+        else if (base[identifier] !== hash) changes.push({ kind, identifier, type: 'modified' });
+    }
+    for (const identifier of Object.keys(base)) {
+        if (!(identifier in remote)) changes.push({ kind, identifier, type: 'removed' });
+    }
+    return changes;
+}
+
+/**
+ * Checks whether a change touches what is being synced
+ * @param {RemoteChange} change - Remote change
+ * @param {{ methods?: string[], fields?: boolean, properties?: string[] }} target - Synced part
+ * @returns {boolean}
+ */
+function affectsTarget(change, target) {
+    if (change.kind === 'class') return true;
+    if (change.kind === 'method') return (target.methods || []).includes(change.identifier);
+    if (change.kind === 'field') return Boolean(target.fields);
+    if (change.kind === 'property') return (target.properties || []).includes(change.identifier);
+    return false;
+}
+
+/**
+ * Compares the remote class with the base recorded at the last pull/sync
+ * @param {string} rootPath - Classes root path
+ * @param {Object} remoteClass - Class as currently stored in Sydle
+ * @param {{ methods?: string[], fields?: boolean, properties?: string[] }} target - Parts about to be replaced (methods, fields and/or class properties)
+ * @returns {RemoteCheck}
+ */
+function checkRemoteClass(rootPath, remoteClass, target) {
+    const entry = loadManifest(rootPath).classes[remoteClass._id];
+    if (!entry || entry.revision === null || remoteClass._revision === undefined) {
+        return { tracked: false, baseRevision: null, changes: [], conflicts: [] };
+    }
+
+    const result = { tracked: true, baseRevision: entry.revision, changes: [], conflicts: [] };
+    if (String(remoteClass._revision) === entry.revision) {
+        return result;
+    }
+
+    if (entry.methods && entry.fields) {
+        result.changes.push(
+            ...diffHashes('method', entry.methods, hashByIdentifier(remoteClass.methods) || {}),
+            ...diffHashes('field', entry.fields, hashByIdentifier(remoteClass.fields) || {})
+        );
+        // Property hashes were added later: older entries only compare methods and fields
+        if (entry.properties) {
+            result.changes.push(...diffHashes('property', entry.properties, hashClassProperties(remoteClass)));
+        }
+    } else {
+        // Manifest written before hashes were recorded: cannot tell what changed
+        result.changes.push({ kind: 'class', identifier: remoteClass.identifier, type: 'modified' });
+    }
+
+    result.conflicts = result.changes.filter(change => affectsTarget(change, target));
+    return result;
+}
+
+/**
+ * Describes who last updated a record and when
+ * @param {Object} record - Record with _lastUpdateUser/_lastUpdateDate
+ * @returns {string} e.g. " by Maria at 2026-01-01T10:00:00.000Z" (empty when unknown)
+ */
+function describeLastUpdate(record) {
+    const user = record._lastUpdateUser;
+    const userName = user && typeof user === 'object' ? (user.name || user.login || user._id) : user;
+    return `${userName ? ` by ${userName}` : ''}${record._lastUpdateDate ? ` at ${record._lastUpdateDate}` : ''}`;
+}
+
+/**
+ * Prints the remote changes that block a sync
+ * @param {import('../utils/logger').Logger} logger - Logger instance
+ * @param {Object} remoteRecord - Record as currently stored in Sydle
+ * @param {string|null} baseRevision - Revision recorded at the last pull/sync
+ * @param {RemoteChange[]} conflicts - Changes the sync would overwrite
+ */
+function printRemoteConflict(logger, remoteRecord, baseRevision, conflicts) {
+    const symbols = { added: '+', modified: '~', removed: '-' };
+
+    logger.warn(`   ⚠ Changed remotely since the last pull/sync (revision ${baseRevision} → ${remoteRecord._revision}${describeLastUpdate(remoteRecord)}):`);
+    conflicts.forEach(change => logger.warn(`      ${symbols[change.type]} ${change.kind} ${change.identifier} (${change.type})`));
+    logger.warn(`   Run 'sydle pull' to get the remote version, or sync with --force to overwrite it.`);
+}
+
+/**
+ * Records the state of a class after a successful sync.
+ * When nothing else changed remotely, the whole entry (revision included)
+ * is rebuilt from the updated class; otherwise only the synced part is
+ * updated, so the next pull still downloads the colleague's changes.
+ *
+ * @param {string} rootPath - Classes root path
+ * @param {string} classPath - Local class folder
+ * @param {Object} updatedClass - Class as stored in Sydle after the patch
+ * @param {{ methods?: string[], fields?: boolean, properties?: string[] }} target - Synced parts
+ * @param {RemoteCheck} check - Result of checkRemoteClass before the patch
+ */
+function recordSyncedClass(rootPath, classPath, updatedClass, target, check) {
+    const manifest = loadManifest(rootPath);
+    const entry = manifest.classes[updatedClass._id];
+    const foreignChanges = check.changes.filter(change => !affectsTarget(change, target));
+
+    if (!entry || foreignChanges.length === 0) {
+        const packageIdentifier = entry ? entry.packageIdentifier : path.relative(rootPath, classPath).split(path.sep)[0];
+        manifest.classes[updatedClass._id] = buildManifestEntry(updatedClass, { identifier: packageIdentifier });
+    } else {
+        if (entry.methods) {
+            for (const identifier of target.methods || []) {
+                const method = (updatedClass.methods || []).find(m => m.identifier === identifier);
+                if (method) entry.methods[identifier] = hashRecord(method);
+                else delete entry.methods[identifier];
+            }
+        }
+        if (target.fields && entry.fields) {
+            entry.fields = hashByIdentifier(updatedClass.fields) || {};
+        }
+        if (entry.properties) {
+            const properties = hashClassProperties(updatedClass);
+            for (const property of target.properties || []) {
+                if (property in properties) entry.properties[property] = properties[property];
+            }
+        }
+    }
+    saveManifest(rootPath, manifest);
+}
+
+/**
+ * Compares a remote process role with the version recorded in version.json
+ * @param {Object} baseVersion - Local version.json (last pull/sync)
+ * @param {Object} remoteVersion - Process version as currently stored in Sydle
+ * @param {string} roleIdentifier - Role about to be replaced
+ * @returns {RemoteCheck}
+ */
+function checkRemoteRole(baseVersion, remoteVersion, roleIdentifier) {
+    if (baseVersion._revision === undefined || remoteVersion._revision === undefined) {
+        return { tracked: false, baseRevision: null, changes: [], conflicts: [] };
+    }
+
+    const result = { tracked: true, baseRevision: String(baseVersion._revision), changes: [], conflicts: [] };
+    if (String(remoteVersion._revision) === result.baseRevision) {
+        return result;
+    }
+
+    const base = hashByIdentifier(baseVersion.processRoles) || {};
+    const remote = hashByIdentifier(remoteVersion.processRoles) || {};
+    result.changes = diffHashes('role', base, remote);
+    result.conflicts = result.changes.filter(change => change.identifier === roleIdentifier);
+    return result;
+}
+
+module.exports = {
+    checkRemoteClass,
+    checkRemoteRole,
+    recordSyncedClass,
+    printRemoteConflict,
+    describeLastUpdate
+};
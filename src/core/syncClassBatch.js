@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Sync Class Batch
+ *
+ * Syncs the class.json properties, fields.js and methods of one class with a
+ * single `get` and a single `_patch` (see core/classPatch), instead of one round trip and one
+ * revision per method.
+ *
+ * @module core/syncClassBatch
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { get } = require('../api/main');
+const { prepareMethodSync, isUnpublishedDraft } = require('./syncLogic');
+const { prepareFieldsSync } = require('./syncFields');
+const { prepareClassMetadataSync } = require('./syncClassMetadata');
+const { applyClassChanges } = require('./classPatch');
+const { classLabel } = require('./syncPlan');
+
+/**
+ * Removes the prepared changes from a core result
+ * @param {Object} result - Result of prepareMethodSync/prepareFieldsSync/prepareClassMetadataSync
+ * @returns {Object}
+ */
+function toResult({ change, changes, ...result }) {
+    return result;
+}
+
+/**
+ * Syncs the given files of one class
+ *
+ * @param {string} classFolder - Local class folder
+ * @param {Object} files
+ * @param {boolean} [files.classProperties] - Also sync the allowed class.json properties (see core/syncClassMetadata)
+ * @param {string|null} [files.fieldsJsPath] - Absolute path to fields.js
+ * @param {string[]} [files.methodJsonPaths] - Absolute paths to method.json files
+ * @param {string} classId - Class metadata ID
+ * @param {string} rootPath - Root project path (e.g., sydle-dev)
+ * @param {Object} logger - Logger instance
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Overwrite parts changed remotely since the last pull/sync
+ * @param {boolean} [options.plan] - Only compute the changes (see core/syncPlan)
+ * @param {boolean} [options.allowFieldRemoval] - Remove fields missing from fields.js without asking
+ * @param {Object} [options.currentClass] - Class already fetched from Sydle (saves a `get`)
+ * @param {string[]} [options.classProperties] - Allowed class properties (defaults to sydle.config.json)
+ * @returns {Promise<{ properties: Object|null, fields: Object|null, methods: Object[] }>} Results shaped like syncFieldsCore/syncMethodCore
+ */
+async function syncClassCore(classFolder, files, classId, rootPath, logger, options = {}) {
+    const { classProperties = false, fieldsJsPath = null, methodJsonPaths = [] } = files;
+    const fail = (message) => ({
+        properties: classProperties ? { success: false, message } : null,
+        fields: fieldsJsPath ? { success: false, message } : null,
+        methods: methodJsonPaths.map(() => ({ success: false, message }))
+    });
+
+    const classJsonPath = path.join(classFolder, 'class.json');
+    if (!fs.existsSync(classJsonPath)) {
+        logger.error(`❌ class.json not found in ${classFolder}`);
+        return fail('class.json not found');
+    }
+
+    const classData = JSON.parse(fs.readFileSync(classJsonPath, 'utf-8'));
+
+    // A draft only exists locally while planning
+    let currentClass = options.currentClass;
+    if (!currentClass) {
+        try {
+            currentClass = options.plan && isUnpublishedDraft(classData)
+                ? { fields: [], methods: [] }
+                : await get(classId, classData._id);
+        } catch (error) {
+            logger.error(`❌ Failed to fetch class ${classLabel(classFolder)}: ${error.message}`);
+            return fail(`Failed to fetch class: ${error.message}`);
+        }
+    }
+
+    // A draft is created with its class.json as is (see ensureClassExists)
+    const properties = classProperties && !isUnpublishedDraft(classData)
+        ? prepareClassMetadataSync(classJsonPath, currentClass, rootPath, logger, options)
+        : null;
+    const fields = fieldsJsPath ? await prepareFieldsSync(fieldsJsPath, currentClass, rootPath, logger, options) : null;
+    const methods = methodJsonPaths.map(methodJsonPath => prepareMethodSync(methodJsonPath, currentClass, rootPath, logger, options));
+
+    const prepared = [properties, fields, ...methods].filter(result => result && (result.change || result.changes));
+    const changesOf = result => result.changes || [result.change];
+    if (prepared.length > 0) {
+        const { failed } = await applyClassChanges({
+            classId,
+            classFolder,
+            rootPath,
+            currentClass,
+            changes: prepared.flatMap(changesOf),
+            logger
+        });
+        for (const result of prepared) {
+            if (changesOf(result).some(change => failed.includes(change))) {
+                result.success = false;
+                result.message = 'Failed to patch';
+            }
+        }
+    }
+
+    return {
+        properties: properties && toResult(properties),
+        fields: fields && toResult(fields),
+        methods: methods.map(toResult)
+    };
+}
+
+module.exports = { syncClassCore };
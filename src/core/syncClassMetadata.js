@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Sync Class Metadata
+ *
+ * Syncs the class-level properties of class.json (name, description, type,
+ * indexes...) that the CLI is allowed to manage. The allow-list comes from
+ * `sync.classProperties` in sydle.config.json; identifiers, the package,
+ * fields, methods and system metadata (`_*`) are never sent from here.
+ *
+ * @module core/syncClassMetadata
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadProjectConfig } = require('../utils/profiles');
+const { recordFileHashes } = require('./manifest');
+const { checkRemoteClass, printRemoteConflict } = require('./remoteChanges');
+const { classLabel } = require('./syncPlan');
+
+/** Class properties synced when sydle.config.json does not set `sync.classProperties` */
+const DEFAULT_CLASS_PROPERTIES = ['name', 'description', 'type', 'index', 'indexes'];
+
+/** Properties with their own sync (fields.js, methods) or that must never change from class.json */
+const PROTECTED_CLASS_PROPERTIES = ['identifier', 'package', 'fields', 'methods'];
+
+/**
+ * Resolves the class properties the CLI may patch
+ * @returns {string[]}
+ * @throws {Error} When `sync.classProperties` is not a list of manageable properties
+ */
+function getManagedClassProperties() {
+    const configured = loadProjectConfig().sync?.classProperties;
+    if (configured === undefined) {
+        return DEFAULT_CLASS_PROPERTIES;
+    }
+
+    if (!Array.isArray(configured) || configured.some(property => typeof property !== 'string')) {
+        throw new Error('sync.classProperties in sydle.config.json must be a list of property names');
+    }
+
+    const invalid = configured.filter(property => property.startsWith('_') || PROTECTED_CLASS_PROPERTIES.includes(property));
+    if (invalid.length > 0) {
+        throw new Error(`sync.classProperties cannot include: ${invalid.join(', ')}`);
+    }
+    return configured;
+}
+
+/**
+ * Prepares the patch operations of the class properties changed in class.json
+ * @param {string} classJsonPath - Absolute path to class.json
+ * @param {Object} currentClass - Class as stored in Sydle
+ * @param {string} rootPath - Root project path (e.g., sydle-dev)
+ * @param {Object} logger - Logger instance
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Overwrite properties changed remotely since the last pull/sync
+ * @param {boolean} [options.plan] - Only compute the changes (see core/syncPlan)
+ * @param {string[]} [options.classProperties] - Allow-list already resolved by the caller
+ * @returns {{success: boolean, unchanged?: boolean, conflict?: boolean, message?: string, plan?: Object[], changes?: import('./classPatch').PreparedChange[]}}
+ */
+function prepareClassMetadataSync(classJsonPath, currentClass, rootPath, logger, options = {}) {
+    const classFolder = path.dirname(classJsonPath);
+
+    try {
+        const allowed = options.classProperties || getManagedClassProperties();
+        const classData = JSON.parse(fs.readFileSync(classJsonPath, 'utf-8'));
+
+        // 1. Allowed properties whose local value differs from Sydle
+        const properties = allowed.filter(property =>
+            property in classData && JSON.stringify(classData[property]) !== JSON.stringify(currentClass[property]));
+
+        if (properties.length === 0) {
+            return { success: true, unchanged: true };
+        }
+
+        logger.progress(`🔄 ${path.basename(classFolder)}/class.json`);
+
+        // 2. Refuse to overwrite properties edited remotely since the last pull/sync
+        const target = { properties };
+        const check = checkRemoteClass(rootPath, currentClass, target);
+        const blocked = check.conflicts.length > 0 && !options.force;
+        const actionOf = property => (property in currentClass ? 'change' : 'add');
+
+        if (options.plan) {
+            const label = classLabel(classFolder);
+            const plan = properties.map(property => ({ type: 'property', action: actionOf(property), target: `${label}.${property}` }));
+            if (blocked) plan.forEach(change => { change.blocked = 'changed remotely'; });
+            return { success: true, plan };
+        }
+
+        if (blocked) {
+            printRemoteConflict(logger, currentClass, check.baseRevision, check.conflicts);
+            return { success: false, conflict: true, message: 'Changed remotely' };
+        }
+        if (check.conflicts.length > 0) {
+            logger.warn(`   ⚠ Overwriting remote changes (--force)`);
+        }
+
+        // 3. One operation per property, so a rejected value does not block the others
+        return {
+            success: true,
+            changes: properties.map(property => ({
+                label: `class.json ${property}`,
+                operation: { op: actionOf(property) === 'add' ? 'add' : 'replace', path: `/${property}`, value: classData[property] },
+                target: { properties: [property] },
+                description: 'Synced',
+                commit: () => recordFileHashes(rootPath, [classJsonPath])
+            }))
+        };
+
+    } catch (error) {
+        logger.error(`   ❌ ${classLabel(classFolder)}/class.json: ${error.message}`);
+        return { success: false, message: error.message };
+    }
+}
+
+module.exports = {
+    DEFAULT_CLASS_PROPERTIES,
+    getManagedClassProperties,
+    prepareClassMetadataSync
+};
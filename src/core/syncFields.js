@@ -11,8 +11,15 @@
 
 const fs = require('fs');
 const path = require('path');
-const { get, patch } = require('../api/main');
-const { convertFieldsToApi } = require('../generators/fieldApiConverter');
+const { get } = require('../api/main');
+const { convertFieldsToApi, getFieldRenames } = require('../generators/fieldApiConverter');
+const { recordFileHashes, hasDifferences } = require('./manifest');
+const { checkRemoteClass, printRemoteConflict } = require('./remoteChanges');
+const { classLabel } = require('./syncPlan');
+const { isUnpublishedDraft } = require('./syncLogic');
+const { applyClassChanges } = require('./classPatch');
+const { hasConflictMarkers } = require('../utils/merge');
+const { prompt, isNonInteractive } = require('../utils/prompt');
 
 /**
  * Class ID for the Class metadata (used for patching classes)
@@ -20,30 +27,98 @@ const { convertFieldsToApi } = require('../generators/fieldApiConverter');
 const CLASS_METADATA_ID = '000000000000000000000000';
 
 /**
- * Synchronizes fields from a fields.js file with the Sydle API
- * 
+ * @typedef {Object} FieldDiff
+ * @property {string[]} added - New field identifiers
+ * @property {string[]} modified - Fields with any property set by fields.js different from Sydle
+ * @property {string[]} removed - Fields in Sydle missing from fields.js
+ * @property {{ from: string, to: string }[]} renamed - Fields renamed with `.renamedFrom('old')`
+ */
+
+/**
+ * Compares the user fields stored in Sydle with the ones defined in fields.js.
+ * A field is modified when any property set by fields.js differs from Sydle
+ * (see manifest.hasDifferences).
+ *
+ * @param {Object[]} apiFields - User fields currently in Sydle
+ * @param {Object[]} newFields - Fields converted from fields.js
+ * @param {Object<string, string>} [renames] - Previous identifier by new identifier (see getFieldRenames)
+ * @returns {FieldDiff}
+ */
+function diffFields(apiFields, newFields, renames = {}) {
+    const apiByIdentifier = new Map(apiFields.map(f => [f.identifier, f]));
+    const added = [];
+    const modified = [];
+    const renamed = [];
+
+    for (const field of newFields) {
+        const current = apiByIdentifier.get(field.identifier);
+        const previous = renames[field.identifier];
+        if (!current && previous && apiByIdentifier.has(previous)) {
+            renamed.push({ from: previous, to: field.identifier });
+        } else if (!current) {
+            added.push(field.identifier);
+        } else if (hasDifferences(field, current)) {
+            modified.push(field.identifier);
+        }
+    }
+
+    const kept = new Set([...newFields.map(f => f.identifier), ...renamed.map(r => r.from)]);
+    const removed = apiFields.filter(f => !kept.has(f.identifier)).map(f => f.identifier);
+    return { added, modified, removed, renamed };
+}
+
+/**
+ * Prints the field changes about to be sent
+ * @param {Object} logger - Logger instance
+ * @param {FieldDiff} diff - Field changes
+ */
+function printFieldChanges(logger, { added, modified, removed, renamed }) {
+    added.forEach(identifier => logger.log(`   + field ${identifier} (added)`));
+    modified.forEach(identifier => logger.log(`   ~ field ${identifier} (modified)`));
+    renamed.forEach(({ from, to }) => logger.log(`   → field ${from} → ${to} (renamed)`));
+    removed.forEach(identifier => logger.warn(`   - field ${identifier} (removed)`));
+}
+
+/**
+ * Asks whether fields may be removed from Sydle (refused in non-interactive mode)
+ * @param {Object} logger - Logger instance
+ * @param {string} className - Class name
+ * @param {string[]} removed - Field identifiers
+ * @returns {Promise<boolean>}
+ */
+async function confirmFieldRemoval(logger, className, removed) {
+    if (isNonInteractive()) {
+        logger.error(`   ❌ Removing field(s) ${removed.join(', ')} needs confirmation: use --allow-field-removal in non-interactive mode`);
+        return false;
+    }
+
+    const { confirmRemoval } = await prompt([{
+        type: 'confirm',
+        name: 'confirmRemoval',
+        message: `Remove ${removed.length} field(s) from ${className} in Sydle (${removed.join(', ')})? Their data will no longer be available.`,
+        default: false
+    }]);
+    return confirmRemoval;
+}
+
+/**
+ * Prepares the patch operation of a fields.js against the class already fetched from Sydle
+ *
  * @param {string} fieldsJsPath - Absolute path to the fields.js file
- * @param {string} classId - Class metadata ID (usually '000000000000000000000000')
+ * @param {Object} currentClass - Class as stored in Sydle
  * @param {string} rootPath - Root project path (e.g., sydle-dev)
  * @param {Object} logger - Logger instance with success, error, warn, progress methods
- * @returns {Promise<{success: boolean, message?: string}>}
- * 
- * @example
- * await syncFieldsCore(
- *     'C:/project/sydle-dev/rh/Funcionario/fields.js',
- *     '000000000000000000000000',
- *     'C:/project/sydle-dev',
- *     logger
- * );
+ * @param {Object} [options] - See syncFieldsCore
+ * @returns {Promise<{success: boolean, unchanged?: boolean, conflict?: boolean, removalRefused?: boolean, message?: string, plan?: Object[], change?: import('./classPatch').PreparedChange}>}
  */
-async function syncFieldsCore(fieldsJsPath, classId, rootPath, logger) {
+async function prepareFieldsSync(fieldsJsPath, currentClass, rootPath, logger, options = {}) {
     const classFolder = path.dirname(fieldsJsPath);
     const className = path.basename(classFolder);
 
     try {
         logger.progress(`🔄 ${className}/fields.js`);
 
-        // 1. Read class.json to get the class _id and existing fields
+        // 1. Read class.json to get the existing fields
         const classJsonPath = path.join(classFolder, 'class.json');
         if (!fs.existsSync(classJsonPath)) {
             logger.error(`   ❌ class.json not found in ${classFolder}`);
@@ -51,10 +126,20 @@ async function syncFieldsCore(fieldsJsPath, classId, rootPath, logger) {
         }
 
         const classData = JSON.parse(fs.readFileSync(classJsonPath, 'utf-8'));
-        const classRecordId = classData._id;
         const existingFields = classData.fields || [];
 
-        // 2. Load fields.js module
+        // 2. Load fields.js module (not while a merge left conflict markers in it)
+        if (hasConflictMarkers(fs.readFileSync(fieldsJsPath, 'utf-8'))) {
+            if (options.plan) {
+                return {
+                    success: true,
+                    plan: [{ type: 'field', action: 'change', target: classLabel(classFolder), detail: 'fields.js', blocked: 'conflict markers' }]
+                };
+            }
+            logger.error(`   ❌ Conflict markers in fields.js. Resolve them and sync again.`);
+            return { success: false, message: 'Unresolved conflict markers' };
+        }
+
         // Clear require cache to get fresh content
         delete require.cache[require.resolve(fieldsJsPath)];
 
@@ -68,27 +153,14 @@ async function syncFieldsCore(fieldsJsPath, classId, rootPath, logger) {
 
         // 3. Convert fields to API format
         const newFields = convertFieldsToApi(fieldsModule, existingFields);
+        const renames = getFieldRenames(fieldsModule);
 
         if (newFields.length === 0) {
             logger.warn(`   ⚠ No fields found in fields.js`);
             return { success: false, message: 'No fields defined' };
         }
 
-        // 4. Get current class from API to compare
-        let currentClass;
-        try {
-            currentClass = await get(classId, classRecordId);
-        } catch (apiError) {
-            logger.error(`   ❌ Failed to fetch class: ${apiError.message}`);
-            return { success: false, message: `Failed to fetch class: ${apiError.message}` };
-        }
-
-        if (!currentClass) {
-            logger.error(`   ❌ Class not found in Sydle`);
-            return { success: false, message: 'Class not found in Sydle' };
-        }
-
-        // 5. Build merged fields array
+        // 4. Build merged fields array
         // Keep system fields from current class, replace user fields with new ones
         const currentFields = currentClass.fields || [];
         const systemFields = currentFields.filter(f => f.identifier && f.identifier.startsWith('_'));
@@ -99,8 +171,9 @@ async function syncFieldsCore(fieldsJsPath, classId, rootPath, logger) {
         const mergedFields = [...systemFields];
 
         for (const newField of newFields) {
-            // Find matching field in API to preserve _id
-            const existingApiField = userFieldsFromApi.find(f => f.identifier === newField.identifier);
+            // Find matching field in API to preserve _id (by its previous identifier when renamed)
+            const existingApiField = userFieldsFromApi.find(f => f.identifier === newField.identifier)
+                || userFieldsFromApi.find(f => f.identifier === renames[newField.identifier]);
 
             if (existingApiField) {
                 // Preserve _id and _classRevision from existing field
@@ -111,35 +184,138 @@ async function syncFieldsCore(fieldsJsPath, classId, rootPath, logger) {
             mergedFields.push(newField);
         }
 
-        // 6. Create patch operation to replace all fields
-        const patchData = {
-            _id: classRecordId,
-            _operationsList: [{
-                op: 'replace',
-                path: '/fields',
-                value: mergedFields
-            }]
+        // 5. Nothing to patch when Sydle already has these fields
+        const diff = diffFields(userFieldsFromApi, newFields, renames);
+        const { added, modified, removed, renamed } = diff;
+        if (added.length + modified.length + removed.length + renamed.length === 0) {
+            if (!options.plan) {
+                recordFileHashes(rootPath, [fieldsJsPath]);
+                logger.log(`   = Unchanged`);
+            }
+            return { success: true, unchanged: true };
+        }
+
+        // 6. Refuse to overwrite fields edited remotely since the last pull/sync
+        const target = { fields: true };
+        const check = checkRemoteClass(rootPath, currentClass, target);
+        const blocked = check.conflicts.length > 0 && !options.force;
+
+        if (options.plan) {
+            const label = classLabel(classFolder);
+            const plan = [
+                ...added.map(identifier => ({ type: 'field', action: 'add', target: `${label}.${identifier}` })),
+                ...modified.map(identifier => ({ type: 'field', action: 'change', target: `${label}.${identifier}` })),
+                ...renamed.map(({ from, to }) => ({ type: 'field', action: 'rename', target: `${label}.${to}`, detail: `from ${from}` })),
+                ...removed.map(identifier => ({
+                    type: 'field',
+                    action: 'remove',
+                    target: `${label}.${identifier}`,
+                    ...(options.allowFieldRemoval ? {} : { detail: 'needs confirmation or --allow-field-removal' })
+                }))
+            ];
+            if (blocked) plan.forEach(change => { change.blocked = 'changed remotely'; });
+            return { success: true, plan };
+        }
+
+        if (blocked) {
+            printRemoteConflict(logger, currentClass, check.baseRevision, check.conflicts);
+            return { success: false, conflict: true, message: 'Changed remotely' };
+        }
+        if (check.conflicts.length > 0) {
+            logger.warn(`   ⚠ Overwriting remote changes (--force)`);
+        }
+
+        // 7. Show what will change; removing a field drops it (and its data) in Sydle
+        printFieldChanges(logger, diff);
+        if (removed.length > 0 && !options.allowFieldRemoval && !(await confirmFieldRemoval(logger, className, removed))) {
+            logger.warn(`   ⚠ Not synced: field removal not confirmed`);
+            return { success: false, removalRefused: true, message: 'Field removal not confirmed' };
+        }
+
+        // 8. Patch operation to replace all fields
+        return {
+            success: true,
+            change: {
+                label: 'fields.js',
+                operation: { op: 'replace', path: '/fields', value: mergedFields },
+                target,
+                description: `Synced (${newFields.length} user fields, ${systemFields.length} system fields)`,
+                commit: () => {
+                    // Update local class.json with new fields
+                    classData.fields = mergedFields;
+                    fs.writeFileSync(classJsonPath, JSON.stringify(classData, null, 2), 'utf-8');
+
+                    // Local fields now match the remote version
+                    recordFileHashes(rootPath, [fieldsJsPath, classJsonPath]);
+                }
+            }
         };
 
-        // 7. Send patch to API
+    } catch (error) {
+        logger.error(`   ❌ Failed: ${error.message}`);
+        if (error.stack) logger.debug?.(error.stack);
+        return { success: false, message: error.message };
+    }
+}
+
+/**
+ * Synchronizes fields from a fields.js file with the Sydle API
+ * (syncClass batches fields and methods of a class, see core/syncClassBatch)
+ * 
+ * @param {string} fieldsJsPath - Absolute path to the fields.js file
+ * @param {string} classId - Class metadata ID (usually '000000000000000000000000')
+ * @param {string} rootPath - Root project path (e.g., sydle-dev)
+ * @param {Object} logger - Logger instance with success, error, warn, progress methods
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Overwrite the fields even if they changed remotely since the last pull/sync
+ * @param {boolean} [options.plan] - Only compute the field changes, without writing locally or remotely (see core/syncPlan)
+ * @param {boolean} [options.allowFieldRemoval] - Remove fields missing from fields.js without asking
+ * @returns {Promise<{success: boolean, unchanged?: boolean, conflict?: boolean, removalRefused?: boolean, message?: string, plan?: Object[]}>}
+ * 
+ * @example
+ * await syncFieldsCore(
+ *     'C:/project/sydle-dev/rh/Funcionario/fields.js',
+ *     '000000000000000000000000',
+ *     'C:/project/sydle-dev',
+ *     logger
+ * );
+ */
+async function syncFieldsCore(fieldsJsPath, classId, rootPath, logger, options = {}) {
+    const classFolder = path.dirname(fieldsJsPath);
+
+    try {
+        // Read class.json to get the class _id
+        const classJsonPath = path.join(classFolder, 'class.json');
+        if (!fs.existsSync(classJsonPath)) {
+            logger.error(`   ❌ class.json not found in ${classFolder}`);
+            return { success: false, message: 'class.json not found' };
+        }
+
+        const classData = JSON.parse(fs.readFileSync(classJsonPath, 'utf-8'));
+
+        // Get current class from API to compare (a draft only exists locally while planning)
+        let currentClass;
         try {
-            await patch(classId, patchData);
-        } catch (patchError) {
-            logger.error(`   ❌ Failed to patch: ${patchError.message}`);
-            if (patchError.response?.data) {
-                logger.error(`      ${JSON.stringify(patchError.response.data)}`);
-            }
-            return { success: false, message: `Failed to patch: ${patchError.message}` };
+            currentClass = options.plan && isUnpublishedDraft(classData)
+                ? { fields: [] }
+                : await get(classId, classData._id);
+        } catch (apiError) {
+            logger.error(`   ❌ Failed to fetch class: ${apiError.message}`);
+            return { success: false, message: `Failed to fetch class: ${apiError.message}` };
         }
 
-        // 8. Update local class.json with new fields
-        classData.fields = mergedFields;
-        fs.writeFileSync(classJsonPath, JSON.stringify(classData, null, 2), 'utf-8');
+        if (!currentClass) {
+            logger.error(`   ❌ Class not found in Sydle`);
+            return { success: false, message: 'Class not found in Sydle' };
+        }
 
-        const userFieldCount = newFields.length;
-        logger.success(`   ✓ Synced (${userFieldCount} user fields, ${systemFields.length} system fields)`);
+        const { change, ...result } = await prepareFieldsSync(fieldsJsPath, currentClass, rootPath, logger, options);
+        if (!change) {
+            return result;
+        }
 
-        return { success: true };
+        const { applied } = await applyClassChanges({ classId, classFolder, rootPath, currentClass, changes: [change], logger });
+        return applied.length > 0 ? { success: true } : { success: false, message: 'Failed to patch' };
 
     } catch (error) {
         logger.error(`   ❌ Failed: ${error.message}`);
@@ -148,4 +324,4 @@ async function syncFieldsCore(fieldsJsPath, classId, rootPath, logger) {
     }
 }
 
-module.exports = { syncFieldsCore, CLASS_METADATA_ID };
+module.exports = { syncFieldsCore, prepareFieldsSync, diffFields, CLASS_METADATA_ID };
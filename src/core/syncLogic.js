@@ -1,16 +1,33 @@
 const fs = require('fs');
 const path = require('path');
-const { get, patch, create } = require('../api/main');
+const { get, create } = require('../api/main');
+const { recordFileHashes, hasDifferences } = require('./manifest');
+const { checkRemoteClass, printRemoteConflict } = require('./remoteChanges');
+const { classLabel } = require('./syncPlan');
+const { applyClassChanges } = require('./classPatch');
+const { applyParameterFiles, saveParameterJson } = require('./methodParameters');
+const { hasConflictMarkers } = require('../utils/merge');
 
 const CLASS_METADATA_ID = '000000000000000000000000';
 
+/**
+ * Checks if a local class/version is an unpublished draft (_revision: "0")
+ * @param {Object} data - Local class.json/version.json data
+ * @returns {boolean}
+ */
+function isUnpublishedDraft(data) {
+    return data._revision === "0" || data._revision === 0;
+}
+
 /**
  * Ensures a class exists in Sydle, creating it if needed
  * @param {string} classJsonPath - Absolute path to class.json
  * @param {Object} logger - Logger instance
- * @returns {Promise<{success: boolean, classData: Object|null, created: boolean}>}
+ * @param {Object} [options]
+ * @param {boolean} [options.plan] - Only report whether the class would be created (see core/syncPlan)
+ * @returns {Promise<{success: boolean, classData: Object|null, created: boolean, plan?: Object[]}>}
  */
-async function ensureClassExists(classJsonPath, logger) {
+async function ensureClassExists(classJsonPath, logger, options = {}) {
     if (!fs.existsSync(classJsonPath)) {
         return { success: false, classData: null, created: false };
     }
@@ -19,9 +36,12 @@ async function ensureClassExists(classJsonPath, logger) {
     const className = classData.identifier || classData.name;
 
     // Check if this is an unpublished draft (_revision: "0" indicates not yet created in Sydle)
-    const isUnpublishedDraft = classData._revision === "0" || classData._revision === 0;
+    if (isUnpublishedDraft(classData)) {
+        if (options.plan) {
+            const plan = [{ type: 'class', action: 'create', target: classLabel(path.dirname(classJsonPath)) }];
+            return { success: true, classData: null, created: false, plan };
+        }
 
-    if (isUnpublishedDraft) {
         logger.progress(`📤 Publishing class '${className}' to Sydle...`);
 
         // Clean up draft-specific fields before creating
@@ -63,20 +83,34 @@ async function ensureClassExists(classJsonPath, logger) {
 }
 
 /**
- * Core logic to sync a method to Sydle
+ * Resolves the method and class of a method.json path
+ * (<package>/<Class>/methods/<method>/method.json)
  * @param {string} methodJsonPath - Absolute path to method.json
- * @param {string} classId - Class Id
+ * @returns {{ methodName: string, className: string, classFolder: string }}
+ */
+function getMethodLocation(methodJsonPath) {
+    const methodFolder = path.dirname(methodJsonPath);
+    const parentFolder = path.dirname(methodFolder);
+    const classFolder = path.basename(parentFolder) === 'methods' ? path.dirname(parentFolder) : parentFolder;
+
+    return {
+        methodName: path.basename(methodFolder),
+        className: path.basename(classFolder),
+        classFolder
+    };
+}
+
+/**
+ * Prepares the patch operation of a method against the class already fetched from Sydle
+ * @param {string} methodJsonPath - Absolute path to method.json
+ * @param {Object} currentClass - Class as stored in Sydle
  * @param {string} rootPath - Absolute path to the root environment folder (e.g. sydle-dev)
  * @param {Object} logger - Logger instance
- * @returns {Promise<{success: boolean, skipped?: boolean, message?: string}>}
+ * @param {Object} [options] - See syncMethodCore
+ * @returns {{success: boolean, skipped?: boolean, unchanged?: boolean, conflict?: boolean, message?: string, plan?: Object[], change?: import('./classPatch').PreparedChange}}
  */
-async function syncMethodCore(methodJsonPath, classId, rootPath, logger) {
-    const relativePath = path.relative(rootPath, methodJsonPath);
-    const parts = relativePath.split(path.sep);
-
-    // Extract className and methodName
-    const methodName = parts[parts.length - 2];
-    const className = parts[parts.length - 3];
+function prepareMethodSync(methodJsonPath, currentClass, rootPath, logger, options = {}) {
+    const { methodName, className, classFolder } = getMethodLocation(methodJsonPath);
 
     // Skip system methods that have no custom scripts
     const isSystemMethod = methodName.startsWith('_');
@@ -118,69 +152,141 @@ async function syncMethodCore(methodJsonPath, classId, rootPath, logger) {
         }
 
         // Read all scripts
-        const scripts = [];
-        for (const scriptFile of scriptFiles) {
-            const scriptPath = path.join(scriptsFolder, scriptFile);
-            const scriptContent = fs.readFileSync(scriptPath, 'utf-8');
-            scripts.push(scriptContent);
+        const scriptPaths = scriptFiles.map(file => path.join(scriptsFolder, file));
+        const scripts = scriptPaths.map(scriptPath => fs.readFileSync(scriptPath, 'utf-8'));
+
+        // Scripts merged by pull or compare are not sent while conflicts are unresolved
+        const unresolved = scriptFiles.filter((file, index) => hasConflictMarkers(scripts[index]));
+        if (unresolved.length > 0) {
+            if (options.plan) {
+                const exists = (currentClass.methods || []).some(m => m.identifier === methodName);
+                return {
+                    success: true,
+                    plan: [{
+                        type: 'method',
+                        action: exists ? 'replace' : 'add',
+                        target: `${classLabel(classFolder)}.${methodName}`,
+                        detail: `${scripts.length} script(s)`,
+                        blocked: `conflict markers in ${unresolved.join(', ')}`
+                    }]
+                };
+            }
+            logger.error(`   ❌ Conflict markers in ${unresolved.join(', ')}. Resolve them and sync again.`);
+            return { success: false, message: 'Unresolved conflict markers' };
         }
 
         methodData.scripts = scripts;
 
+        // Parameters authored in input/inputs.js and output/outputs.js
+        const parameterPaths = applyParameterFiles(methodFolder, methodData);
+        const trackedPaths = [...scriptPaths, ...parameterPaths];
+
         // Write updated method.json
-        fs.writeFileSync(methodJsonPath, JSON.stringify(methodData, null, 4), 'utf-8');
+        if (!options.plan) {
+            fs.writeFileSync(methodJsonPath, JSON.stringify(methodData, null, 4), 'utf-8');
+            saveParameterJson(methodFolder, methodData);
+        }
+
+        const methods = currentClass.methods || [];
+        const methodIndex = methods.findIndex(m => m.identifier === methodName);
+
+        // Nothing to patch when Sydle already has the same scripts and metadata
+        if (methodIndex !== -1 && !hasDifferences(methodData, methods[methodIndex])) {
+            if (!options.plan) {
+                recordFileHashes(rootPath, trackedPaths);
+                logger.log(`   = Unchanged`);
+            }
+            return { success: true, unchanged: true };
+        }
+
+        // Refuse to overwrite a method edited remotely since the last pull/sync
+        const target = { methods: [methodName] };
+        const check = checkRemoteClass(rootPath, currentClass, target);
+        const blocked = check.conflicts.length > 0 && !options.force;
+
+        if (options.plan) {
+            const change = {
+                type: 'method',
+                action: methodIndex === -1 ? 'add' : 'replace',
+                target: `${classLabel(classFolder)}.${methodName}`,
+                detail: `${scripts.length} script(s)`
+            };
+            if (blocked) change.blocked = 'changed remotely';
+            return { success: true, plan: [change] };
+        }
+
+        if (check.conflicts.length > 0) {
+            if (blocked) {
+                printRemoteConflict(logger, currentClass, check.baseRevision, check.conflicts);
+                return { success: false, conflict: true, message: 'Changed remotely' };
+            }
+            logger.warn(`   ⚠ Overwriting remote changes (--force)`);
+        }
+
+        // Method doesn't exist: add to end of list, otherwise replace it
+        const operation = methodIndex === -1
+            ? { op: 'add', path: '/methods/-', value: methodData }
+            : { op: 'replace', path: `/methods/${methodIndex}`, value: methodData };
+
+        return {
+            success: true,
+            change: {
+                label: methodName,
+                operation,
+                target,
+                description: `${methodIndex === -1 ? 'Created' : 'Synced'} (${scripts.length} script(s))`,
+                // Local scripts and parameters now match the remote version
+                commit: () => recordFileHashes(rootPath, trackedPaths)
+            }
+        };
 
-        // Get class _id
-        const classFolder = path.dirname(methodFolder);
-        const classJsonPath = path.join(classFolder, 'class.json');
+    } catch (error) {
+        logger.error(`   ❌ Failed: ${error.message}`);
+        if (error.stack) logger.debug(error.stack);
+        return { success: false };
+    }
+}
 
+/**
+ * Core logic to sync a method to Sydle
+ * (syncClass batches all methods of a class, see core/syncClassBatch)
+ * @param {string} methodJsonPath - Absolute path to method.json
+ * @param {string} classId - Class Id
+ * @param {string} rootPath - Absolute path to the root environment folder (e.g. sydle-dev)
+ * @param {Object} logger - Logger instance
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Overwrite the method even if it changed remotely since the last pull/sync
+ * @param {boolean} [options.plan] - Only compute the change, without writing locally or remotely (see core/syncPlan)
+ * @returns {Promise<{success: boolean, skipped?: boolean, unchanged?: boolean, conflict?: boolean, message?: string, plan?: Object[]}>}
+ */
+async function syncMethodCore(methodJsonPath, classId, rootPath, logger, options = {}) {
+    const { classFolder } = getMethodLocation(methodJsonPath);
+    const classJsonPath = path.join(classFolder, 'class.json');
+
+    try {
         if (!fs.existsSync(classJsonPath)) {
             logger.error(`   ❌ class.json not found`);
             return { success: false };
         }
 
         const classData = JSON.parse(fs.readFileSync(classJsonPath, 'utf-8'));
-        const classRecordId = classData._id;
 
-        // Get current class to find method index
-        const currentClass = await get(classId, classRecordId);
+        // Get current class to find method index (a draft only exists locally while planning)
+        const currentClass = options.plan && isUnpublishedDraft(classData)
+            ? { methods: [] }
+            : await get(classId, classData._id);
         if (!currentClass || !currentClass.methods) {
             logger.error(`   ❌ Failed to fetch class data`);
             return { success: false };
         }
 
-        const methodIndex = currentClass.methods.findIndex(m => m.identifier === methodName);
-
-        // Prepare Patch Data
-        let patchOperation;
-        let patchPath;
-        let actionDescription;
-
-        if (methodIndex === -1) {
-            // Method doesn't exist, create it (add to end of list)
-            patchOperation = 'add';
-            patchPath = '/methods/-';
-            actionDescription = 'Created';
-        } else {
-            // Method exists, update it
-            patchOperation = 'replace';
-            patchPath = `/methods/${methodIndex}`;
-            actionDescription = 'Synced';
+        const { change, ...result } = prepareMethodSync(methodJsonPath, currentClass, rootPath, logger, options);
+        if (!change) {
+            return result;
         }
 
-        const updateData = {
-            _id: classRecordId,
-            _operationsList: [{
-                op: patchOperation,
-                path: patchPath,
-                value: methodData
-            }]
-        };
-
-        await patch(classId, updateData);
-
-        logger.success(`   ✓ ${actionDescription} (${scripts.length} script(s))`);
-        return { success: true };
+        const { applied } = await applyClassChanges({ classId, classFolder, rootPath, currentClass, changes: [change], logger });
+        return { success: applied.length > 0 };
 
     } catch (error) {
         logger.error(`   ❌ Failed: ${error.message}`);
@@ -189,4 +295,4 @@ async function syncMethodCore(methodJsonPath, classId, rootPath, logger) {
     }
 }
 
-module.exports = { syncMethodCore, ensureClassExists };
+module.exports = { syncMethodCore, prepareMethodSync, getMethodLocation, ensureClassExists, isUnpublishedDraft };
@@ -10,6 +10,8 @@
 const fs = require('fs');
 const path = require('path');
 const { get, patch } = require('../api/main');
+const { applyParameterFiles, saveParameterJson } = require('./methodParameters');
+const { hasConflictMarkers } = require('../utils/merge');
 
 const PROCESS_DIAGRAM_CLASS_ID = '595c20500000000000000120';
 
@@ -79,10 +81,21 @@ async function syncTaskMethodCore(methodJsonPath, rootPath, logger) {
             scripts.push(fs.readFileSync(path.join(scriptsFolder, sf), 'utf-8'));
         }
 
+        // Scripts merged by compare are not sent while conflicts are unresolved
+        const unresolved = scriptFiles.filter((file, index) => hasConflictMarkers(scripts[index]));
+        if (unresolved.length > 0) {
+            logger.error(`   ❌ Conflict markers in ${unresolved.join(', ')}. Resolve them and sync again.`);
+            return { success: false };
+        }
+
         methodData.scripts = scripts;
 
+        // Parameters authored in input/inputs.js and output/outputs.js
+        applyParameterFiles(methodFolder, methodData);
+
         // Write updated method.json
         fs.writeFileSync(methodJsonPath, JSON.stringify(methodData, null, 4), 'utf-8');
+        saveParameterJson(methodFolder, methodData);
 
         // 3. Read task data to get task's class ID
         const taskData = JSON.parse(fs.readFileSync(taskJsonPath, 'utf-8'));
@@ -1,6 +1,8 @@
 const fs = require('fs');
 const path = require('path');
 const { get, patch, create } = require('../api/main');
+const { applyParameterFiles, saveParameterJson } = require('./methodParameters');
+const { hasConflictMarkers } = require('../utils/merge');
 
 const PROCESS_VERSION_CLASS_ID = '595c20500000000000000110';
 
@@ -153,10 +155,21 @@ async function syncProcessMethodCore(methodJsonPath, rootPath, logger) {
             scripts.push(scriptContent);
         }
 
+        // Scripts merged by compare are not sent while conflicts are unresolved
+        const unresolved = scriptFiles.filter((file, index) => hasConflictMarkers(scripts[index]));
+        if (unresolved.length > 0) {
+            logger.error(`   ❌ Conflict markers in ${unresolved.join(', ')}. Resolve them and sync again.`);
+            return { success: false };
+        }
+
         methodData.scripts = scripts;
 
+        // Parameters authored in input/inputs.js and output/outputs.js
+        applyParameterFiles(methodFolder, methodData);
+
         // Write updated method.json
         fs.writeFileSync(methodJsonPath, JSON.stringify(methodData, null, 4), 'utf-8');
+        saveParameterJson(methodFolder, methodData);
 
         // Get version _id
         // Valid path: .../version/pin/methods/MethodName/method.json
@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Sync Plan
+ *
+ * Helpers for `syncClass --plan`: the sync cores run with `{ plan: true }`,
+ * compute what they would send to Sydle without writing anything, and
+ * return a list of planned changes that is printed here (readable or JSON).
+ *
+ * @module core/syncPlan
+ */
+
+const path = require('path');
+
+/**
+ * @typedef {Object} PlannedChange
+ * @property {'class'|'property'|'field'|'method'|'process'} type - What would be changed
+ * @property {'create'|'add'|'change'|'rename'|'remove'|'replace'} action - What would be done
+ * @property {string} target - e.g. "vendas.Pedido" or "vendas.Pedido.calc"
+ * @property {string} [detail] - Extra information (e.g. script count)
+ * @property {string} [blocked] - Why the real sync would refuse this change
+ */
+
+const SYMBOLS = { create: '+', add: '+', change: '~', rename: '→', replace: '~', remove: '-' };
+
+/**
+ * Builds the "package.Class" label of a class folder (<root>/<package>/<Class>)
+ * @param {string} classFolder - Class folder
+ * @returns {string}
+ */
+function classLabel(classFolder) {
+    return `${path.basename(path.dirname(classFolder))}.${path.basename(classFolder)}`;
+}
+
+/**
+ * Builds the plan document
+ * @param {PlannedChange[]} changes - Planned changes
+ * @param {string} environment - Target environment name
+ * @returns {{ environment: string, changes: PlannedChange[], summary: Object<string, number> }}
+ */
+function buildPlan(changes, environment) {
+    const summary = { create: 0, add: 0, change: 0, rename: 0, replace: 0, remove: 0, blocked: 0 };
+    for (const change of changes) {
+        if (change.blocked) summary.blocked++;
+        else summary[change.action]++;
+    }
+    return { environment, changes, summary };
+}
+
+/**
+ * Prints a plan in a readable form
+ * @param {ReturnType<typeof buildPlan>} plan - Plan document
+ * @param {import('../utils/logger').Logger} logger - Logger instance
+ * @param {Object} [texts] - Wording for plans other than sync (e.g. promote)
+ * @param {string} [texts.title] - Header
+ * @param {string} [texts.empty] - Shown when there are no changes
+ * @param {string} [texts.blocked] - Hint shown after the number of blocked changes
+ */
+function printPlan(plan, logger, texts = {}) {
+    logger.info(`\n📋 ${texts.title || `Sync plan for ${plan.environment}`}:\n`);
+
+    if (plan.changes.length === 0) {
+        logger.success(texts.empty || 'No changes. Local files match Sydle.');
+        return;
+    }
+
+    const width = Math.max(...plan.changes.map(change => change.type.length));
+    for (const change of plan.changes) {
+        const line = `${change.type.padEnd(width)}  ${change.target}${change.detail ? ` (${change.detail})` : ''}`;
+        if (change.blocked) {
+            logger.warn(`  ! ${line} - ${change.blocked}`);
+        } else if (change.action === 'remove') {
+            logger.error(`  ${SYMBOLS[change.action]} ${line}`);
+        } else if (SYMBOLS[change.action] === '+') {
+            logger.success(`  + ${line}`);
+        } else {
+            logger.warn(`  ${SYMBOLS[change.action]} ${line}`);
+        }
+    }
+
+    const { summary } = plan;
+    const lines = [
+        `Plan: ${summary.create} to create, ${summary.add} to add, ${summary.change + summary.replace} to change, ${summary.rename} to rename, ${summary.remove} to remove.`
+    ];
+    if (summary.blocked > 0) {
+        lines.push(`⚠ ${summary.blocked} change(s) ${texts.blocked || "blocked (see the reasons above; run 'sydle pull' or use --force for remote edits)"}`);
+    }
+    logger.summary(lines);
+}
+
+module.exports = {
+    classLabel,
+    buildPlan,
+    printPlan
+};
@@ -9,6 +9,7 @@
 const fs = require('fs');
 const path = require('path');
 const { get, patch } = require('../api/main');
+const { checkRemoteRole, printRemoteConflict } = require('./remoteChanges');
 
 const PROCESS_VERSION_CLASS_ID = '595c20500000000000000110';
 
@@ -18,9 +19,11 @@ const PROCESS_VERSION_CLASS_ID = '595c20500000000000000110';
  * @param {string} roleJsonPath - Absolute path to the role.json file
  * @param {string} rootPath - Root project path
  * @param {Object} logger - Logger instance
- * @returns {Promise<{success: boolean, message?: string}>}
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Overwrite the role even if it changed remotely since the last pull/sync
+ * @returns {Promise<{success: boolean, conflict?: boolean, message?: string}>}
  */
-async function syncProcessRolesCore(roleJsonPath, rootPath, logger) {
+async function syncProcessRolesCore(roleJsonPath, rootPath, logger, options = {}) {
     const roleFolder = path.dirname(roleJsonPath); // e.g., .../pin/processRoles/default
 
     // Determine version.json path
@@ -75,11 +78,21 @@ async function syncProcessRolesCore(roleJsonPath, rootPath, logger) {
             return { success: false, message: 'Process version not found in Sydle' };
         }
 
-        // 4. Find role index
+        // 4. Refuse to overwrite a role edited remotely since the last pull/sync (version.json is the base)
+        const check = checkRemoteRole(versionData, currentVersion, roleIdentifier);
+        if (check.conflicts.length > 0) {
+            if (!options.force) {
+                printRemoteConflict(logger, currentVersion, check.baseRevision, check.conflicts);
+                return { success: false, conflict: true, message: 'Changed remotely' };
+            }
+            logger.warn(`   ⚠ Overwriting remote changes (--force)`);
+        }
+
+        // 5. Find role index
         const currentRoles = currentVersion.processRoles || [];
         const roleIndex = currentRoles.findIndex(r => r.identifier === roleIdentifier);
 
-        // 5. Patch
+        // 6. Patch
         let patchOperation;
         let patchPath;
         let actionDescription;
@@ -110,23 +123,35 @@ async function syncProcessRolesCore(roleJsonPath, rootPath, logger) {
             }]
         };
 
-        await patch(PROCESS_VERSION_CLASS_ID, updateData);
+        const patchedVersion = await patch(PROCESS_VERSION_CLASS_ID, updateData);
+        const updatedVersion = patchedVersion && patchedVersion._revision !== undefined
+            ? patchedVersion
+            : await get(PROCESS_VERSION_CLASS_ID, versionRecordId);
 
-        // 6. Update local version.json? 
+        // 7. Update local version.json? 
         // Syncing roles usually implies we should keep version.json consistent if it holds the roles array.
         // However, if roles are split out, version.json might only contain a reference or an empty list if not managed carefully.
         // Assuming version.json intends to mirror the full object, we should update it.
+        // The stored role is the one returned by Sydle, so it is the base of the next remote check.
 
+        const syncedRole = ((updatedVersion && updatedVersion.processRoles) || [])
+            .find(r => r.identifier === roleIdentifier) || roleData;
         const localRoles = versionData.processRoles || [];
         const localIndex = localRoles.findIndex(r => r.identifier === roleIdentifier);
 
         if (localIndex === -1) {
-            localRoles.push(roleData);
+            localRoles.push(syncedRole);
         } else {
-            localRoles[localIndex] = roleData;
+            localRoles[localIndex] = syncedRole;
         }
         versionData.processRoles = localRoles;
 
+        // Only move the base revision when no other role changed remotely
+        const foreignChanges = check.changes.filter(change => change.identifier !== roleIdentifier);
+        if (updatedVersion && updatedVersion._revision !== undefined && foreignChanges.length === 0) {
+            versionData._revision = updatedVersion._revision;
+        }
+
         fs.writeFileSync(versionJsonPath, JSON.stringify(versionData, null, 4), 'utf-8');
 
         logger.success(`   ✓ ${actionDescription}: ${roleName} ${roleData.aclScript ? '(with ACL script)' : ''}`);
@@ -0,0 +1,165 @@
+/**
+ * Generator for the HTML comparison report
+ * Creates a self-contained page (inline CSS, no scripts) from a compare report
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Escape text for HTML
+ * @param {any} text - Text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+const STYLE = `
+body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; margin: 2rem; color: #1f2328; }
+h1 { font-size: 1.4rem; } h2 { font-size: 1.1rem; margin-top: 2rem; }
+table.summary { border-collapse: collapse; margin: 1rem 0; }
+table.summary th, table.summary td { border: 1px solid #d0d7de; padding: .3rem .8rem; text-align: right; }
+table.summary th:first-child, table.summary td:first-child { text-align: left; }
+.source-only { color: #1a7f37; } .target-only { color: #cf222e; } .changed { color: #9a6700; }
+ul.items { list-style: none; padding-left: 1rem; }
+details { margin: .5rem 0 .5rem 1rem; } summary { cursor: pointer; }
+table.diff { border-collapse: collapse; font: 12px/1.4 ui-monospace, Consolas, monospace; width: 100%; margin: .3rem 0; }
+table.diff td { padding: 0 .5rem; white-space: pre-wrap; vertical-align: top; }
+table.diff td.num { color: #6e7781; text-align: right; width: 3rem; user-select: none; }
+tr.add { background: #e6ffec; } tr.remove { background: #ffebe9; } tr.hunk td { background: #ddf4ff; color: #57606a; }
+`;
+
+/**
+ * Render the hunks of one script as a table (old line, new line, content)
+ * @param {Object} script - ScriptDiff (see core/compareReport)
+ * @returns {string}
+ */
+function renderScript(script) {
+    const rows = [];
+    for (const hunk of script.hunks) {
+        rows.push(`<tr class="hunk"><td class="num"></td><td class="num"></td><td>@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@</td></tr>`);
+        let oldLine = hunk.oldStart;
+        let newLine = hunk.newStart;
+        for (const line of hunk.lines) {
+            const rowClass = line.type === '+' ? 'add' : line.type === '-' ? 'remove' : '';
+            const oldNumber = line.type === '+' ? '' : oldLine++;
+            const newNumber = line.type === '-' ? '' : newLine++;
+            rows.push(`<tr class="${rowClass}"><td class="num">${oldNumber}</td><td class="num">${newNumber}</td><td>${escapeHtml(line.type + ' ' + line.text)}</td></tr>`);
+        }
+    }
+    return `<p>script_${script.index}.js <span class="source-only">+${script.added}</span> <span class="target-only">-${script.removed}</span></p>
+<table class="diff">${rows.join('\n')}</table>`;
+}
+
+/**
+ * Render the differences of a list of fields (class fields or method parameters)
+ * @param {Object} diff - FieldsDiff (see core/compareReport)
+ * @param {string} type - Label (e.g. "Field", "Input")
+ * @param {Object} report - Report
+ * @returns {string[]} List items
+ */
+function renderFields(diff, type, report) {
+    return [
+        ...diff.sourceOnly.map(identifier => `<li class="source-only">+ ${type} <b>${escapeHtml(identifier)}</b>: only in ${escapeHtml(report.source)}</li>`),
+        ...diff.targetOnly.map(identifier => `<li class="target-only">- ${type} <b>${escapeHtml(identifier)}</b>: only in ${escapeHtml(report.target)}</li>`),
+        ...diff.changed.map(field => `<li class="changed">~ ${type} <b>${escapeHtml(field.identifier)}</b>: ${escapeHtml(field.properties.join(', '))}
+<table class="diff"><tr class="remove"><td>- ${escapeHtml(field.target)}</td></tr><tr class="add"><td>+ ${escapeHtml(field.source)}</td></tr></table></li>`)
+    ];
+}
+
+/**
+ * Render an access level change
+ * @param {{ source: string, target: string }|null} accessLevel - Access levels
+ * @returns {string[]} List items
+ */
+function renderAccessLevel(accessLevel) {
+    return accessLevel
+        ? [`<li class="changed">~ Access level: ${escapeHtml(accessLevel.target)} → ${escapeHtml(accessLevel.source)}</li>`]
+        : [];
+}
+
+/**
+ * Render one class of the report
+ * @param {Object} _class - Class entry of the report
+ * @param {Object} report - Report
+ * @returns {string}
+ */
+function renderClass(_class, report) {
+    if (_class.status === 'source-only' || _class.status === 'target-only') {
+        const env = _class.status === 'source-only' ? report.source : report.target;
+        return `<h2 class="${_class.status}">${escapeHtml(_class.identifier)}</h2>
+<p>Only in ${escapeHtml(env)} (${_class.fields} field(s), ${_class.methods} method(s)).</p>`;
+    }
+
+    const items = [
+        ...renderAccessLevel(_class.accessLevel),
+        ...renderFields(_class.fields, 'Field', report),
+        ..._class.methods.sourceOnly.map(identifier => `<li class="source-only">+ Method <b>${escapeHtml(identifier)}</b>: only in ${escapeHtml(report.source)}</li>`),
+        ..._class.methods.targetOnly.map(identifier => `<li class="target-only">- Method <b>${escapeHtml(identifier)}</b>: only in ${escapeHtml(report.target)}</li>`)
+    ];
+
+    const methods = _class.methods.changed.map(method => {
+        const signature = method.signature
+            ? [
+                ...renderAccessLevel(method.signature.accessLevel),
+                ...renderFields(method.signature.inputParameters, 'Input', report),
+                ...renderFields(method.signature.outputParameters, 'Output', report)
+            ]
+            : [];
+        return `<details>
+<summary class="changed">~ Method <b>${escapeHtml(method.identifier)}</b> <span class="source-only">+${method.added}</span> <span class="target-only">-${method.removed}</span>${method.signature ? ' (signature)' : ''}</summary>
+${signature.length > 0 ? `<ul class="items">${signature.join('\n')}</ul>` : ''}
+${method.scripts.map(renderScript).join('\n')}
+</details>`;
+    });
+
+    return `<h2 class="changed">${escapeHtml(_class.identifier)}</h2>
+<ul class="items">${items.join('\n')}</ul>
+${methods.join('\n')}`;
+}
+
+/**
+ * Generate the HTML page of a compare report
+ * @param {Object} report - Report from core/compareReport buildCompareReport
+ * @param {string} outputPath - Path of the .html file
+ */
+function generateCompareHtml(report, outputPath) {
+    const { source, target, summary } = report;
+    const row = (name, counts, same = '') => `<tr><td>${name}</td><td>${counts.sourceOnly}</td><td>${counts.targetOnly}</td><td>${counts.changed}</td><td>${same}</td></tr>`;
+    const different = report.classes.filter(c => c.status !== 'same');
+
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(report.selection)}: ${escapeHtml(source)} → ${escapeHtml(target)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(report.selection)}: ${escapeHtml(source)} → ${escapeHtml(target)}</h1>
+<p>Generated ${escapeHtml(report.date)}. Diffs go from ${escapeHtml(target)} (<span class="target-only">-</span>) to ${escapeHtml(source)} (<span class="source-only">+</span>).</p>
+<table class="summary">
+<tr><th></th><th>Only in ${escapeHtml(source)}</th><th>Only in ${escapeHtml(target)}</th><th>Different</th><th>Identical</th></tr>
+${row('Classes', summary.classes, summary.classes.same)}
+${row('Fields', summary.fields)}
+${row('Methods', summary.methods)}
+</table>
+<p>Methods with a different signature (parameters or access level): ${summary.methods.signatures}</p>
+<p>Script lines: <span class="source-only">+${summary.lines.added}</span> <span class="target-only">-${summary.lines.removed}</span></p>
+${different.length > 0 ? different.map(c => renderClass(c, report)).join('\n') : '<p>No differences.</p>'}
+</body>
+</html>
+`;
+
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, html);
+}
+
+module.exports = {
+    generateCompareHtml
+};
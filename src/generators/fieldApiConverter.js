@@ -254,8 +254,28 @@ function convertToApiField(identifier, schemaField, existingField = null) {
     return apiField;
 }
 
+/**
+ * Lists the fields renamed in a fields.js module (`.renamedFrom('old')`)
+ * 
+ * @param {Object} fieldsModule - The exports from fields.js (object with field definitions)
+ * @returns {Object<string, string>} Previous identifier by new identifier
+ */
+function getFieldRenames(fieldsModule) {
+    const renames = {};
+    for (const [identifier, schemaField] of Object.entries(fieldsModule)) {
+        const fieldData = typeof schemaField.toJSON === 'function'
+            ? schemaField.toJSON()
+            : schemaField;
+        if (fieldData && fieldData.renamedFrom) {
+            renames[identifier] = fieldData.renamedFrom;
+        }
+    }
+    return renames;
+}
+
 /**
  * Converts all fields from a fields.js module to Sydle API format
+ * (a renamed field keeps the _ids of the field it was renamed from)
  * 
  * @param {Object} fieldsModule - The exports from fields.js (object with field definitions)
  * @param {Array} existingFields - Existing fields from class.json
@@ -276,9 +296,10 @@ function convertFieldsToApi(fieldsModule, existingFields = []) {
     }
 
     // Convert each field
+    const renames = getFieldRenames(fieldsModule);
     const apiFields = [];
     for (const [identifier, schemaField] of Object.entries(fieldsModule)) {
-        const existingField = existingMap[identifier] || null;
+        const existingField = existingMap[identifier] || existingMap[renames[identifier]] || null;
         const apiField = convertToApiField(identifier, schemaField, existingField);
         apiFields.push(apiField);
     }
@@ -289,6 +310,7 @@ function convertFieldsToApi(fieldsModule, existingFields = []) {
 module.exports = {
     convertToApiField,
     convertFieldsToApi,
+    getFieldRenames,
     // Export helpers for testing/extension
     buildAdditionalConfigs,
     buildExhibitionConfigs,
@@ -182,6 +182,7 @@ function mapFieldToSy(field) {
  * @param {string} [classData.processFieldsInterface] - Optional interface name for processFields
  * @param {string} outputPath - Directory path to write the `fields.js` file
  * @param {string} [rootPath] - Root project path to calculate relative import path
+ * @param {string} [fileName='fields.js'] - File name (e.g. `inputs.js` for method parameters)
  * 
  * @example
  * // Generate fields.js for a class
@@ -198,7 +199,7 @@ function mapFieldToSy(field) {
  * 
  * @returns {void}
  */
-function generateFieldsSchema(classData, outputPath, rootPath) {
+function generateFieldsSchema(classData, outputPath, rootPath, fileName = 'fields.js') {
     // Filter out system fields (starting with _)
     const fields = (classData.fields || []).filter(f => !f.identifier.startsWith('_'));
 
@@ -264,13 +265,13 @@ const { sy } = require('${sydleZodPath}');\n`;
     content += `};
 `;
 
-    const fieldsPath = path.join(outputPath, 'fields.js');
+    const fieldsPath = path.join(outputPath, fileName);
     fs.writeFileSync(fieldsPath, content);
 
     if (fields.length === 0) {
-        logger.debug(`Generated empty fields.js template for ${classData.identifier}`);
+        logger.debug(`Generated empty ${fileName} template for ${classData.identifier}`);
     } else {
-        logger.debug(`Generated fields.js for ${classData.identifier} with ${fields.length} fields`);
+        logger.debug(`Generated ${fileName} for ${classData.identifier} with ${fields.length} fields`);
     }
 }
 
@@ -13,6 +13,7 @@ const { generateAiDocs } = require('./aiDocs');
 const { generateProcessRolesFiles } = require('./processRolesFiles');
 const { generateDiagramFiles } = require('./diagramFiles');
 const { generateDiagramMermaid } = require('./diagramMermaid');
+const { generateCompareHtml } = require('./compareHtml');
 
 module.exports = {
     generateClassDts,
@@ -31,5 +32,6 @@ module.exports = {
     generateAiDocs,
     generateProcessRolesFiles,
     generateDiagramFiles,
-    generateDiagramMermaid
+    generateDiagramMermaid,
+    generateCompareHtml
 };
@@ -1,5 +1,6 @@
 /**
- * Generator for input/output folder files (input.d.ts/output.d.ts and schemas)
+ * Generator for input/output folder files (input.d.ts/output.d.ts, schemas
+ * and the inputs.js/outputs.js parameter definitions synced back to Sydle)
  * Creates parameter type definitions and schemas
  */
 
@@ -7,6 +8,7 @@ const fs = require('fs');
 const path = require('path');
 const { mapToTsType } = require('./utils');
 const { generateClassSchema } = require('./classSchema');
+const { generateFieldsSchema } = require('./fieldsSchema');
 
 /**
  * Generate input or output folder with d.ts and schema.js
@@ -14,8 +16,9 @@ const { generateClassSchema } = require('./classSchema');
  * @param {Object} parameters - Input or Output parameters object with fields
  * @param {Object} classIdToIdentifier - Map of class IDs to identifiers
  * @param {string} type - 'input' or 'output'
+ * @param {string} [rootPath] - Root path (sydle-dev), used for the `sy` import of inputs.js/outputs.js
  */
-function generateInputOutputFiles(methodPath, parameters, classIdToIdentifier, type = 'input') {
+function generateInputOutputFiles(methodPath, parameters, classIdToIdentifier, type = 'input', rootPath = null) {
     if (!parameters) {
         return;
     }
@@ -30,6 +33,13 @@ function generateInputOutputFiles(methodPath, parameters, classIdToIdentifier, t
     const paramsJsonPath = path.join(folderPath, `${type}Parameters.json`);
     fs.writeFileSync(paramsJsonPath, JSON.stringify(parameters, null, 2));
 
+    // Editable parameters (inputs.js/outputs.js), synced like fields.js
+    const parametersAsClass = {
+        identifier: `${path.basename(methodPath)} ${type}`,
+        fields: parameters.fields
+    };
+    generateFieldsSchema(parametersAsClass, folderPath, rootPath, `${type}s.js`);
+
     const fields = parameters.fields ? parameters.fields.filter(f => !f.identifier.startsWith('_')) : [];
 
     if (fields.length === 0 && (!parameters.methods || parameters.methods.length === 0)) {
@@ -73,11 +83,11 @@ declare var _${type}: I_${typeCapitalized};
     if (parameters.methods && parameters.methods.length > 0) {
         // generateMethodFiles expects: (basePath, methods, rootPath, classIdToIdentifier)
         // We need to get rootPath from the methodPath
-        const rootPath = path.join(methodPath, '..', '..', '..');
+        const nestedRootPath = rootPath || path.join(methodPath, '..', '..', '..');
 
         // Call generateMethodFiles with the folder as basePath
         const { generateMethodFiles } = require('./methodFiles');
-        generateMethodFiles(folderPath, parameters.methods, rootPath, classIdToIdentifier, null); // Nested methods likely don't need class metadata for now, or we'd need to pass it down
+        generateMethodFiles(folderPath, parameters.methods, nestedRootPath, classIdToIdentifier, null); // Nested methods likely don't need class metadata for now, or we'd need to pass it down
     }
 }
 
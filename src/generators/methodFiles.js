@@ -58,12 +58,12 @@ function generateMethodFiles(basePath, methods, rootPath, classIdToIdentifier, f
 
         // Generate input/ folder if method has inputParameters
         if (method.inputParameters) {
-            generateInputOutputFiles(methodPath, method.inputParameters, classIdToIdentifier, 'input');
+            generateInputOutputFiles(methodPath, method.inputParameters, classIdToIdentifier, 'input', rootPath);
         }
 
         // Generate output/ folder if method has outputParameters
         if (method.outputParameters) {
-            generateInputOutputFiles(methodPath, method.outputParameters, classIdToIdentifier, 'output');
+            generateInputOutputFiles(methodPath, method.outputParameters, classIdToIdentifier, 'output', rootPath);
         }
 
         const jsonFilePath = path.join(methodPath, 'method.json');
@@ -1,78 +1,225 @@
-const inquirer = require('inquirer');
-const { signIn } = require('../api/auth');
-const config = require('./config');
+const { prompt, isNonInteractive, NonInteractiveError } = require('./prompt');
+const { signIn, checkReachability } = require('../api/auth');
 const { setEnvValue } = require('./env');
 const { logger } = require('./logger');
+const {
+    listProfiles,
+    getProfile,
+    findProfileByUrl,
+    getActiveProfile,
+    upsertProfile,
+    buildProfile,
+    validateApiUrl
+} = require('./profiles');
+const {
+    getToken,
+    getTokenEntry,
+    saveToken,
+    expireToken,
+    describeTokenLifetime
+} = require('./tokenManager');
+const { getAuthConfig, resolveRequestToken } = require('./authStrategies');
 
-const performLogin = async (username, password, url) => {
-    // Save URL to .env if provided
-    if (url) {
-        setEnvValue('SYDLE_API_URL', url);
-        process.env.SYDLE_API_URL = url;
+/**
+ * Explains how to authenticate a profile that does not use password signIn
+ * @param {import('./profiles').Profile} profile - Environment profile
+ * @returns {string}
+ */
+const describeTokenSource = (profile) => {
+    const { strategy, tokenEnv } = getAuthConfig(profile);
+    const fromEnv = tokenEnv ? `Set ${tokenEnv}` : 'Set SYDLE_TOKEN';
+    return strategy === 'apiToken'
+        ? `${fromEnv} or run 'sydle login --api-token <token>'.`
+        : `${fromEnv}.`;
+};
 
-        // Auto-detect and save specific environment URL
-        let envKey = 'SYDLE_URL_PROD';
-        if (url.includes('-dev') || url.includes('/dev')) envKey = 'SYDLE_URL_DEV';
-        else if (url.includes('-hom') || url.includes('/hom')) envKey = 'SYDLE_URL_HOM';
+/**
+ * Resolves the tenant name of a signIn response (falls back to the URL host)
+ * @param {Object} data - signIn response
+ * @param {string} url - API base URL
+ * @returns {string}
+ */
+const resolveTenantName = (data, url) => {
+    const tenant = data.tenant || (data.user && data.user.tenant);
+    if (tenant) return typeof tenant === 'string' ? tenant : (tenant.name || tenant.identifier || tenant._id);
+    return new URL(url).hostname.split('.')[0];
+};
 
-        setEnvValue(envKey, url);
-        process.env[envKey] = url;
+/**
+ * Resolves the user name of a signIn response (falls back to the login used)
+ * @param {Object} data - signIn response
+ * @param {string} username - Login used to sign in
+ * @returns {string}
+ */
+const resolveUserName = (data, username) => {
+    const user = data.user || {};
+    const name = user.name || user.login || user.userLogin;
+    return name && name !== username ? `${name} (${username})` : username;
+};
 
-        logger.info(`Configuration saved to .env (SYDLE_API_URL and ${envKey})`);
+const performLogin = async (username, password, url, envName) => {
+    // Resolve which profile this login belongs to. A URL only selects the profile
+    // that already uses it: the URL of another profile is changed only when it is named
+    const urlProfile = findProfileByUrl(url);
+    if (url && !envName && !urlProfile) {
+        throw new Error(`No environment uses ${url}. Name the environment to create or update: sydle --env <name> login --url ${url}`);
     }
+    const profileName = envName || (urlProfile || getActiveProfile()).name;
+    const current = getProfile(profileName) || buildProfile(profileName, { url: process.env.SYDLE_API_URL });
+    const targetUrl = url || current.url;
+    const { strategy, signInMethodId } = getAuthConfig(current);
 
-    logger.progress('Logging in...');
-    const data = await signIn(username, password);
+    if (strategy !== 'password') {
+        throw new Error(`'${profileName}' uses the '${strategy}' auth strategy. ${describeTokenSource(current)}`);
+    }
+    if (!targetUrl) {
+        throw new Error(`No URL configured for '${profileName}'. Pass it with --url.`);
+    }
+    const apiUrl = validateApiUrl(targetUrl);
 
-    if (data.accessToken && data.accessToken.token) {
-        config.set('token', data.accessToken.token);
+    // Health check before saving anything
+    logger.progress(`Checking ${apiUrl}...`);
+    await checkReachability(apiUrl);
 
-        // Store token in envTokens map
-        const tokenUrl = url || process.env.SYDLE_API_URL;
-        if (tokenUrl) {
-            const envTokens = config.get('envTokens') || {};
-            envTokens[tokenUrl] = data.accessToken.token;
-            config.set('envTokens', envTokens);
+    logger.progress(`Logging in to ${profileName}...`);
+    let data;
+    try {
+        data = await signIn(username, password, apiUrl, signInMethodId);
+    } catch (error) {
+        const status = error.response && error.response.status;
+        if (status === 404) {
+            throw new Error(`signIn endpoint not found at ${apiUrl}. Check the URL (e.g. https://tenant.sydle.one/api/1).`);
         }
+        throw new Error(status ? `signIn rejected (HTTP ${status}). Check your username and password.` : error.message);
+    }
 
-        logger.success('Login successful! Token saved.');
-        return true;
-    } else {
+    if (!data || !data.accessToken || !data.accessToken.token) {
         logger.error('Login failed: No token received.');
         return false;
     }
+
+    // Save URL to .env and to the project profile
+    if (url) {
+        const envKey = `SYDLE_URL_${profileName.toUpperCase()}`;
+
+        // SYDLE_API_URL is the URL of the active environment only
+        if (profileName === getActiveProfile().name) {
+            setEnvValue('SYDLE_API_URL', apiUrl);
+            process.env.SYDLE_API_URL = apiUrl;
+        }
+        setEnvValue(envKey, apiUrl);
+        process.env[envKey] = apiUrl;
+
+        upsertProfile(profileName, { url: apiUrl });
+
+        logger.info(`Configuration saved to .env (${envKey})`);
+    }
+
+    // Store token (with expiry) in the profile token slot
+    const profile = getProfile(profileName) || buildProfile(profileName, { url: apiUrl });
+    const entry = saveToken(profile.tokenSlot, data.accessToken, apiUrl);
+
+    logger.success('Login successful! Token saved.');
+    logger.log(`   Tenant: ${resolveTenantName(data, apiUrl)}`);
+    logger.log(`   User: ${resolveUserName(data, username)}`);
+    logger.log(`   Token: ${describeTokenLifetime(entry)}`);
+    return true;
+};
+
+/**
+ * Stores a pre-issued API token for an environment (apiToken strategy)
+ * @param {string} token - API token
+ * @param {string} [envName] - Profile name (defaults to the active profile)
+ * @returns {boolean}
+ */
+const saveApiToken = (token, envName) => {
+    const profile = envName ? getProfile(envName) : getActiveProfile();
+    if (!profile || !profile.url) {
+        throw new Error(`No URL configured for '${envName || getActiveProfile().name}'. Run 'sydle env add' first.`);
+    }
+    if (!token || !token.trim()) {
+        throw new Error('API token is empty.');
+    }
+
+    const entry = saveToken(profile.tokenSlot, { token: token.trim() }, profile.url);
+    logger.success(`API token saved for '${profile.name}'.`);
+    logger.log(`   Token: ${describeTokenLifetime(entry)}`);
+    return true;
 };
 
 const ensureAuth = async (force = false) => {
-    let url = process.env.SYDLE_API_URL;
-    let token = config.get('token');
+    const activeProfile = getActiveProfile();
+    let url = activeProfile.url || process.env.SYDLE_API_URL;
+    const { strategy } = getAuthConfig(activeProfile);
 
+    // SYDLE_TOKEN / --token (CI), token variable of the profile, or stored token
+    const token = resolveRequestToken(activeProfile);
     if (!force && url && token) {
         return true;
     }
 
+    if (strategy !== 'password') {
+        if (strategy === 'bearer' || isNonInteractive()) {
+            process.exitCode = 1;
+            throw new NonInteractiveError(`Not authenticated for '${activeProfile.name}'. ${describeTokenSource(activeProfile)}`);
+        }
+
+        const { apiToken } = await prompt([{
+            type: 'password',
+            name: 'apiToken',
+            message: `Enter the API token for ${activeProfile.name}:`
+        }]);
+        return saveApiToken(apiToken, activeProfile.name);
+    }
+
+    // Credentials from SYDLE_USER / SYDLE_PASSWORD (CI)
+    const { SYDLE_USER, SYDLE_PASSWORD } = process.env;
+    if (url && SYDLE_USER && SYDLE_PASSWORD) {
+        return await performLogin(SYDLE_USER, SYDLE_PASSWORD, activeProfile.url ? undefined : url, activeProfile.name);
+    }
+
+    if (!force && url && getTokenEntry(activeProfile.tokenSlot, url)) {
+        logger.warn(`Token for '${activeProfile.name}' has expired. Please log in again.`);
+    }
+
+    if (isNonInteractive()) {
+        process.exitCode = 1;
+        throw new NonInteractiveError(
+            `Not authenticated for '${activeProfile.name}'. Set SYDLE_TOKEN or SYDLE_USER/SYDLE_PASSWORD, or pass --token.`
+        );
+    }
+
     // 1. Ask for environment
-    const envChoices = ['dev', 'hom', 'prod', 'custom'];
-    const { environment } = await inquirer.prompt([
+    const profileNames = listProfiles().map(p => p.name);
+    const envChoices = [...(profileNames.length > 0 ? profileNames : ['dev', 'hom', 'prod']), 'custom'];
+    const { environment } = await prompt([
         {
             type: 'list',
             name: 'environment',
             message: 'Select the environment:',
-            choices: envChoices
+            choices: envChoices,
+            default: profileNames.includes(activeProfile.name) ? activeProfile.name : undefined
         }
     ]);
 
     // 2. Resolve URL based on environment
     let selectedUrl = null;
     if (environment !== 'custom') {
-        const envVarName = `SYDLE_URL_${environment.toUpperCase()}`;
-        if (process.env[envVarName]) {
-            selectedUrl = process.env[envVarName];
+        const profile = getProfile(environment);
+        if (profile && profile.url) {
+            selectedUrl = profile.url;
             logger.info(`Using stored URL for ${environment}: ${selectedUrl}`);
         }
     }
 
-    const answers = await inquirer.prompt([
+    const answers = await prompt([
+        {
+            type: 'input',
+            name: 'envName',
+            message: 'Enter a name for this environment:',
+            when: environment === 'custom',
+            validate: input => input.trim() ? true : 'Environment name is required'
+        },
         {
             type: 'input',
             name: 'url',
@@ -94,8 +241,92 @@ const ensureAuth = async (force = false) => {
 
     // If URL was prompted, use it. Otherwise use the one we looked up.
     const finalUrl = answers.url || selectedUrl || url;
+    const finalEnv = environment === 'custom' ? answers.envName.trim() : environment;
+
+    return await performLogin(answers.username, answers.password, finalUrl, finalEnv);
+};
+
+let pendingReauth = null;
+
+/**
+ * Handles a 401 response for the active environment.
+ * Uses a token refreshed by another login if available, otherwise prompts
+ * the user to re-authenticate. Concurrent callers share the same prompt.
+ *
+ * @param {string|undefined} failedToken - Token that was rejected
+ * @returns {Promise<string|null>} New token to retry with, or null
+ */
+const handleUnauthorized = async (failedToken) => {
+    const profile = getActiveProfile();
+
+    const entry = getTokenEntry(profile.tokenSlot, profile.url);
+    if (entry && entry.token !== failedToken && getToken(profile.tokenSlot, profile.url)) {
+        logger.info(`Using refreshed token for '${profile.name}'.`);
+        return entry.token;
+    }
+
+    if (pendingReauth) {
+        return pendingReauth;
+    }
+
+    pendingReauth = (async () => {
+        expireToken(profile.tokenSlot);
+        logger.warn(`\nSession rejected by ${profile.name} (401 Unauthorized).`);
 
-    return await performLogin(answers.username, answers.password, finalUrl);
+        // A token passed explicitly cannot be renewed
+        if (process.env.SYDLE_TOKEN) {
+            logger.error('The token provided via SYDLE_TOKEN/--token was rejected.');
+            return null;
+        }
+
+        const { strategy, tokenEnv } = getAuthConfig(profile);
+        if (tokenEnv && process.env[tokenEnv]) {
+            logger.error(`The token provided via ${tokenEnv} was rejected.`);
+            return null;
+        }
+        if (strategy === 'bearer') {
+            logger.error(`No token available. ${describeTokenSource(profile)}`);
+            return null;
+        }
+
+        const { SYDLE_USER, SYDLE_PASSWORD } = process.env;
+        if (strategy === 'password' && SYDLE_USER && SYDLE_PASSWORD) {
+            const success = await performLogin(SYDLE_USER, SYDLE_PASSWORD, undefined, profile.name);
+            return success ? getToken(profile.tokenSlot, profile.url) || null : null;
+        }
+
+        const { action } = await prompt([{
+            type: 'list',
+            name: 'action',
+            message: 'How do you want to continue?',
+            choices: [
+                { name: 'Re-authenticate and retry', value: 'login' },
+                { name: 'Cancel', value: 'cancel' }
+            ]
+        }]);
+        if (action !== 'login') return null;
+
+        if (strategy === 'apiToken') {
+            const { apiToken } = await prompt([
+                { type: 'password', name: 'apiToken', message: `Enter the API token for ${profile.name}:` }
+            ]);
+            return saveApiToken(apiToken, profile.name) ? getToken(profile.tokenSlot, profile.url) || null : null;
+        }
+
+        const answers = await prompt([
+            { type: 'input', name: 'username', message: 'Enter your username:' },
+            { type: 'password', name: 'password', message: 'Enter your password:' }
+        ]);
+
+        const success = await performLogin(answers.username, answers.password, undefined, profile.name);
+        return success ? getToken(profile.tokenSlot, profile.url) || null : null;
+    })();
+
+    try {
+        return await pendingReauth;
+    } finally {
+        pendingReauth = null;
+    }
 };
 
-module.exports = { performLogin, ensureAuth };
+module.exports = { performLogin, saveApiToken, ensureAuth, handleUnauthorized };
@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Auth Strategies
+ *
+ * Each environment profile may declare how requests are authenticated
+ * (`auth` key in sydle.config.json). Strategies:
+ * - `password` (default): `signIn` with user and password. The signIn method
+ *   id differs between tenants and can be set with `signInMethodId`.
+ * - `apiToken`: pre-issued API token, stored with `sydle login --api-token`
+ *   or read from the variable named by `tokenEnv`.
+ * - `bearer`: generic bearer token read from the variable named by `tokenEnv`
+ *   on every request (never stored). `header` and `scheme` are configurable.
+ *
+ * @module utils/authStrategies
+ *
+ * @example
+ * // sydle.config.json
+ * {
+ *     "environments": {
+ *         "dev": { "url": "...", "auth": { "strategy": "password", "signInMethodId": "ad5e36ead7ebfa3c9e7cef04c9" } },
+ *         "hom": { "url": "...", "auth": { "strategy": "apiToken", "tokenEnv": "SYDLE_HOM_TOKEN" } },
+ *         "gw": { "url": "...", "auth": { "strategy": "bearer", "tokenEnv": "GATEWAY_TOKEN", "header": "X-Api-Key", "scheme": "" } }
+ *     }
+ * }
+ */
+
+const { getToken } = require('./tokenManager');
+const { getActiveProfile } = require('./profiles');
+
+/**
+ * signIn method id used when the profile does not set one
+ */
+const DEFAULT_SIGNIN_METHOD_ID = 'ad5e36ead7ebfa3c9e7cef04c9';
+
+/**
+ * Available strategy names
+ */
+const STRATEGIES = ['password', 'apiToken', 'bearer'];
+
+/**
+ * @typedef {Object} AuthConfig
+ * @property {'password'|'apiToken'|'bearer'} strategy - Strategy name
+ * @property {string} signInMethodId - signIn method id (password)
+ * @property {string|undefined} tokenEnv - Environment variable holding the token (apiToken, bearer)
+ * @property {string} header - Request header that carries the token
+ * @property {string} scheme - Prefix of the header value ('' for none)
+ */
+
+/**
+ * Gets the normalized auth configuration of a profile
+ * @param {import('./profiles').Profile} profile - Environment profile
+ * @returns {AuthConfig}
+ * @throws {Error} If the strategy is unknown or incomplete
+ */
+function getAuthConfig(profile) {
+    const auth = profile.auth || {};
+    const strategy = auth.strategy || 'password';
+
+    if (!STRATEGIES.includes(strategy)) {
+        throw new Error(`Unknown auth strategy '${strategy}' for '${profile.name}'. Available: ${STRATEGIES.join(', ')}`);
+    }
+    if (strategy === 'bearer' && !auth.tokenEnv) {
+        throw new Error(`Auth strategy 'bearer' for '${profile.name}' requires 'tokenEnv'.`);
+    }
+
+    return {
+        strategy,
+        signInMethodId: auth.signInMethodId || DEFAULT_SIGNIN_METHOD_ID,
+        tokenEnv: auth.tokenEnv,
+        header: auth.header || 'Authorization',
+        scheme: auth.scheme !== undefined ? auth.scheme : 'Bearer'
+    };
+}
+
+/**
+ * Checks whether the profile can obtain tokens through signIn
+ * @param {import('./profiles').Profile} profile - Environment profile
+ * @returns {boolean}
+ */
+function usesPassword(profile) {
+    return getAuthConfig(profile).strategy === 'password';
+}
+
+/**
+ * Resolves the token to send for a profile (SYDLE_TOKEN/--token first for
+ * the active profile only, then the strategy source). Other profiles of
+ * compare and promote never receive the token of the active one.
+ * @param {import('./profiles').Profile} profile - Environment profile
+ * @returns {string|undefined}
+ */
+function resolveRequestToken(profile) {
+    if (process.env.SYDLE_TOKEN && profile.name === getActiveProfile().name) return process.env.SYDLE_TOKEN;
+
+    const { strategy, tokenEnv } = getAuthConfig(profile);
+    if (tokenEnv && process.env[tokenEnv]) return process.env[tokenEnv];
+    if (strategy === 'bearer') return undefined;
+
+    // The single token of older versions is only read through envTokens,
+    // under the URL it was issued for (see utils/tokenManager)
+    return getToken(profile.tokenSlot, profile.url);
+}
+
+/**
+ * Builds the auth headers for a profile
+ * @param {import('./profiles').Profile|null} profile - Environment profile (null uses the defaults)
+ * @param {string|undefined} token - Token to send
+ * @returns {Object<string, string>}
+ */
+function buildAuthHeaders(profile, token) {
+    if (!token) return {};
+    const { header, scheme } = profile ? getAuthConfig(profile) : { header: 'Authorization', scheme: 'Bearer' };
+    return { [header]: scheme ? `${scheme} ${token}` : token };
+}
+
+module.exports = {
+    DEFAULT_SIGNIN_METHOD_ID,
+    STRATEGIES,
+    getAuthConfig,
+    usesPassword,
+    resolveRequestToken,
+    buildAuthHeaders
+};
@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Clone Utility
+ *
+ * Copies a method folder into another class, or a whole class folder, as
+ * local drafts: the record ids and revisions are stripped so the next sync
+ * publishes the copy instead of touching the original.
+ *
+ * @module utils/clone
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PARAMETER_FILES, saveParameterJson } = require('../core/methodParameters');
+
+/** Record metadata that identifies the original in Sydle */
+const STRIPPED_KEYS = ['_id', '_revision', '_classRevision'];
+
+/**
+ * Removes the record metadata of a class, field or method (nested references such as refClass are kept)
+ * @param {Object} record - Record to copy
+ * @returns {Object} Copy without _id, _revision and _classRevision
+ */
+function stripRecordIds(record) {
+    const copy = { ...record };
+    STRIPPED_KEYS.forEach(key => delete copy[key]);
+    return copy;
+}
+
+/**
+ * Builds the draft copy of a method (its parameters included)
+ * @param {Object} method - method.json content
+ * @param {string} identifier - Identifier of the copy
+ * @returns {Object}
+ */
+function toDraftMethod(method, identifier) {
+    const draft = { ...stripRecordIds(method), identifier };
+    for (const { key } of PARAMETER_FILES) {
+        if (draft[key]) {
+            draft[key] = { ...stripRecordIds(draft[key]), fields: (draft[key].fields || []).map(stripRecordIds) };
+        }
+    }
+    return draft;
+}
+
+/**
+ * Builds the draft copy of a class: unpublished (`_revision: "0"`, see
+ * syncLogic.isUnpublishedDraft), with its fields and methods stripped too
+ * @param {Object} classData - class.json content
+ * @param {string} identifier - Identifier of the copy
+ * @param {Object} packageRef - Package reference of the copy
+ * @returns {Object}
+ */
+function toDraftClass(classData, identifier, packageRef) {
+    return {
+        ...stripRecordIds(classData),
+        identifier,
+        package: packageRef,
+        fields: (classData.fields || []).map(stripRecordIds),
+        methods: (classData.methods || []).map(method => toDraftMethod(method, method.identifier)),
+        _revision: '0'
+    };
+}
+
+/**
+ * Copies a method folder and rewrites its method.json and parameter JSON as a draft
+ * @param {string} fromPath - Method folder to copy
+ * @param {string} toPath - Destination method folder
+ * @param {string} identifier - Identifier of the copy
+ * @returns {Object} method.json of the copy
+ */
+function copyMethodFolder(fromPath, toPath, identifier) {
+    fs.cpSync(fromPath, toPath, { recursive: true });
+
+    const methodJsonPath = path.join(toPath, 'method.json');
+    const methodData = toDraftMethod(JSON.parse(fs.readFileSync(methodJsonPath, 'utf-8')), identifier);
+    fs.writeFileSync(methodJsonPath, JSON.stringify(methodData, null, 2));
+    saveParameterJson(toPath, methodData);
+    return methodData;
+}
+
+/**
+ * Copies a class folder and rewrites class.json and every method.json as drafts
+ * @param {string} fromPath - Class folder to copy
+ * @param {string} toPath - Destination class folder
+ * @param {string} identifier - Identifier of the copy
+ * @param {Object} packageRef - Package reference of the copy
+ * @returns {Object} class.json of the copy
+ */
+function copyClassFolder(fromPath, toPath, identifier, packageRef) {
+    fs.cpSync(fromPath, toPath, { recursive: true });
+
+    const classJsonPath = path.join(toPath, 'class.json');
+    const classData = toDraftClass(JSON.parse(fs.readFileSync(classJsonPath, 'utf-8')), identifier, packageRef);
+    fs.writeFileSync(classJsonPath, JSON.stringify(classData, null, 2));
+
+    const methodsPath = path.join(toPath, 'methods');
+    if (fs.existsSync(methodsPath)) {
+        for (const method of fs.readdirSync(methodsPath)) {
+            const methodPath = path.join(methodsPath, method);
+            const methodJsonPath = path.join(methodPath, 'method.json');
+            if (!fs.existsSync(methodJsonPath)) continue;
+
+            const methodData = toDraftMethod(JSON.parse(fs.readFileSync(methodJsonPath, 'utf-8')), method);
+            fs.writeFileSync(methodJsonPath, JSON.stringify(methodData, null, 2));
+            saveParameterJson(methodPath, methodData);
+        }
+    }
+    return classData;
+}
+
+module.exports = {
+    stripRecordIds,
+    toDraftMethod,
+    toDraftClass,
+    copyMethodFolder,
+    copyClassFolder
+};
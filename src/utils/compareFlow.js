@@ -2,18 +2,26 @@
  * @fileoverview Compare Flow Utility
  * 
  * Interactive wizard and helpers for comparing code between environments.
- * Handles environment resolution, authentication, and diff generation.
+ * Handles environment resolution, authentication, and the three-way merge
+ * of method scripts.
  * 
  * @module utils/compareFlow
  */
 
-const inquirer = require('inquirer');
+const { prompt, isNonInteractive } = require('./prompt');
 const fs = require('fs');
 const path = require('path');
 const config = require('./config');
 const { performLogin } = require('./authFlow');
 const { createClient } = require('../api/client');
 const { logger: defaultLogger } = require('./logger');
+const { listProfiles, getProfile, findProfileByUrl, loadProjectConfig } = require('./profiles');
+const { resolveRequestToken, usesPassword } = require('./authStrategies');
+const { getSecret } = require('./secretStore');
+const { mergeThreeWay, renderMerge } = require('./merge');
+const { runMergeTool } = require('./mergeTools');
+const { loadManifest, readBaseFile, isLocallyModified } = require('../core/manifest');
+const { createClassIdentifierResolver, resolveClassReferences } = require('../core/compareReport');
 
 /**
  * Prompts for compare command arguments
@@ -26,6 +34,8 @@ const { logger: defaultLogger } = require('./logger');
  */
 async function promptCompareArgs(args) {
     const questions = [];
+    const profileNames = listProfiles().map(p => p.name);
+    const envChoices = profileNames.length > 0 ? profileNames : ['dev', 'hom', 'prod'];
 
     if (!args.classIdentifier) {
         questions.push({
@@ -48,7 +58,7 @@ async function promptCompareArgs(args) {
             type: 'list',
             name: 'sourceEnv',
             message: 'Source environment:',
-            choices: ['dev', 'hom', 'prod'],
+            choices: envChoices,
             default: 'dev'
         });
     }
@@ -57,13 +67,13 @@ async function promptCompareArgs(args) {
             type: 'list',
             name: 'targetEnv',
             message: 'Target environment:',
-            choices: ['dev', 'hom', 'prod'],
+            choices: envChoices,
             default: 'hom'
         });
     }
 
     if (questions.length > 0) {
-        const promptAnswers = await inquirer.prompt(questions);
+        const promptAnswers = await prompt(questions);
         return { ...args, ...promptAnswers };
     }
 
@@ -75,7 +85,7 @@ async function promptCompareArgs(args) {
  * @returns {Record<string, string>}
  */
 function getEnvTokens() {
-    return config.get('envTokens') || {};
+    return getSecret('envTokens') || {};
 }
 
 /**
@@ -87,55 +97,13 @@ function getCurrentUrl() {
 }
 
 /**
- * Gets default token
- * @returns {string | undefined}
- */
-function getDefaultToken() {
-    return config.get('token');
-}
-
-/**
- * Resolves environment alias to URL
- * @param {string} envAlias - Environment alias (dev, hom, prod)
+ * Resolves environment profile name to URL
+ * @param {string} envAlias - Environment profile name (dev, hom, prod...)
  * @returns {string} Resolved URL or alias
  */
 function resolveUrl(envAlias) {
-    // Check for explicit environment variables in .env
-    const envVarName = `SYDLE_URL_${envAlias.toUpperCase()}`;
-    if (process.env[envVarName]) return process.env[envVarName];
-
-    const envTokens = getEnvTokens();
-    // Check if we have a stored token for a URL matching the alias
-    const storedUrl = Object.keys(envTokens).find(url =>
-        url.includes(`-${envAlias}`) || url.includes(`/${envAlias}`)
-    );
-    if (storedUrl) return storedUrl;
-
-    const currentUrl = getCurrentUrl();
-    // Heuristic based on current URL
-    if (currentUrl) {
-        let base = currentUrl;
-        let currentEnv = 'prod';
-        if (base.includes('-dev')) currentEnv = 'dev';
-        else if (base.includes('-hom')) currentEnv = 'hom';
-
-        if (envAlias === currentEnv) return base;
-
-        if (currentEnv !== 'prod' && envAlias !== 'prod') {
-            return base.replace(`-${currentEnv}`, `-${envAlias}`);
-        }
-
-        if (base.includes('dev')) {
-            return base.replace('dev', envAlias === 'prod' ? '' : envAlias)
-                .replace('-.', '.').replace('..', '.');
-        }
-        if (base.includes('hom')) {
-            return base.replace('hom', envAlias === 'prod' ? '' : envAlias)
-                .replace('-.', '.').replace('..', '.');
-        }
-
-        return base;
-    }
+    const profile = getProfile(envAlias);
+    if (profile && profile.url) return profile.url;
 
     // Fallback
     return envAlias;
@@ -147,14 +115,15 @@ function resolveUrl(envAlias) {
  * @returns {string | undefined}
  */
 function getTokenForUrl(url) {
-    const envTokens = getEnvTokens();
-    if (envTokens[url]) return envTokens[url];
-
-    const currentUrl = getCurrentUrl();
-    const defaultToken = getDefaultToken();
-    if (currentUrl && url === currentUrl) return defaultToken;
+    const profile = findProfileByUrl(url);
+    if (profile) {
+        const token = resolveRequestToken(profile);
+        if (token) return token;
+    }
 
-    return defaultToken;
+    // Legacy tokens were stored by URL; the single legacy token is not tied to one
+    const envTokens = getEnvTokens();
+    return envTokens[url];
 }
 
 /**
@@ -168,7 +137,7 @@ function isValidUrl(u) {
 
 /**
  * Ensures access to an environment, prompting for login if needed
- * @param {string} envAlias - Environment alias
+ * @param {string} envAlias - Environment profile name
  * @returns {Promise<void>}
  */
 async function ensureEnvironmentAccess(envAlias, logger = defaultLogger) {
@@ -178,7 +147,13 @@ async function ensureEnvironmentAccess(envAlias, logger = defaultLogger) {
     if (!isValidUrl(url) || !token) {
         logger.warn(`\n! Access missing for environment: ${envAlias} (URL: ${url})`);
 
-        const { shouldLogin } = await inquirer.prompt([{
+        const profile = getProfile(envAlias);
+        if (profile && !usesPassword(profile)) {
+            logger.warn(`  '${envAlias}' does not use password login. Provide its token and run compare again.`);
+            return;
+        }
+
+        const { shouldLogin } = await prompt([{
             type: 'confirm',
             name: 'shouldLogin',
             message: `Would you like to login to ${envAlias} now?`,
@@ -186,7 +161,7 @@ async function ensureEnvironmentAccess(envAlias, logger = defaultLogger) {
         }]);
 
         if (shouldLogin) {
-            const loginAnswers = await inquirer.prompt([
+            const loginAnswers = await prompt([
                 {
                     type: 'input',
                     name: 'url',
@@ -198,24 +173,26 @@ async function ensureEnvironmentAccess(envAlias, logger = defaultLogger) {
                 { type: 'password', name: 'password', message: 'Password:' }
             ]);
 
-            await performLogin(loginAnswers.username, loginAnswers.password, loginAnswers.url);
+            await performLogin(loginAnswers.username, loginAnswers.password, loginAnswers.url, envAlias);
         }
     }
 }
 
 /**
- * Fetches method data from an environment
+ * Fetches method data from an environment: its scripts, and the class
+ * fields and method signature to compare their structure (refClass resolved
+ * to class identifiers, see core/compareReport)
  * @param {string} baseUrl - Base API URL
  * @param {string} envName - Environment name for logging
  * @param {string} token - Auth token
  * @param {string} classIdentifier - Class identifier
  * @param {string} methodIdentifier - Method identifier
- * @returns {Promise<{ scripts: string[], packageIdentifier: string }>}
+ * @returns {Promise<{ scripts: string[], packageIdentifier: string, classData: Object }>} classData: the class with only this method
  */
 async function fetchMethodData(baseUrl, envName, token, classIdentifier, methodIdentifier) {
     if (!token) throw new Error('No authentication token available.');
 
-    const client = createClient(baseUrl, token);
+    const client = createClient(baseUrl, token, findProfileByUrl(baseUrl));
 
     // Search for class
     const searchUrl = `/main/_classId/000000000000000000000000/_search`;
@@ -246,96 +223,183 @@ async function fetchMethodData(baseUrl, envName, token, classIdentifier, methodI
     const packageUrl = `/main/_classId/000000000000000000000015/_get`;
     const packageResponse = await client.post(packageUrl, { _id: packageId });
 
+    const get = async (classId, id) => (await client.post(`/main/_classId/${classId}/_get`, { _id: id })).data;
+    const classData = await resolveClassReferences({ ..._class, methods: [method] }, createClassIdentifierResolver(get));
+
     return {
         scripts: method.scripts || [],
-        packageIdentifier: packageResponse.data.identifier
+        packageIdentifier: packageResponse.data.identifier,
+        classData
     };
 }
 
 /**
- * Generates diff/merge files for scripts
+ * Asks how to resolve each conflict of a merge
+ * @param {import('./merge').MergeChunk[]} chunks - Merge result
+ * @param {{ local: string, base: string, remote: string }} labels - Side labels
+ * @param {string} fileName - Script file name (for messages)
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<import('./merge').MergeChunk[]>} Chunks with the chosen conflicts resolved
+ */
+async function pickConflicts(chunks, labels, fileName, logger = defaultLogger) {
+    const total = chunks.filter(chunk => chunk.type === 'conflict').length;
+    const picked = [];
+    let number = 0;
+
+    for (const chunk of chunks) {
+        if (chunk.type !== 'conflict') {
+            picked.push(chunk);
+            continue;
+        }
+
+        number++;
+        logger.warn(`\nConflict ${number}/${total} in ${fileName}:`);
+        logger.log(`<<<<<<< ${labels.local}`);
+        chunk.local.forEach(line => logger.log(line));
+        logger.log('=======');
+        chunk.remote.forEach(line => logger.log(line));
+        logger.log(`>>>>>>> ${labels.remote}`);
+
+        const { choice } = await prompt([{
+            type: 'list',
+            name: 'choice',
+            message: 'Keep:',
+            choices: [
+                { name: labels.local, value: 'local' },
+                { name: labels.remote, value: 'remote' },
+                { name: 'Both (local first)', value: 'both' },
+                { name: labels.base, value: 'base' },
+                { name: 'Leave conflict markers', value: 'markers' }
+            ]
+        }]);
+
+        if (choice === 'markers') picked.push(chunk);
+        else if (choice === 'both') picked.push({ type: 'ok', lines: [...chunk.local, ...chunk.remote] });
+        else picked.push({ type: 'ok', lines: chunk[choice] });
+    }
+    return picked;
+}
+
+/**
+ * Merges the scripts of a method from two environments into the local
+ * scripts folder. The base of the three-way merge is the last synced
+ * version of each script (see core/manifest); changes made on one side only
+ * are applied, and only overlapping changes become conflicts, resolved with
+ * conflict markers, interactively (`interactive`) or with a merge tool
+ * (`tool`, the compare.mergeTool config, or VS Code when run from its terminal).
+ *
+ * Scripts with local edits not synced yet are not overwritten: the result
+ * goes to diff_script_N_<source>_<target>.js next to them.
+ *
  * @param {Object} options - Options
  * @param {string[]} options.sourceScripts - Source scripts
  * @param {string[]} options.targetScripts - Target scripts
  * @param {string} options.scriptsPath - Output path for scripts
+ * @param {string} options.rootPath - Classes root path (manifest and merge base)
  * @param {string} options.sourceEnv - Source environment name
  * @param {string} options.targetEnv - Target environment name
  * @param {string} options.sourceUrl - Source URL
  * @param {string} options.targetUrl - Target URL
+ * @param {string} [options.tool] - Merge tool (see utils/mergeTools)
+ * @param {boolean} [options.interactive] - Pick each conflict in the terminal
+ * @returns {Promise<number>} Conflicts left unresolved
  */
-function generateDiffFiles({ sourceScripts, targetScripts, scriptsPath, sourceEnv, targetEnv, sourceUrl, targetUrl }, logger = defaultLogger) {
+async function generateDiffFiles({ sourceScripts, targetScripts, scriptsPath, rootPath, sourceEnv, targetEnv, sourceUrl, targetUrl, tool, interactive }, logger = defaultLogger) {
     if (!fs.existsSync(scriptsPath)) {
         fs.mkdirSync(scriptsPath, { recursive: true });
     }
+    if (interactive && isNonInteractive()) {
+        throw new Error('--interactive needs a terminal');
+    }
 
-    const tempDir = path.join(process.cwd(), '.tmp_diff');
-    if (!fs.existsSync(tempDir)) fs.mkdirSync(tempDir);
+    const mergeTool = interactive ? null
+        : tool || loadProjectConfig().compare?.mergeTool || (process.env.TERM_PROGRAM === 'vscode' ? 'vscode' : null);
+    const labels = {
+        local: `${sourceEnv.toUpperCase()} (${sourceUrl})`,
+        base: 'BASE (last sync)',
+        remote: `${targetEnv.toUpperCase()} (${targetUrl})`
+    };
+    const manifest = loadManifest(rootPath);
 
     const maxScripts = Math.max(sourceScripts.length, targetScripts.length);
     logger.info(`\nFound ${sourceScripts.length} script(s) in Source and ${targetScripts.length} in Target.`);
     logger.info(`Output folder: ${scriptsPath}`);
 
+    let unresolved = 0;
     for (let i = 0; i < maxScripts; i++) {
         const sScript = sourceScripts[i] || '';
         const tScript = targetScripts[i] || '';
 
-        const scriptFileName = `script_${i + 1}.js`;
+        const scriptFileName = `script_${i}.js`;
         const scriptPath = path.join(scriptsPath, scriptFileName);
 
-        // Ensure it exists with Source content
-        if (!fs.existsSync(scriptPath)) {
-            fs.writeFileSync(scriptPath, sScript);
+        // Without a recorded base, every difference is a conflict (two-way merge)
+        let base = readBaseFile(rootPath, scriptPath);
+        if (base === null) {
+            logger.warn(`${scriptFileName}: no synced version recorded (pull or sync it first), differences are conflicts`);
+            base = '';
         }
 
-        logger.log(`Target Script: ${scriptFileName}`);
-
-        // Prepare temporary files for 3-way merge
-        const sourceFile = path.join(tempDir, `merge_local_${i + 1}.js`);
-        const targetFile = path.join(tempDir, `merge_remote_${i + 1}.js`);
-        const baseFile = path.join(tempDir, `merge_base_${i + 1}.js`);
-
-        fs.writeFileSync(sourceFile, sScript);
-        fs.writeFileSync(targetFile, tScript);
-        fs.writeFileSync(baseFile, sScript);
-
-        // Check for VS Code environment
-        const isVsCode = process.env.TERM_PROGRAM === 'vscode';
+        // Local edits not synced yet are kept
+        let outputPath = scriptPath;
+        if (fs.existsSync(scriptPath) && isLocallyModified(manifest, rootPath, scriptPath) !== false) {
+            outputPath = path.join(scriptsPath, `diff_script_${i}_${sourceEnv}_${targetEnv}.js`);
+            logger.warn(`${scriptFileName} has local edits not synced: writing the merge to ${path.basename(outputPath)}`);
+        }
 
-        if (i === 0 && isVsCode) {
-            logger.info('Opening VS Code Merge Editor...');
-            logger.log('  Current (Left): Source Env');
-            logger.log('  Incoming (Right): Target Env');
-            logger.log('  Result: Saving will update script file');
+        let { chunks, conflicts } = mergeThreeWay(base, sScript, tScript);
+        if (conflicts > 0 && interactive) {
+            chunks = await pickConflicts(chunks, labels, scriptFileName, logger);
+            conflicts = chunks.filter(chunk => chunk.type === 'conflict').length;
+        }
+        fs.writeFileSync(outputPath, renderMerge(chunks, labels));
+
+        if (conflicts > 0 && mergeTool) {
+            // The tool gets the three versions and edits the result (pre-filled with the markers)
+            const tempDir = path.join(process.cwd(), '.tmp_diff');
+            fs.mkdirSync(tempDir, { recursive: true });
+            const files = {
+                base: path.join(tempDir, `merge_base_${i}.js`),
+                local: path.join(tempDir, `merge_local_${i}.js`),
+                remote: path.join(tempDir, `merge_remote_${i}.js`),
+                merged: outputPath
+            };
+            fs.writeFileSync(files.base, base);
+            fs.writeFileSync(files.local, sScript);
+            fs.writeFileSync(files.remote, tScript);
+
+            logger.info(`Opening ${mergeTool} for ${scriptFileName} (${conflicts} conflict(s))...`);
+            try {
+                runMergeTool(mergeTool, files);
+                conflicts = fs.readFileSync(outputPath, 'utf-8').split('\n').filter(line => line.startsWith('<<<<<<< ')).length;
+            } catch (error) {
+                logger.warn(error.message);
+            } finally {
+                [files.base, files.local, files.remote].forEach(file => fs.rmSync(file, { force: true }));
+                if (fs.readdirSync(tempDir).length === 0) fs.rmdirSync(tempDir);
+            }
+        }
 
-            const { exec } = require('child_process');
-            exec(`code --merge "${sourceFile}" "${targetFile}" "${baseFile}" "${scriptPath}"`);
+        const written = path.basename(outputPath);
+        if (conflicts > 0) {
+            logger.warn(`⚠ ${written}: ${conflicts} conflict(s) left with conflict markers`);
+            unresolved += conflicts;
         } else {
-            // Fallback: generate conflict file
-            const conflictContent = `<<<<<<< ${sourceEnv.toUpperCase()} (${sourceUrl})
-${sScript}
-=======
-${tScript}
->>>>>>> ${targetEnv.toUpperCase()} (${targetUrl})
-`;
-            const diffFileName = `diff_script_${i + 1}_${sourceEnv}_${targetEnv}.js`;
-            const fullDiffPath = path.join(scriptsPath, diffFileName);
-            fs.writeFileSync(fullDiffPath, conflictContent);
-
-            if (i === 0) logger.warn(`Manual merge required (Editor auto-launch skipped).`);
-            logger.success(`Generated standard conflict file: ${diffFileName}`);
+            logger.success(`✓ ${written}: merged`);
         }
     }
+    return unresolved;
 }
 
 module.exports = {
     promptCompareArgs,
     getEnvTokens,
     getCurrentUrl,
-    getDefaultToken,
     resolveUrl,
     getTokenForUrl,
     isValidUrl,
     ensureEnvironmentAccess,
     fetchMethodData,
+    pickConflicts,
     generateDiffFiles
 };
@@ -7,7 +7,7 @@
  * @module utils/createClassFlow
  */
 
-const inquirer = require('inquirer');
+const { prompt } = require('./prompt');
 const fs = require('fs');
 const path = require('path');
 const { searchPaginated } = require('../api/main');
@@ -194,7 +194,7 @@ function createFieldObject(fieldData) {
 async function promptPackageIdentifier(pkgArg) {
     if (pkgArg) return pkgArg;
 
-    const ans = await inquirer.prompt([{
+    const ans = await prompt([{
         type: 'input',
         name: 'pkg',
         message: 'Identificador do pacote:',
@@ -211,7 +211,7 @@ async function promptPackageIdentifier(pkgArg) {
 async function promptClassName(nameArg) {
     if (nameArg) return nameArg;
 
-    const ans = await inquirer.prompt([{
+    const ans = await prompt([{
         type: 'input',
         name: 'name',
         message: 'Nome da classe:',
@@ -230,7 +230,7 @@ async function promptClassIdentifier(identifierOption, className) {
     if (identifierOption) return identifierOption;
 
     const suggestedIdentifier = toCamelCase(className);
-    const idAns = await inquirer.prompt([{
+    const idAns = await prompt([{
         type: 'input',
         name: 'identifier',
         message: 'Identificador da classe:',
@@ -250,7 +250,7 @@ async function promptClassIdentifier(identifierOption, className) {
 async function promptClassType(typeOption) {
     if (typeOption && typeOption !== 'STANDARD') return typeOption;
 
-    const typeAns = await inquirer.prompt([{
+    const typeAns = await prompt([{
         type: 'list',
         name: 'type',
         message: 'Tipo da classe:',
@@ -270,7 +270,7 @@ async function promptClassType(typeOption) {
  * @returns {Promise<Object[]>} Array of field objects
  */
 async function runFieldWizard(rootPath, logger) {
-    const wantFields = await inquirer.prompt([{
+    const wantFields = await prompt([{
         type: 'confirm',
         name: 'create',
         message: 'Deseja criar campos para esta classe?',
@@ -286,7 +286,7 @@ async function runFieldWizard(rootPath, logger) {
     let addingFields = true;
 
     while (addingFields) {
-        const nameAns = await inquirer.prompt([{
+        const nameAns = await prompt([{
             type: 'input',
             name: 'name',
             message: 'Nome do campo (ou "sair"):',
@@ -300,7 +300,7 @@ async function runFieldWizard(rootPath, logger) {
         const fieldName = nameAns.name.trim();
         const suggestedFieldId = toCamelCase(fieldName);
 
-        const idAns = await inquirer.prompt([{
+        const idAns = await prompt([{
             type: 'input',
             name: 'identifier',
             message: 'Identificador:',
@@ -308,7 +308,7 @@ async function runFieldWizard(rootPath, logger) {
             validate: input => /^[a-zA-Z][a-zA-Z0-9]*$/.test(input) ? true : 'Identificador inválido'
         }]);
 
-        const typeAns = await inquirer.prompt([{
+        const typeAns = await prompt([{
             type: 'list',
             name: 'type',
             message: 'Tipo:',
@@ -325,7 +325,7 @@ async function runFieldWizard(rootPath, logger) {
         };
 
         if (typeAns.type === 'REFERENCE') {
-            const refAns = await inquirer.prompt([{
+            const refAns = await prompt([{
                 type: 'input',
                 name: 'refClass',
                 message: 'Identificador da classe referenciada:',
@@ -344,7 +344,7 @@ async function runFieldWizard(rootPath, logger) {
                 fieldData.refClass = { identifier: refAns.refClass };
             }
 
-            const embeddedAns = await inquirer.prompt([{
+            const embeddedAns = await prompt([{
                 type: 'confirm',
                 name: 'embedded',
                 message: 'Embutir (embedded)?',
@@ -353,7 +353,7 @@ async function runFieldWizard(rootPath, logger) {
             fieldData.embedded = embeddedAns.embedded;
         }
 
-        const reqAns = await inquirer.prompt([{
+        const reqAns = await prompt([{
             type: 'confirm',
             name: 'required',
             message: 'Obrigatório?',
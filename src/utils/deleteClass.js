@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Delete Class Utility
+ *
+ * Checks whether a class can be retired (REFERENCE fields of other local
+ * classes pointing to it, instances stored in Sydle), deletes it from Sydle
+ * and archives its local folder under .sydle-archive so it can be restored.
+ *
+ * @module utils/deleteClass
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { executeMainMethod } = require('../api/main');
+const { loadLocalClasses, buildClassIdToIdentifier } = require('../core/processClasses');
+const { classLabel } = require('../core/syncPlan');
+
+/**
+ * Folder (next to the classes root) where deleted classes are archived
+ */
+const ARCHIVE_FOLDER = '.sydle-archive';
+
+/**
+ * @typedef {Object} ClassReference
+ * @property {string} from - Referencing class ("package.Class")
+ * @property {string} classPath - Local folder of the referencing class
+ * @property {string} field - Field identifier (prefixed by the method for parameters)
+ */
+
+/**
+ * Lists the REFERENCE fields of other local classes (and of their method
+ * parameters) that point to a class
+ * @param {string} rootPath - Classes root path (e.g. sydle-dev)
+ * @param {{ _id: string, identifier: string }} target - Class about to be deleted
+ * @returns {ClassReference[]}
+ */
+function findClassReferences(rootPath, target) {
+    const localClasses = loadLocalClasses(rootPath);
+    const classIdToIdentifier = buildClassIdToIdentifier(localClasses);
+
+    // fields.js may still hold the identifier instead of the _id (see fieldApiConverter)
+    const pointsToTarget = (field) => {
+        if (field.type !== 'REFERENCE' || !field.refClass || !field.refClass._id) return false;
+        const refId = field.refClass._id;
+        return refId === target._id || (!classIdToIdentifier.has(refId) && refId === target.identifier);
+    };
+
+    const references = [];
+    for (const { classPath, classData } of localClasses) {
+        if (classData._id === target._id) continue;
+
+        const from = classLabel(classPath);
+        for (const field of (classData.fields || []).filter(pointsToTarget)) {
+            references.push({ from, classPath, field: field.identifier });
+        }
+        for (const method of classData.methods || []) {
+            for (const key of ['inputParameters', 'outputParameters']) {
+                const fields = (method[key] && method[key].fields) || [];
+                for (const field of fields.filter(pointsToTarget)) {
+                    references.push({ from, classPath, field: `${method.identifier}.${key}.${field.identifier}` });
+                }
+            }
+        }
+    }
+    return references;
+}
+
+/**
+ * Counts the instances of a class stored in Sydle
+ * @param {string} classRecordId - Class _id
+ * @returns {Promise<{ count: number, atLeast: boolean }>} atLeast is true when Sydle capped the total
+ */
+async function countInstances(classRecordId) {
+    const response = await executeMainMethod(classRecordId, '_search', { query: { match_all: {} }, size: 0 });
+    const total = response && response.hits ? response.hits.total : 0;
+
+    if (total && typeof total === 'object') {
+        return { count: total.value || 0, atLeast: total.relation === 'gte' };
+    }
+    return { count: Number(total) || 0, atLeast: false };
+}
+
+/**
+ * Moves a class folder to <project>/.sydle-archive/<root>/<package>/<Class>-<timestamp>
+ * @param {string} rootPath - Classes root path
+ * @param {string} classPath - Local class folder
+ * @returns {string} Archive folder
+ */
+function archiveClassFolder(rootPath, classPath) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const archivePath = path.join(
+        path.dirname(rootPath),
+        ARCHIVE_FOLDER,
+        path.basename(rootPath),
+        `${path.relative(rootPath, classPath)}-${stamp}`
+    );
+
+    fs.mkdirSync(path.dirname(archivePath), { recursive: true });
+    fs.renameSync(classPath, archivePath);
+    return archivePath;
+}
+
+module.exports = {
+    ARCHIVE_FOLDER,
+    findClassReferences,
+    countInstances,
+    archiveClassFolder
+};
@@ -1,4 +1,4 @@
-const inquirer = require('inquirer');
+const { prompt } = require('./prompt');
 const path = require('path');
 const fs = require('fs');
 const { get, patch } = require('../api/main');
@@ -13,8 +13,10 @@ const { generateMethodFiles } = require('../generators/methodFiles');
  * @param {string} methodFolder - Absolute path to the deleted method folder
  * @param {string} rootPath - Absolute path to the root environment folder (e.g. sydle-dev)
  * @param {Object} logger - Logger instance
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.confirm=false] - Skip the confirmation prompt and delete from Sydle
  */
-async function handleMethodDeletion(methodFolder, rootPath, logger) {
+async function handleMethodDeletion(methodFolder, rootPath, logger, options = {}) {
     // methodFolder is the absolute path of the folder that WAS deleted.
     const relativePath = path.relative(rootPath, methodFolder);
     const parts = relativePath.split(path.sep);
@@ -39,25 +41,27 @@ async function handleMethodDeletion(methodFolder, rootPath, logger) {
 
     logger.warn(`\n🗑 Detected deletion of method folder: ${methodName}`);
 
-    // Prompt confirmation
-    // We use a small timeout to ensure the log is visible before the prompt clears/interferes
-    await new Promise(resolve => setTimeout(resolve, 500));
+    let confirmDelete = options.confirm === true;
+    if (!confirmDelete) {
+        // Prompt confirmation
+        // We use a small timeout to ensure the log is visible before the prompt clears/interferes
+        await new Promise(resolve => setTimeout(resolve, 500));
 
-    let confirmDelete = false;
-    try {
-        const answers = await inquirer.prompt([
-            {
-                type: 'confirm',
-                name: 'confirmDelete',
-                message: `Do you want to DELETE "${methodName}" from Sydle system as well?`,
-                default: false
-            }
-        ]);
-        confirmDelete = answers.confirmDelete;
-    } catch (error) {
-        logger.error(`Error prompting user: ${error.message}`);
-        // If prompt fails, default to 'No' (Safe default)
-        confirmDelete = false;
+        try {
+            const answers = await prompt([
+                {
+                    type: 'confirm',
+                    name: 'confirmDelete',
+                    message: `Do you want to DELETE "${methodName}" from Sydle system as well?`,
+                    default: false
+                }
+            ]);
+            confirmDelete = answers.confirmDelete;
+        } catch (error) {
+            logger.error(`Error prompting user: ${error.message}`);
+            // If prompt fails, default to 'No' (Safe default)
+            confirmDelete = false;
+        }
     }
 
     const classJsonPath = path.join(rootPath, packageName, className, 'class.json');
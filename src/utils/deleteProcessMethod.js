@@ -1,4 +1,4 @@
-const inquirer = require('inquirer');
+const { prompt } = require('./prompt');
 const path = require('path');
 const fs = require('fs');
 const { get, patch } = require('../api/main');
@@ -56,7 +56,7 @@ async function handleProcessMethodDeletion(methodFolder, rootPath, logger) {
 
     let confirmDelete = false;
     try {
-        const answers = await inquirer.prompt([
+        const answers = await prompt([
             {
                 type: 'confirm',
                 name: 'confirmDelete',
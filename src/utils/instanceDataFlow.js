@@ -10,22 +10,18 @@
 
 const fs = require('fs');
 const path = require('path');
-const inquirer = require('inquirer');
+const { prompt } = require('./prompt');
 const { get, update, searchPaginated } = require('../api/main');
 const { validatePackage, findClassByIdentifier, CLASS_METADATA_ID } = require('./createClassFlow');
 const { createLogger } = require('./logger');
+const { getRootPath, getDataRootPath } = require('./profiles');
 
 /**
  * Gets the data directory path based on environment
  * @returns {string} Path to sydle-dev-data folder
  */
 function getDataDir() {
-    let url = process.env.SYDLE_API_URL || '';
-    let env = 'prod';
-    if (url.includes('dev')) env = 'dev';
-    else if (url.includes('hom')) env = 'hom';
-
-    return path.join(process.cwd(), `sydle-${env}-data`);
+    return getDataRootPath();
 }
 
 /**
@@ -33,12 +29,7 @@ function getDataDir() {
  * @returns {string} Path to sydle-dev folder
  */
 function getDevDir() {
-    let url = process.env.SYDLE_API_URL || '';
-    let env = 'prod';
-    if (url.includes('dev')) env = 'dev';
-    else if (url.includes('hom')) env = 'hom';
-
-    return path.join(process.cwd(), `sydle-${env}`);
+    return getRootPath();
 }
 
 /**
@@ -279,7 +270,7 @@ async function validatePackageAndClass(packageId, classId, logger) {
 async function promptInstanceId(idArg) {
     if (idArg) return idArg;
 
-    const ans = await inquirer.prompt([{
+    const ans = await prompt([{
         type: 'input',
         name: 'id',
         message: 'ID da instância (_id):',
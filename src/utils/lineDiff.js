@@ -0,0 +1,178 @@
+/**
+ * @fileoverview Line Diff Utility
+ *
+ * Line-based diff of two texts (Myers' O(ND) algorithm) and its grouping
+ * into hunks with context lines, as in a unified diff.
+ *
+ * @module utils/lineDiff
+ */
+
+/**
+ * One line of a diff
+ * @typedef {Object} DiffLine
+ * @property {' '|'-'|'+'} type - Kept, only in the old text, only in the new text
+ * @property {string} text - Line content (without the line break)
+ */
+
+/**
+ * Lines of a diff with their position in both texts
+ * @typedef {Object} Hunk
+ * @property {number} oldStart - First old line (1-based)
+ * @property {number} oldLines - Number of old lines
+ * @property {number} newStart - First new line (1-based)
+ * @property {number} newLines - Number of new lines
+ * @property {DiffLine[]} lines - Changed lines and their context
+ */
+
+/**
+ * Splits a text into lines (a final line break does not add an empty line)
+ * @param {string} text - Text
+ * @returns {string[]}
+ */
+function splitLines(text) {
+    if (!text) return [];
+    const lines = String(text).replace(/\r\n/g, '\n').split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+}
+
+/**
+ * Diffs two texts line by line
+ * @param {string} oldText - Old text (e.g. the target environment)
+ * @param {string} newText - New text (e.g. the source environment)
+ * @returns {DiffLine[]}
+ */
+function diffLines(oldText, newText) {
+    const a = splitLines(oldText);
+    const b = splitLines(newText);
+
+    // The common prefix and suffix are kept as they are
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+    let suffix = 0;
+    while (suffix < a.length - prefix && suffix < b.length - prefix
+        && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+    const keep = text => ({ type: ' ', text });
+    const middle = shortestEdit(a.slice(prefix, a.length - suffix), b.slice(prefix, b.length - suffix));
+    return [
+        ...a.slice(0, prefix).map(keep),
+        ...middle,
+        ...a.slice(a.length - suffix).map(keep)
+    ];
+}
+
+/**
+ * Shortest edit script between two line lists (Myers)
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @returns {DiffLine[]}
+ */
+function shortestEdit(a, b) {
+    const n = a.length;
+    const m = b.length;
+    if (n === 0) return b.map(text => ({ type: '+', text }));
+    if (m === 0) return a.map(text => ({ type: '-', text }));
+
+    const offset = n + m;
+    const v = new Int32Array(2 * offset + 2);
+    const trace = [];
+
+    search:
+    for (let d = 0; d <= n + m; d++) {
+        // Step d only reads back the diagonals -d..d of the previous step
+        trace.push(v.slice(offset - d, offset + d + 1));
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) { x++; y++; }
+            v[offset + k] = x;
+            if (x >= n && y >= m) break search;
+        }
+    }
+
+    // Walk the trace back from the end
+    const lines = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const previous = trace[d];
+        const at = diagonal => previous[diagonal + d];
+        const k = x - y;
+        const previousK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+        // The search starts at (0, 0)
+        const previousX = d === 0 ? 0 : at(previousK);
+        const previousY = previousX - previousK;
+
+        while (x > previousX && y > previousY) {
+            lines.push({ type: ' ', text: a[--x] });
+            y--;
+        }
+        if (d > 0) {
+            if (x === previousX) lines.push({ type: '+', text: b[--y] });
+            else lines.push({ type: '-', text: a[--x] });
+        }
+    }
+    return lines.reverse();
+}
+
+/**
+ * Counts the changed lines of a diff
+ * @param {DiffLine[]} lines - Diff
+ * @returns {{ added: number, removed: number }}
+ */
+function countChanges(lines) {
+    return {
+        added: lines.filter(line => line.type === '+').length,
+        removed: lines.filter(line => line.type === '-').length
+    };
+}
+
+/**
+ * Groups a diff into hunks, each change with up to `context` kept lines around it
+ * @param {DiffLine[]} lines - Diff
+ * @param {number} [context=3] - Kept lines shown around the changes
+ * @returns {Hunk[]}
+ */
+function toHunks(lines, context = 3) {
+    // Line numbers of each diff line in the old and new texts
+    const positions = [];
+    let oldLine = 1;
+    let newLine = 1;
+    for (const line of lines) {
+        positions.push({ oldLine, newLine });
+        if (line.type !== '+') oldLine++;
+        if (line.type !== '-') newLine++;
+    }
+
+    // Ranges around each change, merged when their context overlaps
+    const ranges = [];
+    lines.forEach((line, index) => {
+        if (line.type === ' ') return;
+        const from = Math.max(0, index - context);
+        const to = Math.min(lines.length - 1, index + context);
+        const last = ranges[ranges.length - 1];
+        if (last && from <= last.to + 1) last.to = to;
+        else ranges.push({ from, to });
+    });
+
+    return ranges.map(({ from, to }) => {
+        const hunkLines = lines.slice(from, to + 1);
+        return {
+            oldStart: positions[from].oldLine,
+            oldLines: hunkLines.filter(line => line.type !== '+').length,
+            newStart: positions[from].newLine,
+            newLines: hunkLines.filter(line => line.type !== '-').length,
+            lines: hunkLines
+        };
+    });
+}
+
+module.exports = {
+    splitLines,
+    diffLines,
+    countChanges,
+    toHunks
+};
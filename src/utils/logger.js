@@ -5,8 +5,14 @@ const chalk = require('chalk');
  * Provides consistent formatting with colors and emojis
  */
 class Logger {
-    constructor(verbose = false) {
+    /**
+     * @param {boolean} [verbose=false] - Show debug messages and timestamps
+     * @param {Object} [options]
+     * @param {boolean} [options.stderr=false] - Write to stderr (keeps stdout for machine-readable output)
+     */
+    constructor(verbose = false, options = {}) {
         this.verbose = verbose;
+        this.write = options.stderr ? console.error : console.log;
     }
 
     /**
@@ -20,35 +26,35 @@ class Logger {
      * Info message (blue)
      */
     info(message) {
-        console.log(chalk.blue(`${this._timestamp()}${message}`));
+        this.write(chalk.blue(`${this._timestamp()}${message}`));
     }
 
     /**
      * Success message (green)
      */
     success(message) {
-        console.log(chalk.green(`${this._timestamp()}${message}`));
+        this.write(chalk.green(`${this._timestamp()}${message}`));
     }
 
     /**
      * Warning message (yellow)
      */
     warn(message) {
-        console.log(chalk.yellow(`${this._timestamp()}${message}`));
+        this.write(chalk.yellow(`${this._timestamp()}${message}`));
     }
 
     /**
      * Error message (red)
      */
     error(message) {
-        console.log(chalk.red(`${this._timestamp()}${message}`));
+        this.write(chalk.red(`${this._timestamp()}${message}`));
     }
 
     /**
      * Plain message (no color)
      */
     log(message) {
-        console.log(`${this._timestamp()}${message}`);
+        this.write(`${this._timestamp()}${message}`);
     }
 
     /**
@@ -56,16 +62,16 @@ class Logger {
      */
     summary(lines) {
         const separator = '='.repeat(50);
-        console.log('\n' + chalk.gray(separator));
-        lines.forEach(line => console.log(line));
-        console.log(chalk.gray(separator));
+        this.write('\n' + chalk.gray(separator));
+        lines.forEach(line => this.write(line));
+        this.write(chalk.gray(separator));
     }
 
     /**
      * Progress indicator
      */
     progress(message) {
-        console.log(chalk.cyan(`${this._timestamp()}${message}`));
+        this.write(chalk.cyan(`${this._timestamp()}${message}`));
     }
 
     /**
@@ -73,16 +79,18 @@ class Logger {
      */
     debug(message) {
         if (this.verbose) {
-            console.log(chalk.gray(`${this._timestamp()}[DEBUG] ${message}`));
+            this.write(chalk.gray(`${this._timestamp()}[DEBUG] ${message}`));
         }
     }
 }
 
 /**
  * Create logger instance
+ * @param {boolean} [verbose=false] - Show debug messages and timestamps
+ * @param {{ stderr?: boolean }} [options] - See Logger
  */
-function createLogger(verbose = false) {
-    return new Logger(verbose);
+function createLogger(verbose = false, options = {}) {
+    return new Logger(verbose, options);
 }
 
 // Default instance
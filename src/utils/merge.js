@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Three-Way Merge Utility
+ *
+ * Line-based three-way merge (as diff3): the changes of each side against
+ * the common base are applied together, and only changes that overlap and
+ * differ are left as conflicts.
+ *
+ * @module utils/merge
+ */
+
+const { splitLines, diffLines } = require('./lineDiff');
+
+/**
+ * Part of a merge result
+ * @typedef {Object} MergeChunk
+ * @property {'ok'|'conflict'} type - Resolved lines, or a conflict
+ * @property {string[]} [lines] - Resolved lines
+ * @property {string[]} [base] - Conflict: base lines
+ * @property {string[]} [local] - Conflict: local lines
+ * @property {string[]} [remote] - Conflict: remote lines
+ */
+
+/**
+ * Lists the base ranges replaced by one side
+ * @param {import('./lineDiff').DiffLine[]} lines - Diff from the base to the side
+ * @returns {{ start: number, end: number, lines: string[] }[]} Replaced base lines [start, end) and their replacement
+ */
+function changedRanges(lines) {
+    const ranges = [];
+    let baseIndex = 0;
+    let current = null;
+
+    for (const line of lines) {
+        if (line.type === ' ') {
+            current = null;
+            baseIndex++;
+            continue;
+        }
+        if (!current) {
+            current = { start: baseIndex, end: baseIndex, lines: [] };
+            ranges.push(current);
+        }
+        if (line.type === '-') {
+            current.end = ++baseIndex;
+        } else {
+            current.lines.push(line.text);
+        }
+    }
+    return ranges;
+}
+
+/**
+ * Lines of one side over a base range, applying its changes in that range
+ * @param {string[]} base - Base lines
+ * @param {number} start - First base line
+ * @param {number} end - End of the range (exclusive)
+ * @param {{ start: number, end: number, lines: string[] }[]} ranges - Changes of the side inside the range
+ * @returns {string[]}
+ */
+function sideLines(base, start, end, ranges) {
+    const lines = [];
+    let position = start;
+    for (const range of ranges) {
+        lines.push(...base.slice(position, range.start), ...range.lines);
+        position = range.end;
+    }
+    lines.push(...base.slice(position, end));
+    return lines;
+}
+
+/**
+ * Merges two versions of a text with their common base
+ * @param {string} baseText - Common ancestor (e.g. the last synced version)
+ * @param {string} localText - Local version
+ * @param {string} remoteText - Remote version
+ * @returns {{ chunks: MergeChunk[], conflicts: number }}
+ */
+function mergeThreeWay(baseText, localText, remoteText) {
+    const base = splitLines(baseText);
+    const changes = [
+        ...changedRanges(diffLines(baseText, localText)).map(range => ({ ...range, side: 'local' })),
+        ...changedRanges(diffLines(baseText, remoteText)).map(range => ({ ...range, side: 'remote' }))
+    ].sort((a, b) => a.start - b.start || a.end - b.end);
+
+    // Changes whose base ranges overlap or touch are resolved together
+    const groups = [];
+    for (const change of changes) {
+        const group = groups[groups.length - 1];
+        if (group && change.start <= group.end) {
+            group.end = Math.max(group.end, change.end);
+            group.changes.push(change);
+        } else {
+            groups.push({ start: change.start, end: change.end, changes: [change] });
+        }
+    }
+
+    const chunks = [];
+    const pushLines = lines => {
+        if (lines.length === 0) return;
+        const last = chunks[chunks.length - 1];
+        if (last && last.type === 'ok') last.lines.push(...lines);
+        else chunks.push({ type: 'ok', lines: [...lines] });
+    };
+
+    let position = 0;
+    let conflicts = 0;
+    for (const group of groups) {
+        pushLines(base.slice(position, group.start));
+
+        const local = group.changes.filter(change => change.side === 'local');
+        const remote = group.changes.filter(change => change.side === 'remote');
+        const localLines = sideLines(base, group.start, group.end, local);
+        const remoteLines = sideLines(base, group.start, group.end, remote);
+
+        if (remote.length === 0) {
+            pushLines(localLines);
+        } else if (local.length === 0 || localLines.join('\n') === remoteLines.join('\n')) {
+            pushLines(remoteLines);
+        } else {
+            chunks.push({ type: 'conflict', base: base.slice(group.start, group.end), local: localLines, remote: remoteLines });
+            conflicts++;
+        }
+        position = group.end;
+    }
+    pushLines(base.slice(position));
+
+    return { chunks, conflicts };
+}
+
+/**
+ * Writes a merge result as text, with conflict markers for unresolved conflicts
+ * @param {MergeChunk[]} chunks - Merge result
+ * @param {{ local: string, base: string, remote: string }} labels - Marker labels
+ * @returns {string}
+ */
+function renderMerge(chunks, labels) {
+    const lines = [];
+    for (const chunk of chunks) {
+        if (chunk.type === 'ok') {
+            lines.push(...chunk.lines);
+        } else {
+            lines.push(
+                `<<<<<<< ${labels.local}`, ...chunk.local,
+                `||||||| ${labels.base}`, ...chunk.base,
+                '=======', ...chunk.remote,
+                `>>>>>>> ${labels.remote}`
+            );
+        }
+    }
+    return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+}
+
+/**
+ * Checks whether a text still has the conflict markers of renderMerge (or git)
+ * @param {string} text - File content
+ * @returns {boolean}
+ */
+function hasConflictMarkers(text) {
+    return /^(<{7}|>{7})( |$)/m.test(text);
+}
+
+module.exports = {
+    mergeThreeWay,
+    renderMerge,
+    hasConflictMarkers
+};
@@ -0,0 +1,75 @@
+/**
+ * @fileoverview External Merge Tools
+ *
+ * Runs an external merge tool on the conflicts left by the built-in merge
+ * (see utils/merge). Known tools: vscode, meld, kdiff3, vimdiff. Any other
+ * value is run as a command line with the placeholders $BASE, $LOCAL,
+ * $REMOTE and $MERGED (as in git mergetool.<tool>.cmd).
+ *
+ * @module utils/mergeTools
+ */
+
+const { spawnSync } = require('child_process');
+
+/**
+ * Command line of each known tool
+ * @type {Object<string, (files: MergeFiles) => { command: string, args: string[] }>}
+ */
+const MERGE_TOOLS = {
+    vscode: files => ({ command: 'code', args: ['--wait', '--merge', files.local, files.remote, files.base, files.merged] }),
+    meld: files => ({ command: 'meld', args: [files.local, files.base, files.remote, '--output', files.merged] }),
+    kdiff3: files => ({ command: 'kdiff3', args: [files.base, files.local, files.remote, '-o', files.merged] }),
+    vimdiff: files => ({ command: 'vimdiff', args: ['-f', '-d', '-c', 'wincmd J', files.merged, files.local, files.base, files.remote] })
+};
+
+/**
+ * Files handed to a merge tool
+ * @typedef {Object} MergeFiles
+ * @property {string} base - Common ancestor
+ * @property {string} local - Local version
+ * @property {string} remote - Remote version
+ * @property {string} merged - Result (pre-filled with the built-in merge and its conflict markers)
+ */
+
+/**
+ * Quotes a path for a shell command line
+ * @param {string} value - Path
+ * @returns {string}
+ */
+function quote(value) {
+    return `"${String(value).replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Runs a merge tool and waits for it to close
+ * @param {string} tool - Known tool name or command line with $BASE/$LOCAL/$REMOTE/$MERGED
+ * @param {MergeFiles} files - Files to merge
+ * @throws {Error} When the tool cannot be started or exits with an error
+ */
+function runMergeTool(tool, files) {
+    let result;
+    if (MERGE_TOOLS[tool]) {
+        const { command, args } = MERGE_TOOLS[tool](files);
+        // The Windows launchers of code/meld are .cmd files
+        result = spawnSync(command, args, { stdio: 'inherit', shell: process.platform === 'win32' });
+    } else {
+        const commandLine = tool
+            .replace(/\$BASE/g, quote(files.base))
+            .replace(/\$LOCAL/g, quote(files.local))
+            .replace(/\$REMOTE/g, quote(files.remote))
+            .replace(/\$MERGED/g, quote(files.merged));
+        result = spawnSync(commandLine, { stdio: 'inherit', shell: true });
+    }
+
+    if (result.error) {
+        throw new Error(`Could not start merge tool '${tool}': ${result.error.message}`);
+    }
+    if (result.status !== 0) {
+        throw new Error(`Merge tool '${tool}' exited with code ${result.status}`);
+    }
+}
+
+module.exports = {
+    MERGE_TOOLS,
+    runMergeTool
+};
@@ -7,9 +7,10 @@
  * @module utils/createMethodFlow
  */
 
-const inquirer = require('inquirer');
+const { prompt } = require('./prompt');
 const fs = require('fs');
 const path = require('path');
+const { getActiveProfile, getRootPath } = require('./profiles');
 
 /**
  * Gets available packages from the root path
@@ -68,7 +69,7 @@ async function promptPackageSelection(pkgArg, rootPath, logger) {
         return null;
     }
 
-    const ans = await inquirer.prompt([{
+    const ans = await prompt([{
         type: 'list',
         name: 'pkg',
         message: 'Select a Package:',
@@ -100,7 +101,7 @@ async function promptClassSelection(classArg, packagePath, packageName, logger)
         return null;
     }
 
-    const ans = await inquirer.prompt([{
+    const ans = await prompt([{
         type: 'list',
         name: 'cls',
         message: 'Select a Class:',
@@ -117,7 +118,7 @@ async function promptClassSelection(classArg, packagePath, packageName, logger)
 async function promptMethodName(methodArg) {
     if (methodArg) return methodArg;
 
-    const ans = await inquirer.prompt([{
+    const ans = await prompt([{
         type: 'input',
         name: 'method',
         message: 'Method Name:',
@@ -145,7 +146,7 @@ async function promptMethodSelection(methodArg, classPath, className, logger, ac
         return null;
     }
 
-    const ans = await inquirer.prompt([{
+    const ans = await prompt([{
         type: 'list',
         name: 'method',
         message: `${actionVerb} a Method:`,
@@ -155,19 +156,13 @@ async function promptMethodSelection(methodArg, classPath, className, logger, ac
 }
 
 /**
- * Determines the environment and root path from current API URL
+ * Determines the environment and root path from the active profile
  * @returns {{ env: string, rootFolder: string, rootPath: string }}
  */
 function determineEnvironment() {
-    const url = process.env.SYDLE_API_URL || '';
-    let env = 'prod';
-    if (url.includes('dev')) env = 'dev';
-    else if (url.includes('hom')) env = 'hom';
+    const profile = getActiveProfile();
 
-    const rootFolder = `sydle-${env}`;
-    const rootPath = path.join(process.cwd(), rootFolder);
-
-    return { env, rootFolder, rootPath };
+    return { env: profile.name, rootFolder: profile.rootFolder, rootPath: getRootPath(profile) };
 }
 
 /**
@@ -7,13 +7,11 @@
  * @module utils/packageFlow
  */
 
-const inquirer = require('inquirer');
-const { searchPaginated, get } = require('../api/main');
+const { prompt } = require('./prompt');
+const { downloadClasses, downloadChangedClasses, printPullReport } = require('../core/downloadClasses');
 const { processClasses } = require('../core/processClasses');
 const { createLogger } = require('./logger');
-
-const PACKAGE_METADATA_ID = '000000000000000000000015';
-const CLASS_METADATA_ID = '000000000000000000000000';
+const { getRootPath } = require('./profiles');
 
 /**
  * Prompts for package identifier if not provided
@@ -21,7 +19,7 @@ const CLASS_METADATA_ID = '000000000000000000000000';
  * @returns {Promise<string | null>} Package identifier or null
  */
 async function promptPackageIdentifier(logger) {
-    const { identifier } = await inquirer.prompt([{
+    const { identifier } = await prompt([{
         type: 'input',
         name: 'identifier',
         message: 'Identificador do pacote (Package identifier):',
@@ -40,37 +38,50 @@ async function promptPackageIdentifier(logger) {
 async function fetchPackageClasses(identifier, logger) {
     logger.progress(`   🔄 Buscando classes do pacote ${identifier}...`);
 
-    const query = {
+    try {
+        // Parallel download with progress bar (see core/downloadClasses)
+        return await downloadClasses(buildPackageQuery(identifier), { logger, label: '   📦 Baixando classes' });
+    } catch (error) {
+        logger.error(`   ❌ Erro ao buscar classes: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Builds the search query for the classes of a package
+ * @param {string} identifier - Package identifier
+ * @returns {Object}
+ */
+function buildPackageQuery(identifier) {
+    return {
         query: {
             term: { "package.identifier.keyword": identifier }
         },
         sort: [{ "_id": "asc" }]
     };
+}
 
-    const classesData = [];
+/**
+ * Downloads only the classes of a package changed since the last pull
+ * @param {string} identifier - Package identifier
+ * @param {import('./logger').Logger} logger - Logger instance
+ */
+async function runIncrementalPackagePull(identifier, logger) {
+    logger.progress(`   🔄 Verificando alterações no pacote ${identifier}...`);
+
+    const { classesData, report } = await downloadChangedClasses(buildPackageQuery(identifier), {
+        logger,
+        rootPath: getRootPath(),
+        label: '   📦 Baixando classes',
+        inScope: entry => entry.packageIdentifier === identifier
+    });
 
-    try {
-        await searchPaginated(CLASS_METADATA_ID, query, 50, async (hits) => {
-            logger.progress(`   📦 Encontradas ${hits.length} classes no lote...`);
-            for (const hit of hits) {
-                if (hit._source) {
-                    try {
-                        // Fetch full class to ensure we have all details including scripts
-                        const fullClass = await get(CLASS_METADATA_ID, hit._source._id);
-                        classesData.push(fullClass);
-                    } catch (error) {
-                        logger.warn(`   ⚠ Falha ao buscar classe completa ${hit._source.identifier}, usando resultado da busca.`);
-                        classesData.push(hit._source);
-                    }
-                }
-            }
+    if (classesData.length > 0) {
+        await processClasses(classesData, {
+            description: `Regenerando ${classesData.length} classes alteradas do pacote ${identifier}...`
         });
-
-        return classesData;
-    } catch (error) {
-        logger.error(`   ❌ Erro ao buscar classes: ${error.message}`);
-        return [];
     }
+    printPullReport(report, logger);
 }
 
 /**
@@ -91,6 +102,11 @@ async function runGetPackageFlow(identifier, options = {}) {
         return;
     }
 
+    if (options.incremental) {
+        await runIncrementalPackagePull(targetIdentifier, logger);
+        return;
+    }
+
     const classesData = await fetchPackageClasses(targetIdentifier, logger);
 
     if (classesData.length === 0) {
@@ -108,5 +124,6 @@ async function runGetPackageFlow(identifier, options = {}) {
 module.exports = {
     promptPackageIdentifier,
     fetchPackageClasses,
+    runIncrementalPackagePull,
     runGetPackageFlow
 };
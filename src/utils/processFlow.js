@@ -6,7 +6,7 @@
  * @module utils/processFlow
  */
 
-const inquirer = require('inquirer');
+const { prompt } = require('./prompt');
 const { searchPaginated } = require('../api/main');
 const { processProcesses } = require('../core/processProcesses');
 const { createLogger } = require('./logger');
@@ -18,7 +18,7 @@ const PROCESS_CLASS_ID = '595c20500000000000000100';
  * @returns {Promise<string | null>} Group identifier or null
  */
 async function promptGroupIdentifier() {
-    const { identifier } = await inquirer.prompt([{
+    const { identifier } = await prompt([{
         type: 'input',
         name: 'identifier',
         message: 'Identificador do grupo de processos (Process group identifier):',
@@ -33,7 +33,7 @@ async function promptGroupIdentifier() {
  * @returns {Promise<string | null>} Process identifier or null
  */
 async function promptProcessIdentifier() {
-    const { identifier } = await inquirer.prompt([{
+    const { identifier } = await prompt([{
         type: 'input',
         name: 'identifier',
         message: 'Identificador ou ID do processo (Process identifier or ID):',
@@ -48,7 +48,7 @@ async function promptProcessIdentifier() {
  * @returns {Promise<boolean>} True if only current version should be fetched
  */
 async function promptVersionOption() {
-    const { versionOption } = await inquirer.prompt([{
+    const { versionOption } = await prompt([{
         type: 'list',
         name: 'versionOption',
         message: 'Quais versões deseja buscar? (Which versions to fetch?)',
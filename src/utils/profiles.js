@@ -0,0 +1,345 @@
+/**
+ * @fileoverview Environment Profiles
+ *
+ * Named environment profiles declared in the project config file
+ * (`sydle.config.json` in the project root). Each profile defines the
+ * API URL, the local root folder, the token slot used to store its
+ * credentials and whether the environment is read-only.
+ *
+ * The active profile is resolved from (in order): the global `--env`
+ * option / `SYDLE_ENV` variable, the `defaultEnv` of the config file,
+ * and finally the profile whose URL matches `SYDLE_API_URL`.
+ *
+ * Projects without a config file keep working: `SYDLE_URL_<NAME>`
+ * variables saved in `.env` by older logins are read as profiles.
+ *
+ * @module utils/profiles
+ *
+ * @example
+ * // sydle.config.json
+ * {
+ *     "defaultEnv": "dev",
+ *     "environments": {
+ *         "dev": { "url": "https://tenant-dev.sydle.one/api/1" },
+ *         "prod": { "url": "https://tenant.sydle.one/api/1", "readOnly": true }
+ *     }
+ * }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Project config file name (resolved from process.cwd())
+ */
+const PROJECT_CONFIG_FILE = 'sydle.config.json';
+
+/**
+ * Profile used when nothing else can be resolved (legacy default folder)
+ */
+const FALLBACK_ENV = 'prod';
+
+/**
+ * @typedef {Object} Profile
+ * @property {string} name - Profile name (e.g. dev, hom, prod)
+ * @property {string|undefined} url - API base URL
+ * @property {string} rootFolder - Classes folder (default: sydle-<name>)
+ * @property {string} processFolder - Processes folder (default: sydle-process-<name>)
+ * @property {string} dataFolder - Instances folder (default: sydle-<name>-data)
+ * @property {string} tokenSlot - Key used to store the profile token (default: <name>)
+ * @property {boolean} readOnly - Whether remote writes are blocked
+ * @property {Object|undefined} auth - Auth strategy definition (see utils/authStrategies)
+ */
+
+/**
+ * Gets the absolute path of the project config file
+ * @returns {string}
+ */
+function getProjectConfigPath() {
+    return path.join(process.cwd(), PROJECT_CONFIG_FILE);
+}
+
+/**
+ * Loads the project config file
+ * @returns {{ defaultEnv?: string, environments: Object<string, Object> }}
+ */
+function loadProjectConfig() {
+    const configPath = getProjectConfigPath();
+    if (!fs.existsSync(configPath)) {
+        return { environments: {} };
+    }
+
+    try {
+        const data = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        return { ...data, environments: data.environments || {} };
+    } catch (error) {
+        throw new Error(`Invalid ${PROJECT_CONFIG_FILE}: ${error.message}`);
+    }
+}
+
+/**
+ * Saves the project config file
+ * @param {{ defaultEnv?: string, environments: Object<string, Object> }} projectConfig
+ */
+function saveProjectConfig(projectConfig) {
+    fs.writeFileSync(getProjectConfigPath(), JSON.stringify(projectConfig, null, 4));
+}
+
+/**
+ * Builds a full profile from a (partial) profile definition, applying defaults
+ * @param {string} name - Profile name
+ * @param {Object} [definition={}] - Raw profile definition
+ * @returns {Profile}
+ */
+function buildProfile(name, definition = {}) {
+    return {
+        name,
+        url: definition.url,
+        rootFolder: definition.rootFolder || `sydle-${name}`,
+        processFolder: definition.processFolder || `sydle-process-${name}`,
+        dataFolder: definition.dataFolder || `sydle-${name}-data`,
+        tokenSlot: definition.tokenSlot || name,
+        readOnly: definition.readOnly === true,
+        auth: definition.auth
+    };
+}
+
+/**
+ * Reads legacy profiles from SYDLE_URL_<NAME> environment variables
+ * @returns {Object<string, Object>}
+ */
+function getLegacyDefinitions() {
+    const definitions = {};
+    for (const [key, value] of Object.entries(process.env)) {
+        const match = key.match(/^SYDLE_URL_([A-Z0-9_]+)$/);
+        if (match && value) {
+            definitions[match[1].toLowerCase()] = { url: value };
+        }
+    }
+    return definitions;
+}
+
+/**
+ * Validates an API base URL and normalizes it (no trailing slash)
+ * @param {string} url - API base URL
+ * @returns {string} Normalized URL
+ * @throws {Error} If the URL is malformed or not http(s)
+ */
+function validateApiUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(String(url).trim());
+    } catch (error) {
+        throw new Error(`Invalid URL '${url}'. Expected something like https://tenant.sydle.one/api/1`);
+    }
+
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw new Error(`Invalid URL '${url}'. It must start with http:// or https://`);
+    }
+    if (parsed.search || parsed.hash) {
+        throw new Error(`Invalid URL '${url}'. Query strings and fragments are not allowed`);
+    }
+
+    return parsed.toString().replace(/\/+$/, '');
+}
+
+/**
+ * Lists all known profiles (config file first, legacy .env URLs as fallback)
+ * @returns {Profile[]}
+ */
+function listProfiles() {
+    const { environments } = loadProjectConfig();
+    const definitions = { ...getLegacyDefinitions(), ...environments };
+    return Object.entries(definitions).map(([name, definition]) => buildProfile(name, definition));
+}
+
+/**
+ * Gets a profile by name
+ * @param {string} name - Profile name
+ * @returns {Profile|null}
+ */
+function getProfile(name) {
+    return listProfiles().find(p => p.name === name) || null;
+}
+
+/**
+ * Finds the profile configured with a given URL
+ * @param {string} url - API base URL
+ * @returns {Profile|null}
+ */
+function findProfileByUrl(url) {
+    if (!url) return null;
+    const normalized = url.replace(/\/+$/, '');
+    return listProfiles().find(p => p.url && p.url.replace(/\/+$/, '') === normalized) || null;
+}
+
+/**
+ * Gets the name of the selected profile (--env / SYDLE_ENV, then config defaultEnv)
+ * @returns {string|undefined}
+ */
+function getSelectedProfileName() {
+    return process.env.SYDLE_ENV || loadProjectConfig().defaultEnv;
+}
+
+/**
+ * Resolves the active profile
+ * @returns {Profile}
+ */
+function getActiveProfile() {
+    const selected = getSelectedProfileName();
+    if (selected) {
+        const profile = getProfile(selected);
+        if (profile) return profile;
+    }
+
+    const url = process.env.SYDLE_API_URL;
+    const byUrl = findProfileByUrl(url);
+    if (byUrl) return byUrl;
+
+    return buildProfile(selected || FALLBACK_ENV, { url });
+}
+
+/**
+ * Activates a profile for the current process.
+ * Sets SYDLE_ENV and SYDLE_API_URL so the API client and commands use it.
+ *
+ * @param {string} name - Profile name
+ * @returns {Profile}
+ * @throws {Error} If the profile does not exist
+ */
+function activateProfile(name) {
+    const profile = getProfile(name);
+    if (!profile) {
+        throw new Error(`Unknown environment '${name}'. Run 'sydle env list' to see the configured environments.`);
+    }
+
+    process.env.SYDLE_ENV = profile.name;
+    if (profile.url) {
+        process.env.SYDLE_API_URL = profile.url;
+    }
+    return profile;
+}
+
+/**
+ * Adds or updates a profile in the project config file
+ * @param {string} name - Profile name
+ * @param {Object} definition - Profile properties (url, rootFolder, tokenSlot, readOnly...)
+ * @returns {Profile}
+ */
+function upsertProfile(name, definition) {
+    const projectConfig = loadProjectConfig();
+    const current = projectConfig.environments[name] || {};
+    const merged = { ...current };
+
+    for (const [key, value] of Object.entries(definition)) {
+        if (value !== undefined) merged[key] = value;
+    }
+
+    projectConfig.environments[name] = merged;
+    if (!projectConfig.defaultEnv) {
+        projectConfig.defaultEnv = name;
+    }
+    saveProjectConfig(projectConfig);
+
+    return buildProfile(name, merged);
+}
+
+/**
+ * Removes a profile from the project config file
+ * @param {string} name - Profile name
+ * @returns {boolean} True if the profile existed
+ */
+function removeProfile(name) {
+    const projectConfig = loadProjectConfig();
+    if (!projectConfig.environments[name]) {
+        return false;
+    }
+
+    delete projectConfig.environments[name];
+    if (projectConfig.defaultEnv === name) {
+        delete projectConfig.defaultEnv;
+    }
+    saveProjectConfig(projectConfig);
+    return true;
+}
+
+/**
+ * Sets the default profile in the project config file
+ * @param {string} name - Profile name
+ * @returns {Profile}
+ * @throws {Error} If the profile does not exist
+ */
+function useProfile(name) {
+    const profile = getProfile(name);
+    if (!profile) {
+        throw new Error(`Unknown environment '${name}'. Run 'sydle env list' to see the configured environments.`);
+    }
+
+    const projectConfig = loadProjectConfig();
+    if (!projectConfig.environments[name]) {
+        // Promote legacy .env profile into the config file
+        projectConfig.environments[name] = { url: profile.url };
+    }
+    projectConfig.defaultEnv = name;
+    saveProjectConfig(projectConfig);
+    return profile;
+}
+
+/**
+ * Gets the classes root path (e.g. <cwd>/sydle-dev) for a profile
+ * @param {Profile} [profile] - Defaults to the active profile
+ * @returns {string}
+ */
+function getRootPath(profile = getActiveProfile()) {
+    return path.join(process.cwd(), profile.rootFolder);
+}
+
+/**
+ * Gets the processes root path (e.g. <cwd>/sydle-process-dev) for a profile
+ * @param {Profile} [profile] - Defaults to the active profile
+ * @returns {string}
+ */
+function getProcessRootPath(profile = getActiveProfile()) {
+    return path.join(process.cwd(), profile.processFolder);
+}
+
+/**
+ * Gets the instances root path (e.g. <cwd>/sydle-dev-data) for a profile
+ * @param {Profile} [profile] - Defaults to the active profile
+ * @returns {string}
+ */
+function getDataRootPath(profile = getActiveProfile()) {
+    return path.join(process.cwd(), profile.dataFolder);
+}
+
+/**
+ * Throws if the active profile is read-only
+ * @param {Profile} [profile] - Defaults to the active profile
+ * @throws {Error} If the profile is read-only
+ */
+function assertWritable(profile = getActiveProfile()) {
+    if (profile.readOnly) {
+        throw new Error(`Environment '${profile.name}' is read-only. Remote changes are not allowed.`);
+    }
+}
+
+module.exports = {
+    PROJECT_CONFIG_FILE,
+    getProjectConfigPath,
+    loadProjectConfig,
+    saveProjectConfig,
+    buildProfile,
+    validateApiUrl,
+    listProfiles,
+    getProfile,
+    findProfileByUrl,
+    getActiveProfile,
+    activateProfile,
+    upsertProfile,
+    removeProfile,
+    useProfile,
+    getRootPath,
+    getProcessRootPath,
+    getDataRootPath,
+    assertWritable
+};
@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Progress Bar
+ *
+ * Single-line progress bar with ETA for long downloads.
+ * On a TTY the line is redrawn in place; otherwise (CI logs) a line is
+ * printed every 10%.
+ *
+ * @module utils/progressBar
+ */
+
+const chalk = require('chalk');
+
+const BAR_WIDTH = 30;
+
+/**
+ * Formats a duration in ms as "1h 02m", "3m 05s" or "12s"
+ * @param {number} ms - Duration in ms
+ * @returns {string}
+ */
+function formatDuration(ms) {
+    const totalSeconds = Math.max(0, Math.round(ms / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+
+    if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+    if (minutes > 0) return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+    return `${seconds}s`;
+}
+
+/**
+ * Creates a progress bar
+ * @param {number} total - Number of items
+ * @param {string} [label='Progress'] - Label shown before the bar
+ * @param {NodeJS.WriteStream} [stream=process.stdout] - Output stream
+ * @returns {{ tick: (item?: string) => void, done: () => void }}
+ */
+function createProgressBar(total, label = 'Progress', stream = process.stdout) {
+    const startedAt = Date.now();
+    const interactive = Boolean(stream.isTTY);
+    let current = 0;
+    let lastPrintedStep = -1;
+
+    const render = (item) => {
+        const ratio = total > 0 ? current / total : 1;
+        const filled = Math.round(ratio * BAR_WIDTH);
+        const elapsed = Date.now() - startedAt;
+        const eta = current > 0 ? (elapsed / current) * (total - current) : 0;
+        const percent = `${Math.floor(ratio * 100)}%`.padStart(4);
+        const timing = current < total ? `ETA ${formatDuration(eta)}` : `in ${formatDuration(elapsed)}`;
+
+        if (interactive) {
+            const bar = chalk.cyan('█'.repeat(filled)) + chalk.gray('░'.repeat(BAR_WIDTH - filled));
+            const suffix = item ? chalk.gray(` ${item.length > 30 ? `${item.slice(0, 29)}…` : item}`) : '';
+            stream.write(`\r\x1b[2K${label} ${bar} ${percent} ${current}/${total} ${timing}${suffix}`);
+            return;
+        }
+
+        const step = Math.floor(ratio * 10);
+        if (step !== lastPrintedStep || current === total) {
+            lastPrintedStep = step;
+            stream.write(`${label} ${percent} ${current}/${total} ${timing}\n`);
+        }
+    };
+
+    return {
+        tick(item) {
+            current = Math.min(current + 1, total);
+            render(item);
+        },
+        done() {
+            if (current < total) {
+                current = total;
+                render();
+            }
+            if (interactive) stream.write('\n');
+        }
+    };
+}
+
+module.exports = {
+    createProgressBar,
+    formatDuration
+};
@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Prompt Utility
+ *
+ * Thin wrapper around inquirer used by every interactive flow.
+ * In non-interactive mode (global `--non-interactive` option or
+ * SYDLE_NON_INTERACTIVE=1) prompts fail with a NonInteractiveError and
+ * the process exit code is set to 1, so CI pipelines never hang on input.
+ *
+ * @module utils/prompt
+ */
+
+const inquirer = require('inquirer');
+
+/**
+ * Error thrown when a prompt is required in non-interactive mode
+ */
+class NonInteractiveError extends Error {
+    /**
+     * @param {string} message - Error message
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'NonInteractiveError';
+    }
+}
+
+/**
+ * Checks whether the CLI is running in non-interactive mode
+ * @returns {boolean}
+ */
+function isNonInteractive() {
+    return process.env.SYDLE_NON_INTERACTIVE === '1' || process.env.SYDLE_NON_INTERACTIVE === 'true';
+}
+
+/**
+ * Enables non-interactive mode for the current process
+ */
+function setNonInteractive() {
+    process.env.SYDLE_NON_INTERACTIVE = '1';
+}
+
+/**
+ * Prompts the user (inquirer.prompt), or fails in non-interactive mode
+ * @param {Object|Object[]} questions - inquirer questions
+ * @returns {Promise<Object>} Answers
+ * @throws {NonInteractiveError} In non-interactive mode, when a question would be asked
+ */
+async function prompt(questions) {
+    if (isNonInteractive()) {
+        const list = (Array.isArray(questions) ? questions : [questions]).filter(q => q.when !== false);
+        if (list.length === 0) {
+            return {};
+        }
+
+        const asked = list.map(q => `"${(q.message || q.name).replace(/:$/, '')}"`).join(', ');
+        process.exitCode = 1;
+        throw new NonInteractiveError(`Input required in non-interactive mode: ${asked}. Pass it as an argument or option.`);
+    }
+
+    return inquirer.prompt(questions);
+}
+
+/**
+ * Reads all of stdin (used for --token - and --password-stdin)
+ * @returns {Promise<string>} Trimmed stdin content
+ */
+function readStdin() {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        process.stdin.setEncoding('utf8');
+        process.stdin.on('data', chunk => { data += chunk; });
+        process.stdin.on('end', () => resolve(data.trim()));
+        process.stdin.on('error', reject);
+    });
+}
+
+module.exports = {
+    NonInteractiveError,
+    isNonInteractive,
+    setNonInteractive,
+    prompt,
+    readStdin
+};
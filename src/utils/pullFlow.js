@@ -0,0 +1,231 @@
+/**
+ * @fileoverview Pull Flow Utility
+ *
+ * Refreshes local class files from Sydle without losing local edits.
+ * Editable files (class.json, fields.js, script_N.js, inputs.js/outputs.js) whose content hash
+ * differs from the one recorded at the last pull/sync (see core/manifest)
+ * are treated as local modifications. They are kept as they are when the
+ * remote file did not change since then; when both sides changed, the user
+ * chooses to skip (keep local), overwrite, or merge (three-way
+ * merge against the last pulled/synced version, with conflict markers as
+ * compareFlow.generateDiffFiles).
+ *
+ * @module utils/pullFlow
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { prompt, isNonInteractive } = require('./prompt');
+const { createLogger } = require('./logger');
+const { getActiveProfile, getRootPath } = require('./profiles');
+const { downloadClasses, downloadChangedClasses, printPullReport, fetchPackages } = require('../core/downloadClasses');
+const { processClasses } = require('../core/processClasses');
+const { loadManifest, listTrackedFiles, isLocallyModified, readBaseFile } = require('../core/manifest');
+const { mergeThreeWay, renderMerge } = require('./merge');
+
+/**
+ * Conflict resolution strategies
+ */
+const STRATEGIES = ['skip', 'overwrite', 'merge'];
+
+/**
+ * Builds the search query and removal scope for the pull target
+ * @param {{ package?: string, class?: string }} options - Command options
+ * @returns {{ query: Object, inScope: (entry: Object) => boolean, label: string }}
+ */
+function buildPullScope(options) {
+    const sort = [{ "_id": "asc" }];
+
+    if (options.class) {
+        return {
+            query: { query: { term: { "identifier.keyword": options.class } }, sort },
+            inScope: entry => entry.identifier === options.class,
+            label: `class ${options.class}`
+        };
+    }
+    if (options.package) {
+        return {
+            query: { query: { term: { "package.identifier.keyword": options.package } }, sort },
+            inScope: entry => entry.packageIdentifier === options.package,
+            label: `package ${options.package}`
+        };
+    }
+    return { query: { query: { match_all: {} }, sort }, inScope: () => true, label: 'all classes' };
+}
+
+/**
+ * Reads the local files of the pulled classes that were edited since the last pull/sync,
+ * with their last pulled/synced version (read before the pull replaces it)
+ * @param {Object[]} classesData - Classes about to be written
+ * @param {string} rootPath - Classes root path
+ * @returns {Promise<{ filePath: string, content: string, base: string|null, untracked: boolean }[]>}
+ */
+async function snapshotLocalEdits(classesData, rootPath) {
+    const manifest = loadManifest(rootPath);
+    const packages = await fetchPackages(classesData);
+    const edits = [];
+
+    for (const _class of classesData) {
+        const _package = _class.package && packages.get(_class.package._id);
+        if (!_package) continue;
+
+        const classPath = path.join(rootPath, _package.identifier, _class.identifier);
+        if (!fs.existsSync(classPath)) continue;
+
+        for (const filePath of listTrackedFiles(classPath)) {
+            const modified = isLocallyModified(manifest, rootPath, filePath);
+            if (modified !== false) {
+                edits.push({
+                    filePath,
+                    content: fs.readFileSync(filePath, 'utf8'),
+                    base: readBaseFile(rootPath, filePath),
+                    untracked: modified === null
+                });
+            }
+        }
+    }
+    return edits;
+}
+
+/**
+ * Asks how to resolve a conflicting file
+ * @param {string} relativePath - File path shown to the user
+ * @param {boolean} untracked - Whether the file has no recorded hash
+ * @returns {Promise<{ strategy: string, applyToAll: boolean }>}
+ */
+async function promptResolution(relativePath, untracked) {
+    const { choice } = await prompt([{
+        type: 'list',
+        name: 'choice',
+        message: untracked
+            ? `${relativePath} differs from the remote version (no sync history, may not be a local edit):`
+            : `${relativePath} was changed locally and remotely:`,
+        choices: [
+            { name: 'Skip (keep local file)', value: 'skip' },
+            { name: 'Overwrite with remote', value: 'overwrite' },
+            { name: 'Merge (three-way, conflict markers where both changed)', value: 'merge' },
+            { name: 'Skip all remaining', value: 'skip:all' },
+            { name: 'Overwrite all remaining', value: 'overwrite:all' },
+            { name: 'Merge all remaining', value: 'merge:all' }
+        ]
+    }]);
+
+    const [strategy, scope] = choice.split(':');
+    return { strategy, applyToAll: scope === 'all' };
+}
+
+/**
+ * Orchestrates the pull flow
+ * @param {Object} options - Command options
+ * @param {string} [options.package] - Pull only this package
+ * @param {string} [options.class] - Pull only this class
+ * @param {boolean} [options.all] - Also pull classes unchanged since the last pull
+ * @param {string} [options.strategy] - Resolve every conflict with this strategy
+ * @param {boolean} [options.verbose] - Verbose logging
+ */
+async function runPullFlow(options = {}) {
+    const logger = createLogger(options.verbose);
+
+    if (options.strategy && !STRATEGIES.includes(options.strategy)) {
+        throw new Error(`Invalid strategy '${options.strategy}'. Use: ${STRATEGIES.join(', ')}`);
+    }
+
+    const profile = getActiveProfile();
+    const rootPath = getRootPath(profile);
+    const { query, inScope, label } = buildPullScope(options);
+
+    logger.progress(`🔄 Pulling ${label} from ${profile.name}...`);
+
+    let classesData;
+    let report = null;
+    if (options.all) {
+        classesData = await downloadClasses(query, { logger });
+    } else {
+        ({ classesData, report } = await downloadChangedClasses(query, { logger, rootPath, inScope }));
+    }
+
+    if (classesData.length === 0) {
+        if (report) printPullReport(report, logger);
+        else logger.warn(`No classes found for ${label}.`);
+        return;
+    }
+
+    // 1. Remember edited files before they are regenerated
+    const edits = await snapshotLocalEdits(classesData, rootPath);
+
+    // 2. Write remote versions (also records their hashes)
+    await processClasses(classesData, { description: `Writing ${classesData.length} classes...` });
+
+    // 3. Put local edits back right away, then resolve real conflicts
+    const conflicts = [];
+    let keptLocal = 0;
+    for (const edit of edits) {
+        const remote = fs.existsSync(edit.filePath) ? fs.readFileSync(edit.filePath, 'utf8') : '';
+        if (remote === edit.content) continue;
+
+        fs.writeFileSync(edit.filePath, edit.content);
+        // Unchanged remotely since the last pull/sync: only the local side changed
+        if (edit.base !== null && remote === edit.base) {
+            keptLocal++;
+        } else {
+            conflicts.push({ ...edit, remote });
+        }
+    }
+
+    let strategy = options.strategy || null;
+    if (!strategy && conflicts.length > 0 && isNonInteractive()) {
+        logger.warn('Non-interactive mode: keeping local files (use --strategy to choose).');
+        strategy = 'skip';
+    }
+
+    const labels = {
+        local: 'LOCAL',
+        base: 'BASE (last pull/sync)',
+        remote: `${profile.name.toUpperCase()} (${profile.url || 'remote'})`
+    };
+    const resolved = { skip: [], overwrite: [], merge: [] };
+    const withMarkers = [];
+
+    for (const conflict of conflicts) {
+        const relativePath = path.relative(process.cwd(), conflict.filePath);
+        let fileStrategy = strategy;
+        if (!fileStrategy) {
+            const answer = await promptResolution(relativePath, conflict.untracked);
+            fileStrategy = answer.strategy;
+            if (answer.applyToAll) strategy = answer.strategy;
+        }
+
+        if (fileStrategy === 'overwrite') {
+            fs.writeFileSync(conflict.filePath, conflict.remote);
+        } else if (fileStrategy === 'merge') {
+            // Without a recorded version (never pulled/synced) every difference is a conflict
+            const { chunks, conflicts: markers } = mergeThreeWay(conflict.base ?? '', conflict.content, conflict.remote);
+            fs.writeFileSync(conflict.filePath, renderMerge(chunks, labels));
+            if (markers > 0) withMarkers.push(relativePath);
+        }
+        resolved[fileStrategy].push(relativePath);
+    }
+
+    if (report) printPullReport(report, logger);
+
+    const lines = [`✓ Pulled classes: ${classesData.length}`];
+    if (keptLocal > 0) lines.push(`✓ Local edits kept (unchanged remotely): ${keptLocal}`);
+    if (edits.length - conflicts.length - keptLocal > 0) {
+        lines.push(`✓ Local edits identical to remote: ${edits.length - conflicts.length - keptLocal}`);
+    }
+    if (resolved.skip.length > 0) lines.push(`⏭ Kept local: ${resolved.skip.length}`);
+    if (resolved.overwrite.length > 0) lines.push(`⚠ Overwritten: ${resolved.overwrite.length}`);
+    if (resolved.merge.length > withMarkers.length) {
+        lines.push(`✓ Merged without conflicts: ${resolved.merge.length - withMarkers.length}`);
+    }
+    if (withMarkers.length > 0) {
+        lines.push(`⚠ Merged with conflict markers (resolve before syncing): ${withMarkers.length}`);
+        withMarkers.forEach(file => lines.push(`    ${file}`));
+    }
+    logger.summary(lines);
+}
+
+module.exports = {
+    STRATEGIES,
+    runPullFlow
+};
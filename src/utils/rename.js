@@ -0,0 +1,264 @@
+/**
+ * @fileoverview Rename Utility
+ *
+ * Helpers of `sydle renomear`: resolves what is being renamed, moves the
+ * local folders, regenerates the typings that carry the identifiers and
+ * rewrites the call sites (`Pedido.calc(...)`, `vendas.Pedido.calc(...)`)
+ * in the local scripts. The resolution and typing helpers are shared with
+ * `sydle clonar`.
+ *
+ * @module utils/rename
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { glob } = require('glob');
+const { loadLocalClasses, buildClassIdToIdentifier } = require('../core/processClasses');
+const { moveTrackedFiles } = require('../core/manifest');
+const { generateClassDts } = require('../generators/classDts');
+const { generateClassSchema } = require('../generators/classSchema');
+const { generatePackageDts } = require('../generators/packageDts');
+const { generateGlobalsDts } = require('../generators/globalsDts');
+const { generateJsconfig } = require('../generators/jsconfig');
+const { CLASS_METADATA_ID } = require('../core/syncFields');
+
+/** Valid class identifier (same rule as sydle criarClasse) */
+const CLASS_IDENTIFIER_PATTERN = /^[a-zA-Z][a-zA-Z0-9]*$/;
+
+/** Valid method identifier (methods starting with _ are system methods) */
+const METHOD_IDENTIFIER_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]*$/;
+
+/**
+ * @typedef {Object} ResolvedName
+ * @property {'class'|'method'} kind - What the name points to
+ * @property {string} classPath - Local class folder
+ * @property {string} packageIdentifier - Package identifier (from package.json)
+ * @property {string} classIdentifier - Class identifier
+ * @property {string} [methodIdentifier] - Method identifier (kind "method")
+ */
+
+/**
+ * @typedef {Object} CallSiteRewrite
+ * @property {RegExp} pattern - Global pattern of the old reference
+ * @property {string} replacement - Replacement (may use $1)
+ */
+
+/**
+ * Reads the identifier of a local package folder
+ * @param {string} packagePath - Package folder
+ * @returns {{ _id?: string, identifier: string }}
+ */
+function readPackageInfo(packagePath) {
+    const packageJsonPath = path.join(packagePath, 'package.json');
+    if (fs.existsSync(packageJsonPath)) {
+        try {
+            return JSON.parse(fs.readFileSync(packageJsonPath, 'utf-8'));
+        } catch (error) {
+            // Fall back to the folder name
+        }
+    }
+    return { identifier: path.basename(packagePath) };
+}
+
+/**
+ * Resolves "package.Class.method" or "package.Class" to a local folder.
+ * A method is tried first, so a class named like a method folder is still reachable.
+ * @param {string} rootPath - Classes root path
+ * @param {string} source - Dotted name given on the command line
+ * @returns {ResolvedName|null} null when nothing matches locally
+ */
+function resolveClassOrMethod(rootPath, source) {
+    const parts = source.split('.');
+
+    if (parts.length >= 3) {
+        const classPath = path.join(rootPath, ...parts.slice(0, -1));
+        const methodIdentifier = parts[parts.length - 1];
+        if (fs.existsSync(path.join(classPath, 'class.json')) && fs.existsSync(path.join(classPath, 'methods', methodIdentifier))) {
+            return {
+                kind: 'method',
+                classPath,
+                packageIdentifier: readPackageInfo(path.dirname(classPath)).identifier,
+                classIdentifier: path.basename(classPath),
+                methodIdentifier
+            };
+        }
+    }
+
+    if (parts.length >= 2) {
+        const classPath = path.join(rootPath, ...parts);
+        if (fs.existsSync(path.join(classPath, 'class.json'))) {
+            return {
+                kind: 'class',
+                classPath,
+                packageIdentifier: readPackageInfo(path.dirname(classPath)).identifier,
+                classIdentifier: path.basename(classPath)
+            };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Renames a folder and moves the hashes of its files in the manifest
+ * @param {string} rootPath - Classes root path
+ * @param {string} fromPath - Current folder
+ * @param {string} toPath - New folder
+ */
+function moveFolder(rootPath, fromPath, toPath) {
+    fs.mkdirSync(path.dirname(toPath), { recursive: true });
+    fs.renameSync(fromPath, toPath);
+    moveTrackedFiles(rootPath, fromPath, toPath);
+}
+
+/**
+ * Escapes a text to be used literally in a RegExp
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Call sites of a method through the generated typings:
+ * `Class.method` and `package.Class.method`
+ * @param {string} packageIdentifier - Package identifier
+ * @param {string} classIdentifier - Class identifier
+ * @param {string} from - Current method identifier
+ * @param {string} to - New method identifier
+ * @returns {CallSiteRewrite[]}
+ */
+function methodCallSites(packageIdentifier, classIdentifier, from, to) {
+    const owner = `((?:${escapeRegExp(packageIdentifier)}\\.)?${escapeRegExp(classIdentifier)}\\.)`;
+    return [
+        { pattern: new RegExp(`(?<![\\w$.])${owner}${escapeRegExp(from)}(?![\\w$])`, 'g'), replacement: `$1${to}` }
+    ];
+}
+
+/**
+ * Whether a class of another local package has the same identifier
+ * (a bare `Class.` reference may then point to either class)
+ * @param {string} rootPath - Classes root path
+ * @param {{ classPath: string, classIdentifier: string }} target - Class being renamed
+ * @returns {boolean}
+ */
+function isClassIdentifierShared(rootPath, { classPath, classIdentifier }) {
+    return loadLocalClasses(rootPath).some(local =>
+        local.classData.identifier === classIdentifier && path.resolve(local.classPath) !== path.resolve(classPath));
+}
+
+/**
+ * References of a class: `package.Class`, `Class.` (global var), the
+ * generated type names in JSDoc (`I_Data_Class`...) and `.refClass('Class')`
+ * in fields.js/inputs.js/outputs.js.
+ * The bare `Class.` is left alone when the identifier does not change
+ * (package move) or when another package has a class with the same identifier.
+ * @param {{ packageIdentifier: string, classIdentifier: string }} from - Current names
+ * @param {{ packageIdentifier: string, classIdentifier: string }} to - New names
+ * @param {Object} [options]
+ * @param {boolean} [options.sharedIdentifier] - Another local package has a class with the current identifier
+ * @returns {CallSiteRewrite[]}
+ */
+function classCallSites(from, to, options = {}) {
+    const oldClass = escapeRegExp(from.classIdentifier);
+    const rewrites = [{
+        pattern: new RegExp(`(?<![\\w$.])${escapeRegExp(from.packageIdentifier)}\\.${oldClass}(?![\\w$])`, 'g'),
+        replacement: `${to.packageIdentifier}.${to.classIdentifier}`
+    }];
+    if (from.classIdentifier !== to.classIdentifier && !options.sharedIdentifier) {
+        rewrites.push({ pattern: new RegExp(`(?<![\\w$.])${oldClass}(?=\\s*\\.)`, 'g'), replacement: to.classIdentifier });
+    }
+    rewrites.push(
+        {
+            pattern: new RegExp(`(?<![\\w$])(I_(?:Data_|Search_|SearchFields_)?)${oldClass}(?=_Body(?![\\w$])|(?![\\w$]))`, 'g'),
+            replacement: `$1${to.classIdentifier}`
+        },
+        { pattern: new RegExp(`(\\.refClass\\(\\s*['"])${oldClass}(?=['"])`, 'g'), replacement: `$1${to.classIdentifier}` }
+    );
+    return rewrites;
+}
+
+/**
+ * Applies call site rewrites to the local scripts and parameter files.
+ * Only matches that change the text are counted.
+ * @param {string} rootPath - Classes root path
+ * @param {CallSiteRewrite[]} rewrites - Rewrites to apply
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Only count the call sites
+ * @returns {Promise<{ file: string, count: number }[]>} Files with call sites
+ */
+async function rewriteCallSites(rootPath, rewrites, options = {}) {
+    const files = await glob(['**/scripts/script_*.js', '**/fields.js', '**/input/inputs.js', '**/output/outputs.js'], {
+        cwd: rootPath,
+        absolute: true
+    });
+
+    const rewritten = [];
+    for (const file of files.sort()) {
+        const original = fs.readFileSync(file, 'utf-8');
+        let count = 0;
+        const content = rewrites.reduce((text, { pattern, replacement }) => text.replace(pattern, (match, ...groups) => {
+            // $1, $2... of the replacement refer to the captured groups
+            const result = replacement.replace(/\$(\d)/g, (token, index) => groups[index - 1] ?? '');
+            if (result !== match) count++;
+            return result;
+        }), original);
+
+        if (content !== original) {
+            if (!options.dryRun) fs.writeFileSync(file, content);
+            rewritten.push({ file, count });
+        }
+    }
+    return rewritten;
+}
+
+/**
+ * Regenerates the method globals (method.d.ts, jsconfig.json) of a renamed or cloned method
+ * @param {string} rootPath - Classes root path
+ * @param {string} methodPath - Method folder
+ * @param {string} methodIdentifier - New method identifier
+ */
+function regenerateMethodTypings(rootPath, methodPath, methodIdentifier) {
+    const scriptsPath = path.join(methodPath, 'scripts');
+    if (fs.existsSync(scriptsPath)) {
+        generateJsconfig(scriptsPath, rootPath, methodIdentifier);
+    }
+}
+
+/**
+ * Regenerates class.d.ts/class.schema.js of classes, package.d.ts of
+ * packages and globals.d.ts, from the local class.json files
+ * @param {string} rootPath - Classes root path
+ * @param {string[]} classPaths - Class folders to regenerate
+ * @param {string[]} [packagePaths] - Package folders to regenerate
+ */
+async function regenerateTypings(rootPath, classPaths, packagePaths = []) {
+    const classIdToIdentifier = buildClassIdToIdentifier(loadLocalClasses(rootPath));
+
+    for (const classPath of new Set(classPaths)) {
+        const classData = JSON.parse(fs.readFileSync(path.join(classPath, 'class.json'), 'utf-8'));
+        await generateClassDts(classData, classPath, { classIdToIdentifier, classId: CLASS_METADATA_ID });
+        generateClassSchema(classData, classPath);
+    }
+
+    for (const packagePath of new Set(packagePaths)) {
+        generatePackageDts({ identifier: readPackageInfo(packagePath).identifier, classes: [] }, packagePath);
+    }
+
+    generateGlobalsDts(rootPath);
+}
+
+module.exports = {
+    CLASS_IDENTIFIER_PATTERN,
+    METHOD_IDENTIFIER_PATTERN,
+    readPackageInfo,
+    resolveClassOrMethod,
+    moveFolder,
+    methodCallSites,
+    isClassIdentifierShared,
+    classCallSites,
+    rewriteCallSites,
+    regenerateMethodTypings,
+    regenerateTypings
+};
@@ -0,0 +1,247 @@
+/**
+ * @fileoverview Secret Store
+ *
+ * Pluggable storage for credentials (access tokens). Backends:
+ * - `encrypted-file` (default): AES-256-GCM encrypted file next to the user
+ *   config, keyed by SYDLE_SECRET_PASSPHRASE or, when not set, by a machine key
+ *   derived from the host and user names.
+ * - `plain`: the user config store (`conf`), unencrypted.
+ *
+ * The backend is chosen with SYDLE_SECRET_STORE or the `secretStore` key of
+ * the user config. Plaintext tokens saved by older versions are moved into
+ * the encrypted file the first time it is used.
+ *
+ * @module utils/secretStore
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('./config');
+
+/**
+ * Config keys that hold secrets (migrated out of plaintext config)
+ */
+const SECRET_KEYS = ['tokens', 'envTokens', 'token'];
+
+const ALGORITHM = 'aes-256-gcm';
+
+/**
+ * Decrypted file cache (avoids a key derivation on every API call)
+ * @type {{ filePath: string, mtimeMs: number, data: Object } | null}
+ */
+let fileCache = null;
+
+/**
+ * Plaintext backend using the `conf` user config
+ */
+const plainBackend = {
+    name: 'plain',
+
+    /** @returns {Object} */
+    load() {
+        const data = {};
+        for (const key of SECRET_KEYS) {
+            if (config.has(key)) data[key] = config.get(key);
+        }
+        return data;
+    },
+
+    /** @param {Object} data */
+    save(data) {
+        for (const key of SECRET_KEYS) {
+            if (data[key] === undefined) config.delete(key);
+            else config.set(key, data[key]);
+        }
+    },
+
+    clear() {
+        SECRET_KEYS.forEach(key => config.delete(key));
+    }
+};
+
+/**
+ * Gets the path of the encrypted secrets file
+ * @returns {string}
+ */
+function getSecretsFilePath() {
+    return process.env.SYDLE_SECRETS_FILE || path.join(path.dirname(config.path), 'secrets.enc');
+}
+
+/**
+ * Builds the key material (passphrase or machine key)
+ * @returns {{ source: 'passphrase'|'machine', secret: string }}
+ */
+function getKeyMaterial() {
+    if (process.env.SYDLE_SECRET_PASSPHRASE) {
+        return { source: 'passphrase', secret: process.env.SYDLE_SECRET_PASSPHRASE };
+    }
+
+    let machineId = '';
+    for (const file of ['/etc/machine-id', '/var/lib/dbus/machine-id']) {
+        if (fs.existsSync(file)) {
+            machineId = fs.readFileSync(file, 'utf8').trim();
+            break;
+        }
+    }
+    return { source: 'machine', secret: `${os.hostname()}|${os.userInfo().username}|${machineId}` };
+}
+
+/**
+ * Encrypted file backend (AES-256-GCM, scrypt key derivation)
+ */
+const encryptedFileBackend = {
+    name: 'encrypted-file',
+
+    /** @returns {Object} */
+    load() {
+        const filePath = getSecretsFilePath();
+        if (!fs.existsSync(filePath)) {
+            return {};
+        }
+
+        const { mtimeMs } = fs.statSync(filePath);
+        if (fileCache && fileCache.filePath === filePath && fileCache.mtimeMs === mtimeMs) {
+            return { ...fileCache.data };
+        }
+
+        const envelope = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        const { source, secret } = getKeyMaterial();
+        const key = crypto.scryptSync(secret, Buffer.from(envelope.salt, 'base64'), 32);
+
+        try {
+            const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(envelope.iv, 'base64'));
+            decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+            const plain = Buffer.concat([
+                decipher.update(Buffer.from(envelope.data, 'base64')),
+                decipher.final()
+            ]);
+            const data = JSON.parse(plain.toString('utf8'));
+            fileCache = { filePath, mtimeMs, data };
+            return { ...data };
+        } catch (error) {
+            const hint = envelope.keySource === 'passphrase' && source !== 'passphrase'
+                ? 'Set SYDLE_SECRET_PASSPHRASE to the passphrase used to save it.'
+                : `Check SYDLE_SECRET_PASSPHRASE, or run 'sydle logout --all' to reset it.`;
+            throw new Error(`Unable to decrypt secret store (${filePath}). ${hint}`);
+        }
+    },
+
+    /** @param {Object} data */
+    save(data) {
+        const filePath = getSecretsFilePath();
+        const { source, secret } = getKeyMaterial();
+        const salt = crypto.randomBytes(16);
+        const iv = crypto.randomBytes(12);
+        const key = crypto.scryptSync(secret, salt, 32);
+
+        const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+        const encrypted = Buffer.concat([cipher.update(JSON.stringify(data), 'utf8'), cipher.final()]);
+
+        const envelope = {
+            version: 1,
+            algorithm: ALGORITHM,
+            keySource: source,
+            salt: salt.toString('base64'),
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: encrypted.toString('base64')
+        };
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, JSON.stringify(envelope, null, 2), { mode: 0o600 });
+        fileCache = { filePath, mtimeMs: fs.statSync(filePath).mtimeMs, data: { ...data } };
+    },
+
+    clear() {
+        const filePath = getSecretsFilePath();
+        if (fs.existsSync(filePath)) {
+            fs.unlinkSync(filePath);
+        }
+        fileCache = null;
+    }
+};
+
+const BACKENDS = {
+    [plainBackend.name]: plainBackend,
+    [encryptedFileBackend.name]: encryptedFileBackend
+};
+
+/**
+ * Gets the configured backend
+ * @returns {{ name: string, load: () => Object, save: (data: Object) => void, clear: () => void }}
+ * @throws {Error} If the configured backend is unknown
+ */
+function getBackend() {
+    const name = process.env.SYDLE_SECRET_STORE || config.get('secretStore') || encryptedFileBackend.name;
+    const backend = BACKENDS[name];
+    if (!backend) {
+        throw new Error(`Unknown secret store '${name}'. Available: ${Object.keys(BACKENDS).join(', ')}`);
+    }
+    return backend;
+}
+
+/**
+ * Moves plaintext secrets from the user config into a non-plain backend
+ * @param {Object} backend - Target backend
+ * @param {Object} data - Current backend data
+ * @returns {Object} Data including migrated secrets
+ */
+function migratePlainSecrets(backend, data) {
+    if (backend === plainBackend) return data;
+
+    const plain = plainBackend.load();
+    if (Object.keys(plain).length === 0) return data;
+
+    const merged = { ...plain, ...data };
+    backend.save(merged);
+    plainBackend.clear();
+    return merged;
+}
+
+/**
+ * Loads all secrets from the configured backend
+ * @returns {Object}
+ */
+function loadSecrets() {
+    const backend = getBackend();
+    return migratePlainSecrets(backend, backend.load());
+}
+
+/**
+ * Gets a secret
+ * @param {string} key - Secret key
+ * @returns {any}
+ */
+function getSecret(key) {
+    return loadSecrets()[key];
+}
+
+/**
+ * Sets a secret (undefined removes it)
+ * @param {string} key - Secret key
+ * @param {any} value - Secret value
+ */
+function setSecret(key, value) {
+    const data = loadSecrets();
+    if (value === undefined) delete data[key];
+    else data[key] = value;
+    getBackend().save(data);
+}
+
+/**
+ * Deletes every stored secret from the configured backend (and plaintext leftovers)
+ */
+function clearSecrets() {
+    getBackend().clear();
+    plainBackend.clear();
+}
+
+module.exports = {
+    getBackend,
+    getSecretsFilePath,
+    getSecret,
+    setSecret,
+    clearSecrets
+};
@@ -0,0 +1,149 @@
+/**
+ * @fileoverview Status Flow Utility
+ *
+ * Prints the differences between the local tree of the active environment
+ * and Sydle (see core/localStatus): a summary grouped as git status, or
+ * the line diff of each item (remote as "-", local as "+").
+ *
+ * @module utils/statusFlow
+ */
+
+const path = require('path');
+const { createLogger } = require('./logger');
+const { createProgressBar } = require('./progressBar');
+const { getActiveProfile, getRootPath, getProcessRootPath } = require('./profiles');
+const { collectLocalStatus } = require('../core/localStatus');
+const { diffLines, toHunks } = require('./lineDiff');
+
+/**
+ * Groups of the status output, in display order
+ */
+const GROUPS = [
+    { status: 'modified', title: 'Modified locally', symbol: '~' },
+    { status: 'added', title: 'Added locally', symbol: '+' },
+    { status: 'removed', title: 'Removed locally', symbol: '-' },
+    { status: 'remote', title: 'Changed remotely', symbol: '⇣' },
+    { status: 'conflict', title: 'Changed locally and remotely', symbol: '!' }
+];
+
+/**
+ * Describes an item: path relative to the working directory, field and remote change
+ * @param {import('../core/localStatus').StatusItem} item - Status item
+ * @returns {string}
+ */
+function describeItem(item) {
+    const details = [
+        item.field ? `field ${item.field}` : null,
+        item.property ? `property ${item.property}` : null,
+        item.remoteChange ? `${item.remoteChange} remotely` : null
+    ].filter(Boolean);
+    return `${path.relative(process.cwd(), item.path)}${details.length > 0 ? ` (${details.join(', ')})` : ''}`;
+}
+
+/**
+ * Compares the local tree of the active environment with Sydle
+ * @param {string} [targetPath] - Only files under this path
+ * @param {import('./logger').Logger} logger - Logger instance
+ * @returns {Promise<import('../core/localStatus').LocalStatus & { profile: Object }>}
+ */
+async function loadStatus(targetPath, logger) {
+    const profile = getActiveProfile();
+    const rootPath = getRootPath(profile);
+    const processRootPath = getProcessRootPath(profile);
+    const filterPath = targetPath ? path.resolve(targetPath) : undefined;
+
+    logger.progress(`🔍 Comparing ${path.relative(process.cwd(), filterPath || rootPath) || '.'} with ${profile.name}...`);
+
+    // Progress goes to stderr, so the diff can be piped
+    let bar = null;
+    const status = await collectLocalStatus({
+        rootPath,
+        processRootPath,
+        filterPath,
+        onStart: total => { bar = createProgressBar(total, 'Comparing', process.stderr); },
+        onProgress: label => bar.tick(label)
+    });
+    if (bar) bar.done();
+
+    for (const { path: failedPath, message } of status.failed) {
+        logger.warn(`⚠ Could not compare ${path.relative(process.cwd(), failedPath)}: ${message}`);
+    }
+    return { ...status, profile };
+}
+
+/**
+ * Prints the local status (sydle status)
+ * @param {Object} options - Command options
+ * @param {string} [options.path] - Only files under this path
+ * @param {boolean} [options.verbose] - Verbose logging
+ */
+async function runStatusFlow(options = {}) {
+    const logger = createLogger(options.verbose);
+    const { items, failed, compared, profile } = await loadStatus(options.path, logger);
+
+    if (compared === 0) {
+        logger.warn(options.path
+            ? `No local classes or process versions under ${options.path}.`
+            : `No local classes or process versions found. Run 'sydle init' or 'sydle obterProcesso' first.`);
+        return;
+    }
+
+    for (const group of GROUPS) {
+        const groupItems = items.filter(item => item.status === group.status);
+        if (groupItems.length === 0) continue;
+
+        logger.log(`\n${group.title}:`);
+        const print = group.status === 'conflict' ? 'error' : group.status === 'remote' ? 'warn' : 'log';
+        groupItems.forEach(item => logger[print](`   ${group.symbol} ${describeItem(item)}`));
+    }
+
+    const lines = items.length === 0
+        ? [`✓ Local files match ${profile.name} (${compared} compared)`]
+        : GROUPS
+            .map(group => ({ ...group, count: items.filter(item => item.status === group.status).length }))
+            .filter(group => group.count > 0)
+            .map(group => `${group.symbol} ${group.title}: ${group.count}`);
+    if (items.some(item => item.status === 'remote' || item.status === 'conflict')) {
+        lines.push(`Run 'sydle pull' to get the remote changes before syncing.`);
+    }
+    if (failed.length > 0) lines.push(`⚠ Not compared: ${failed.length}`);
+    logger.summary(lines);
+}
+
+/**
+ * Prints the line diff of each local difference (sydle diff)
+ * @param {Object} options - Command options
+ * @param {string} [options.path] - Only files under this path
+ * @param {boolean} [options.verbose] - Verbose logging
+ */
+async function runDiffFlow(options = {}) {
+    const logger = createLogger(options.verbose);
+    const { items, profile } = await loadStatus(options.path, logger);
+
+    if (items.length === 0) {
+        logger.success(`✓ No differences with ${profile.name}`);
+        return;
+    }
+
+    for (const item of items) {
+        const group = GROUPS.find(g => g.status === item.status);
+        // Remote changes are already named by describeItem
+        logger.info(`\n${group.symbol} ${describeItem(item)}${item.status === 'remote' ? '' : `: ${group.title.toLowerCase()}`}`);
+        if (item.local === null && item.remote === null) continue;
+
+        logger.log(`--- ${profile.name}`);
+        logger.log(`+++ local`);
+        for (const hunk of toHunks(diffLines(item.remote || '', item.local || ''))) {
+            logger.progress(`@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`);
+            for (const line of hunk.lines) {
+                const print = line.type === '+' ? 'success' : line.type === '-' ? 'error' : 'log';
+                logger[print](`${line.type}${line.text}`);
+            }
+        }
+    }
+}
+
+module.exports = {
+    runStatusFlow,
+    runDiffFlow
+};
@@ -0,0 +1,238 @@
+/**
+ * @fileoverview Token Manager
+ *
+ * Stores one access token per environment token slot (see utils/profiles),
+ * together with its issue and expiry time, in the secret store
+ * (see utils/secretStore).
+ *
+ * Tokens saved by older versions (`envTokens` map of plain strings keyed by
+ * slot or URL) are still read, with unknown expiry. Their single `token` is
+ * not tied to an environment: it is only used through its `envTokens` copy,
+ * for the environment with the URL it was issued for.
+ *
+ * @module utils/tokenManager
+ */
+
+const { getSecret, setSecret, clearSecrets } = require('./secretStore');
+
+/**
+ * @typedef {Object} TokenEntry
+ * @property {string} token - Access token
+ * @property {string|null} issuedAt - ISO date the token was issued
+ * @property {string|null} expiresAt - ISO date the token expires (null if unknown)
+ * @property {string|undefined} url - API URL the token was issued for
+ */
+
+/**
+ * Gets all stored token entries keyed by slot
+ * @returns {Object<string, TokenEntry>}
+ */
+function getTokenStore() {
+    return getSecret('tokens') || {};
+}
+
+/**
+ * Gets the single token saved by older versions (not tied to an environment,
+ * so never sent on its own; see getTokenEntry)
+ * @returns {string|undefined}
+ */
+function getLegacyToken() {
+    return getSecret('token');
+}
+
+/**
+ * Reads the expiry claim of a JWT token, if the token is a JWT
+ * @param {string} token - Access token
+ * @returns {number|null} Expiry timestamp in ms
+ */
+function decodeJwtExpiry(token) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) return null;
+
+    try {
+        const payload = JSON.parse(Buffer.from(parts[1].replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8'));
+        return typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Resolves the expiry timestamp of a signIn access token
+ * @param {Object} accessToken - accessToken object returned by signIn
+ * @param {number} issuedAt - Issue timestamp in ms
+ * @returns {number|null} Expiry timestamp in ms (null if unknown)
+ */
+function resolveExpiry(accessToken, issuedAt) {
+    if (typeof accessToken.expiresIn === 'number') {
+        return issuedAt + accessToken.expiresIn * 1000;
+    }
+
+    const explicit = accessToken.expiresAt || accessToken.expirationDate || accessToken.expiration;
+    if (explicit) {
+        const date = new Date(explicit).getTime();
+        if (!Number.isNaN(date)) return date;
+    }
+
+    return decodeJwtExpiry(accessToken.token);
+}
+
+/**
+ * Checks whether two API URLs are the same (ignoring trailing slashes)
+ * @param {string} a - API URL
+ * @param {string} b - API URL
+ * @returns {boolean}
+ */
+function isSameUrl(a, b) {
+    return a.replace(/\/+$/, '') === b.replace(/\/+$/, '');
+}
+
+/**
+ * Gets the token entry for a slot (falls back to legacy envTokens).
+ * A token issued for another URL (the environment now points elsewhere)
+ * counts as no token.
+ * @param {string} slot - Token slot
+ * @param {string} [url] - Environment URL (legacy tokens were keyed by URL)
+ * @returns {TokenEntry|null}
+ */
+function getTokenEntry(slot, url) {
+    const entry = getTokenStore()[slot];
+    const issuedElsewhere = Boolean(entry && entry.url && url && !isSameUrl(entry.url, url));
+    if (entry && !issuedElsewhere) return entry;
+
+    // The legacy slot copy is older than the entry issued for the other URL
+    const legacy = getSecret('envTokens') || {};
+    const legacyToken = (!issuedElsewhere && legacy[slot]) || (url && legacy[url]);
+    if (legacyToken) {
+        return { token: legacyToken, issuedAt: null, expiresAt: null, url };
+    }
+
+    return null;
+}
+
+/**
+ * Checks whether a token entry exists and is not expired
+ * @param {TokenEntry|null} entry - Token entry
+ * @returns {boolean}
+ */
+function isTokenValid(entry) {
+    if (!entry || !entry.token) return false;
+    if (!entry.expiresAt) return true;
+    return new Date(entry.expiresAt).getTime() > Date.now();
+}
+
+/**
+ * Gets a valid token for a slot
+ * @param {string} slot - Token slot
+ * @param {string} [url] - Environment URL
+ * @returns {string|undefined}
+ */
+function getToken(slot, url) {
+    const entry = getTokenEntry(slot, url);
+    return isTokenValid(entry) ? entry.token : undefined;
+}
+
+/**
+ * Stores the token returned by signIn for a slot
+ * @param {string} slot - Token slot
+ * @param {Object} accessToken - accessToken object returned by signIn
+ * @param {string} [url] - API URL the token was issued for
+ * @returns {TokenEntry}
+ */
+function saveToken(slot, accessToken, url) {
+    const issuedAt = Date.now();
+    const expiresAt = resolveExpiry(accessToken, issuedAt);
+
+    const entry = {
+        token: accessToken.token,
+        issuedAt: new Date(issuedAt).toISOString(),
+        expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+        url
+    };
+
+    const store = getTokenStore();
+    store[slot] = entry;
+    setSecret('tokens', store);
+
+    return entry;
+}
+
+/**
+ * Marks the token of a slot as expired (e.g. after a 401 response)
+ * @param {string} slot - Token slot
+ */
+function expireToken(slot) {
+    const store = getTokenStore();
+    if (store[slot]) {
+        store[slot].expiresAt = new Date().toISOString();
+        setSecret('tokens', store);
+    }
+}
+
+/**
+ * Removes the token of a slot (including legacy copies)
+ * @param {string} slot - Token slot
+ * @param {string} [url] - Environment URL (legacy tokens were keyed by URL)
+ * @returns {boolean} True if a token was removed
+ */
+function removeToken(slot, url) {
+    // Also drops a token issued for a previous URL of the environment
+    const entry = getTokenStore()[slot] || getTokenEntry(slot, url);
+    if (!entry) return false;
+
+    const store = getTokenStore();
+    delete store[slot];
+    setSecret('tokens', store);
+
+    const legacy = getSecret('envTokens');
+    if (legacy) {
+        delete legacy[slot];
+        if (url) delete legacy[url];
+        setSecret('envTokens', Object.keys(legacy).length > 0 ? legacy : undefined);
+    }
+
+    if (getLegacyToken() === entry.token) {
+        setSecret('token', undefined);
+    }
+    return true;
+}
+
+/**
+ * Removes every stored token
+ */
+function clearTokens() {
+    clearSecrets();
+}
+
+/**
+ * Describes the remaining lifetime of a token entry
+ * @param {TokenEntry|null} entry - Token entry
+ * @returns {string}
+ */
+function describeTokenLifetime(entry) {
+    if (!entry || !entry.token) return 'no token';
+    if (!entry.expiresAt) return 'valid (expiry unknown)';
+
+    const remainingMs = new Date(entry.expiresAt).getTime() - Date.now();
+    if (remainingMs <= 0) return 'expired';
+
+    const minutes = Math.floor(remainingMs / 60000);
+    if (minutes < 60) return `valid (expires in ${minutes} min)`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 48) return `valid (expires in ${hours}h ${minutes % 60}min)`;
+    return `valid (expires in ${Math.floor(hours / 24)} days)`;
+}
+
+module.exports = {
+    getTokenStore,
+    getLegacyToken,
+    getTokenEntry,
+    isTokenValid,
+    getToken,
+    saveToken,
+    expireToken,
+    removeToken,
+    clearTokens,
+    describeTokenLifetime,
+    resolveExpiry
+};
@@ -0,0 +1,34 @@
+/**
+ * @fileoverview Worker Pool
+ *
+ * Runs an async task for every item with a bounded number of workers.
+ * Results keep the order of the input items.
+ *
+ * @module utils/workerPool
+ */
+
+/**
+ * Runs `task` for every item, at most `concurrency` at a time
+ * @template T, R
+ * @param {T[]} items - Items to process
+ * @param {(item: T, index: number) => Promise<R>} task - Async task
+ * @param {number} [concurrency=4] - Maximum number of concurrent tasks
+ * @returns {Promise<R[]>} Results in input order
+ */
+async function runPool(items, task, concurrency = 4) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await task(items[index], index);
+        }
+    };
+
+    const size = Math.max(1, Math.min(concurrency, items.length));
+    await Promise.all(Array.from({ length: size }, worker));
+    return results;
+}
+
+module.exports = { runPool };
@@ -0,0 +1,27 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+
+// Two environments from SYDLE_URL_<NAME>, dev active, and an empty secret store
+process.env.SYDLE_URL_DEV = 'https://dev.example.com/api/1';
+process.env.SYDLE_URL_PROD = 'https://prod.example.com/api/1';
+process.env.SYDLE_ENV = 'dev';
+process.env.SYDLE_SECRETS_FILE = path.join(os.tmpdir(), `sydle-secrets-${process.pid}-missing.enc`);
+process.env.SYDLE_SECRET_PASSPHRASE = 'test';
+
+const { getProfile } = require('../src/utils/profiles');
+const { resolveRequestToken, buildAuthHeaders } = require('../src/utils/authStrategies');
+
+test('resolveRequestToken sends SYDLE_TOKEN to the active environment only', (t) => {
+    process.env.SYDLE_TOKEN = 'dev-token';
+    t.after(() => { delete process.env.SYDLE_TOKEN; });
+
+    assert.strictEqual(resolveRequestToken(getProfile('dev')), 'dev-token');
+    assert.strictEqual(resolveRequestToken(getProfile('prod')), undefined);
+});
+
+test('buildAuthHeaders sends nothing without a token', () => {
+    assert.deepStrictEqual(buildAuthHeaders(getProfile('prod'), undefined), {});
+    assert.deepStrictEqual(buildAuthHeaders(getProfile('dev'), 'abc'), { Authorization: 'Bearer abc' });
+});
@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { generateDiffFiles } = require('../src/utils/compareFlow');
+const { recordFileHashes } = require('../src/core/manifest');
+
+const silentLogger = { info() {}, warn() {}, success() {}, log() {}, error() {}, debug() {} };
+
+test('generateDiffFiles merges each script with the base of the same index', async (t) => {
+    const rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'sydle-compare-'));
+    t.after(() => fs.rmSync(rootPath, { recursive: true, force: true }));
+
+    const scriptsPath = path.join(rootPath, 'vendas', 'Pedido', 'methods', 'calc', 'scripts');
+    fs.mkdirSync(scriptsPath, { recursive: true });
+    const baseScripts = ['const a = 1;\nreturn a;\n', 'log(1);\nlog(2);\n'];
+    const scriptPaths = baseScripts.map((script, index) => {
+        const scriptPath = path.join(scriptsPath, `script_${index}.js`);
+        fs.writeFileSync(scriptPath, script);
+        return scriptPath;
+    });
+    recordFileHashes(rootPath, scriptPaths);
+
+    const unresolved = await generateDiffFiles({
+        sourceScripts: ['const a = 2;\nreturn a;\n', baseScripts[1]],
+        targetScripts: [baseScripts[0], 'log(1);\nlog(3);\n'],
+        scriptsPath,
+        rootPath,
+        sourceEnv: 'dev',
+        targetEnv: 'hom',
+        sourceUrl: 'http://dev',
+        targetUrl: 'http://hom',
+        tool: null,
+        interactive: false
+    }, silentLogger);
+
+    assert.strictEqual(unresolved, 0);
+    assert.strictEqual(fs.readFileSync(scriptPaths[0], 'utf8'), 'const a = 2;\nreturn a;\n');
+    assert.strictEqual(fs.readFileSync(scriptPaths[1], 'utf8'), 'log(1);\nlog(3);\n');
+    assert.deepStrictEqual(fs.readdirSync(scriptsPath).sort(), ['script_0.js', 'script_1.js']);
+});
+
+test('generateDiffFiles keeps a script with local edits and writes the merge next to it', async (t) => {
+    const rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'sydle-compare-'));
+    t.after(() => fs.rmSync(rootPath, { recursive: true, force: true }));
+
+    const scriptsPath = path.join(rootPath, 'vendas', 'Pedido', 'methods', 'calc', 'scripts');
+    fs.mkdirSync(scriptsPath, { recursive: true });
+    const scriptPaths = ['a();\n', 'b();\n'].map((script, index) => {
+        const scriptPath = path.join(scriptsPath, `script_${index}.js`);
+        fs.writeFileSync(scriptPath, script);
+        return scriptPath;
+    });
+    recordFileHashes(rootPath, scriptPaths);
+    fs.writeFileSync(scriptPaths[1], 'b(local);\n');
+
+    await generateDiffFiles({
+        sourceScripts: ['a();\n', 'b(dev);\n'],
+        targetScripts: ['a();\n', 'b();\n'],
+        scriptsPath,
+        rootPath,
+        sourceEnv: 'dev',
+        targetEnv: 'hom',
+        sourceUrl: 'http://dev',
+        targetUrl: 'http://hom',
+        tool: null,
+        interactive: false
+    }, silentLogger);
+
+    assert.strictEqual(fs.readFileSync(scriptPaths[0], 'utf8'), 'a();\n');
+    assert.strictEqual(fs.readFileSync(scriptPaths[1], 'utf8'), 'b(local);\n');
+    assert.strictEqual(fs.readFileSync(path.join(scriptsPath, 'diff_script_1_dev_hom.js'), 'utf8'), 'b(dev);\n');
+});
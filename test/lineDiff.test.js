@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { splitLines, diffLines, countChanges, toHunks } = require('../src/utils/lineDiff');
+
+const render = lines => lines.map(line => `${line.type}${line.text}`);
+
+test('splitLines ignores the final line break and normalizes CRLF', () => {
+    assert.deepStrictEqual(splitLines('a\r\nb\n'), ['a', 'b']);
+    assert.deepStrictEqual(splitLines('a\n\n'), ['a', '']);
+    assert.deepStrictEqual(splitLines(''), []);
+    assert.deepStrictEqual(splitLines(undefined), []);
+});
+
+test('diffLines keeps equal texts as they are', () => {
+    assert.deepStrictEqual(render(diffLines('a\nb\n', 'a\nb\n')), [' a', ' b']);
+});
+
+test('diffLines finds the shortest edit between the common prefix and suffix', () => {
+    assert.deepStrictEqual(
+        render(diffLines('a\nb\nc\nd\n', 'a\nx\nc\nd\ny\n')),
+        [' a', '-b', '+x', ' c', ' d', '+y']
+    );
+});
+
+test('diffLines handles empty texts on either side', () => {
+    assert.deepStrictEqual(render(diffLines('', 'a\nb\n')), ['+a', '+b']);
+    assert.deepStrictEqual(render(diffLines('a\n', '')), ['-a']);
+});
+
+test('diffLines handles long texts with scattered changes', () => {
+    const oldLines = Array.from({ length: 50000 }, (_, index) => `line ${index}`);
+    const newLines = oldLines.map((line, index) => (index % 1000 === 500 ? `changed ${index}` : line));
+    const lines = diffLines(oldLines.join('\n'), newLines.join('\n'));
+
+    assert.deepStrictEqual(countChanges(lines), { added: 50, removed: 50 });
+    assert.deepStrictEqual(lines.filter(line => line.type !== '-').map(line => line.text), newLines);
+    assert.deepStrictEqual(lines.filter(line => line.type !== '+').map(line => line.text), oldLines);
+});
+
+test('countChanges counts added and removed lines', () => {
+    assert.deepStrictEqual(countChanges(diffLines('a\nb\nc\n', 'a\nB\nc\nd\n')), { added: 2, removed: 1 });
+});
+
+test('toHunks groups changes with their context and 1-based positions', () => {
+    const old = Array.from({ length: 20 }, (_, index) => `line ${index + 1}`);
+    const changed = [...old];
+    changed[1] = 'changed 2';
+    changed[17] = 'changed 18';
+
+    const hunks = toHunks(diffLines(`${old.join('\n')}\n`, `${changed.join('\n')}\n`));
+
+    assert.strictEqual(hunks.length, 2);
+    assert.deepStrictEqual(
+        hunks.map(({ oldStart, oldLines, newStart, newLines }) => ({ oldStart, oldLines, newStart, newLines })),
+        [
+            { oldStart: 1, oldLines: 5, newStart: 1, newLines: 5 },
+            { oldStart: 15, oldLines: 6, newStart: 15, newLines: 6 }
+        ]
+    );
+    assert.deepStrictEqual(render(hunks[0].lines), [' line 1', '-line 2', '+changed 2', ' line 3', ' line 4', ' line 5']);
+});
+
+test('toHunks merges changes whose context overlaps', () => {
+    const hunks = toHunks(diffLines('a\nb\nc\nd\ne\nf\n', 'A\nb\nc\nd\ne\nF\n'), 2);
+
+    assert.strictEqual(hunks.length, 1);
+    assert.strictEqual(hunks[0].lines.length, 8);
+});
+
+test('toHunks returns no hunks without changes', () => {
+    assert.deepStrictEqual(toHunks(diffLines('a\n', 'a\n')), []);
+});
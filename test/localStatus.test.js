@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { classifyItem, compareMethods } = require('../src/core/localStatus');
+const { recordFileHashes } = require('../src/core/manifest');
+
+const differs = (a, b) => a !== b;
+
+test('classifyItem ignores items that match on both sides', () => {
+    assert.strictEqual(classifyItem('A', 'A', 'B', differs), null);
+    assert.strictEqual(classifyItem(null, null, 'A', differs), null);
+});
+
+test('classifyItem reports local changes when the remote still matches the base', () => {
+    assert.deepStrictEqual(classifyItem('B', 'A', 'A', differs), { status: 'modified' });
+    assert.deepStrictEqual(classifyItem('B', null, null, differs), { status: 'added' });
+    assert.deepStrictEqual(classifyItem(null, 'A', 'A', differs), { status: 'removed' });
+});
+
+test('classifyItem reports remote changes when the local still matches the base', () => {
+    assert.deepStrictEqual(classifyItem('A', 'C', 'A', differs), { status: 'remote', remoteChange: 'modified' });
+    assert.deepStrictEqual(classifyItem(null, 'C', null, differs), { status: 'remote', remoteChange: 'added' });
+    assert.deepStrictEqual(classifyItem('A', null, 'A', differs), { status: 'remote', remoteChange: 'removed' });
+});
+
+test('classifyItem reports a conflict when both sides changed', () => {
+    assert.deepStrictEqual(classifyItem('B', 'C', 'A', differs), { status: 'conflict', remoteChange: 'modified' });
+    assert.deepStrictEqual(classifyItem('B', null, 'A', differs), { status: 'conflict', remoteChange: 'removed' });
+});
+
+test('classifyItem falls back to presence when the base is unknown', () => {
+    assert.deepStrictEqual(classifyItem('B', 'C', undefined, differs), { status: 'modified' });
+    assert.deepStrictEqual(classifyItem('B', null, undefined, differs), { status: 'added' });
+});
+
+test('compareMethods flags a conflict after a sync refused for remote changes', (t) => {
+    const rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'sydle-status-'));
+    t.after(() => fs.rmSync(rootPath, { recursive: true, force: true }));
+
+    const classPath = path.join(rootPath, 'vendas', 'Pedido');
+    const methodPath = path.join(classPath, 'methods', 'calc');
+    const scriptPath = path.join(methodPath, 'scripts', 'script_0.js');
+    fs.mkdirSync(path.dirname(scriptPath), { recursive: true });
+
+    // Pulled as A, then edited locally to B
+    fs.writeFileSync(scriptPath, 'A\n');
+    recordFileHashes(rootPath, [scriptPath]);
+    fs.writeFileSync(scriptPath, 'B\n');
+
+    // The refused sync already wrote the local scripts into method.json
+    fs.writeFileSync(path.join(methodPath, 'method.json'), JSON.stringify({ identifier: 'calc', scripts: ['B\n'] }));
+
+    const items = compareMethods(classPath, [], [{ identifier: 'calc', scripts: ['C\n'] }], rootPath);
+
+    assert.deepStrictEqual(items, [
+        { path: scriptPath, status: 'conflict', remoteChange: 'modified', local: 'B\n', remote: 'C\n' }
+    ]);
+});
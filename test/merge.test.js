@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { mergeThreeWay, renderMerge, hasConflictMarkers } = require('../src/utils/merge');
+
+const labels = { local: 'LOCAL', base: 'BASE', remote: 'REMOTE' };
+const merge = (base, local, remote) => {
+    const { chunks, conflicts } = mergeThreeWay(base, local, remote);
+    return { text: renderMerge(chunks, labels), conflicts };
+};
+
+const base = 'a\nb\nc\nd\ne\n';
+
+test('mergeThreeWay takes the side that changed', () => {
+    assert.deepStrictEqual(merge(base, base, 'a\nB\nc\nd\ne\n'), { text: 'a\nB\nc\nd\ne\n', conflicts: 0 });
+    assert.deepStrictEqual(merge(base, 'a\nB\nc\nd\ne\n', base), { text: 'a\nB\nc\nd\ne\n', conflicts: 0 });
+});
+
+test('mergeThreeWay combines changes to different lines', () => {
+    assert.deepStrictEqual(merge(base, 'A\nb\nc\nd\ne\n', 'a\nb\nc\nd\nE\n'), { text: 'A\nb\nc\nd\nE\n', conflicts: 0 });
+});
+
+test('mergeThreeWay combines insertions and deletions on both sides', () => {
+    assert.deepStrictEqual(merge(base, 'a\nb\nx\nc\nd\ne\n', 'a\nb\nc\nd\n'), { text: 'a\nb\nx\nc\nd\n', conflicts: 0 });
+});
+
+test('mergeThreeWay accepts the same change on both sides', () => {
+    assert.deepStrictEqual(merge(base, 'a\nB\nc\nd\ne\n', 'a\nB\nc\nd\ne\n'), { text: 'a\nB\nc\nd\ne\n', conflicts: 0 });
+});
+
+test('mergeThreeWay leaves overlapping changes as a conflict with the base', () => {
+    const { text, conflicts } = merge(base, 'a\nb\nL\nd\ne\n', 'a\nb\nR\nd\ne\n');
+
+    assert.strictEqual(conflicts, 1);
+    assert.strictEqual(text, 'a\nb\n<<<<<<< LOCAL\nL\n||||||| BASE\nc\n=======\nR\n>>>>>>> REMOTE\nd\ne\n');
+});
+
+test('mergeThreeWay conflicts when both sides add different files', () => {
+    const { text, conflicts } = merge('', 'local\n', 'remote\n');
+
+    assert.strictEqual(conflicts, 1);
+    assert.strictEqual(text, '<<<<<<< LOCAL\nlocal\n||||||| BASE\n=======\nremote\n>>>>>>> REMOTE\n');
+});
+
+test('renderMerge writes an empty text for an empty merge', () => {
+    assert.strictEqual(merge('', '', '').text, '');
+});
+
+test('hasConflictMarkers finds the markers only at the start of a line', () => {
+    assert.strictEqual(hasConflictMarkers(merge(base, 'L\n', 'R\n').text), true);
+    assert.strictEqual(hasConflictMarkers('a\n>>>>>>> REMOTE\n'), true);
+    assert.strictEqual(hasConflictMarkers('const s = "<<<<<<< not a marker";\n'), false);
+    assert.strictEqual(hasConflictMarkers('// =======\n'), false);
+});
@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createReferenceMapper, diffList } = require('../src/core/promote');
+
+const CLASS_METADATA_ID = '000000000000000000000000';
+
+/**
+ * Environment with the classes given by _id, searched by identifier
+ * @param {Object<string, Object>} records - Class records by _id
+ */
+const fakeEnvironment = (records) => ({
+    get: async (metadataId, id) => records[id] || null,
+    searchAll: async (metadataId, query) => Object.values(records)
+        .filter(record => record.identifier === query.query.term['identifier.keyword'])
+});
+
+const createContext = (overrides = {}) => ({
+    mapper: createReferenceMapper(
+        fakeEnvironment({ s1: { _id: 's1', identifier: 'Cliente' }, s2: { _id: 's2', identifier: 'Produto' } }),
+        fakeEnvironment({ t1: { _id: 't1', identifier: 'Cliente' } })
+    ),
+    pending: new Set(),
+    targetEnv: 'prod',
+    allowRemoval: false,
+    ...overrides
+});
+
+const field = (identifier, extra = {}) => ({ _id: `${identifier}-id`, identifier, type: 'STRING', ...extra });
+
+test('diffList skips records that only differ in metadata', async () => {
+    const items = await diffList('field', [field('nome', { _revision: 3 })], [field('nome', { _id: 'other' })], 'vendas.Pedido', createContext());
+
+    assert.deepStrictEqual(items, []);
+});
+
+test('diffList replaces changed records in place, keeping the target _id', async () => {
+    const target = [field('_id'), field('nome', { _id: 'target-nome' })];
+    const items = await diffList('field', [field('nome', { type: 'INTEGER' })], target, 'vendas.Pedido', createContext());
+
+    assert.strictEqual(items.length, 1);
+    assert.deepStrictEqual(items[0].change, { type: 'field', action: 'change', target: 'vendas.Pedido.nome' });
+    assert.strictEqual(items[0].op, 'replace');
+    assert.strictEqual(items[0].path, '/fields/1');
+    assert.deepStrictEqual(items[0].keep, { _id: 'target-nome' });
+    assert.strictEqual(items[0].source._id, undefined);
+});
+
+test('diffList orders replacements, then removals from the last index, then additions', async () => {
+    const source = [{ identifier: 'calc', scripts: ['a', 'b'] }, { identifier: 'novo', scripts: ['c'] }];
+    const target = [
+        { identifier: '_get', scripts: [] },
+        { identifier: 'antigo', scripts: [] },
+        { identifier: 'calc', scripts: ['a'] },
+        { identifier: 'velho', scripts: [] }
+    ];
+    const items = await diffList('method', source, target, 'vendas.Pedido', createContext({ allowRemoval: true }));
+
+    assert.deepStrictEqual(items.map(item => [item.op, item.path, item.change.target]), [
+        ['replace', '/methods/2', 'vendas.Pedido.calc'],
+        ['remove', '/methods/3', 'vendas.Pedido.velho'],
+        ['remove', '/methods/1', 'vendas.Pedido.antigo'],
+        ['add', '/methods/-', 'vendas.Pedido.novo']
+    ]);
+    assert.strictEqual(items[0].change.detail, '2 script(s)');
+    assert.ok(items.every(item => !item.change.blocked));
+});
+
+test('diffList blocks removals without allowRemoval and never removes system records', async () => {
+    const items = await diffList('field', [], [field('_id'), field('obs')], 'vendas.Pedido', createContext());
+
+    assert.strictEqual(items.length, 1);
+    assert.strictEqual(items[0].change.blocked, 'not in source (use --allow-removal)');
+});
+
+test('diffList maps references and blocks the ones missing in the target', async () => {
+    const source = [
+        field('cliente', { refClass: { _id: 's1', _classId: CLASS_METADATA_ID } }),
+        field('produto', { refClass: { _id: 's2', _classId: CLASS_METADATA_ID } })
+    ];
+    const target = [
+        field('cliente', { refClass: { _id: 't1', _classId: CLASS_METADATA_ID } }),
+        field('produto', { refClass: { _id: 'old', _classId: CLASS_METADATA_ID } })
+    ];
+    const items = await diffList('field', source, target, 'vendas.Pedido', createContext());
+
+    // cliente maps to the same target class, so only produto changes
+    assert.strictEqual(items.length, 1);
+    assert.strictEqual(items[0].change.target, 'vendas.Pedido.produto');
+    assert.strictEqual(items[0].change.blocked, 'references Produto missing in prod');
+});
+
+test('diffList does not block references to classes created by the same promotion', async () => {
+    const source = [field('produto', { refClass: { _id: 's2', _classId: CLASS_METADATA_ID } })];
+    const items = await diffList('field', source, [], 'vendas.Pedido', createContext({ pending: new Set(['Produto']) }));
+
+    assert.strictEqual(items.length, 1);
+    assert.strictEqual(items[0].op, 'add');
+    assert.strictEqual(items[0].change.blocked, undefined);
+});
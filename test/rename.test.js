@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { classCallSites, rewriteCallSites, isClassIdentifierShared } = require('../src/utils/rename');
+
+/**
+ * Creates a classes root with the given class folders and one script
+ * @param {import('node:test').TestContext} t
+ * @param {string[]} classFolders - "<package>/<Class>" folders
+ * @param {string} script - Content of vendas/Pedido/methods/calc/scripts/script_0.js
+ * @returns {{ rootPath: string, scriptPath: string }}
+ */
+function createRoot(t, classFolders, script) {
+    const rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'sydle-rename-'));
+    t.after(() => fs.rmSync(rootPath, { recursive: true, force: true }));
+
+    for (const folder of classFolders) {
+        fs.mkdirSync(path.join(rootPath, folder), { recursive: true });
+        fs.writeFileSync(path.join(rootPath, folder, 'class.json'), JSON.stringify({ identifier: path.basename(folder) }));
+    }
+    const scriptPath = path.join(rootPath, 'vendas', 'Pedido', 'methods', 'calc', 'scripts', 'script_0.js');
+    fs.mkdirSync(path.dirname(scriptPath), { recursive: true });
+    fs.writeFileSync(scriptPath, script);
+    return { rootPath, scriptPath };
+}
+
+test('rewriteCallSites rewrites and counts class references', async (t) => {
+    const { rootPath, scriptPath } = createRoot(t, ['vendas/Pedido'], 'Pedido.calc();\nvendas.Pedido.aux();\n');
+    const from = { packageIdentifier: 'vendas', classIdentifier: 'Pedido' };
+    const to = { packageIdentifier: 'vendas', classIdentifier: 'PedidoVenda' };
+
+    const rewritten = await rewriteCallSites(rootPath, classCallSites(from, to));
+
+    assert.deepStrictEqual(rewritten, [{ file: scriptPath, count: 2 }]);
+    assert.strictEqual(fs.readFileSync(scriptPath, 'utf-8'), 'PedidoVenda.calc();\nvendas.PedidoVenda.aux();\n');
+});
+
+test('rewriteCallSites ignores matches that keep the same text', async (t) => {
+    const { rootPath, scriptPath } = createRoot(t, ['vendas/Pedido'], 'Pedido.calc();\n');
+    const from = { packageIdentifier: 'vendas', classIdentifier: 'Pedido' };
+
+    const rewritten = await rewriteCallSites(rootPath, classCallSites(from, { ...from }));
+
+    assert.deepStrictEqual(rewritten, []);
+    assert.strictEqual(fs.readFileSync(scriptPath, 'utf-8'), 'Pedido.calc();\n');
+});
+
+test('classCallSites keeps the bare identifier when only the package changes', async (t) => {
+    const { rootPath, scriptPath } = createRoot(t, ['vendas/Pedido'], 'Pedido.calc();\nvendas.Pedido.aux();\n');
+    const from = { packageIdentifier: 'vendas', classIdentifier: 'Pedido' };
+    const to = { packageIdentifier: 'compras', classIdentifier: 'Pedido' };
+
+    const rewritten = await rewriteCallSites(rootPath, classCallSites(from, to));
+
+    assert.deepStrictEqual(rewritten, [{ file: scriptPath, count: 1 }]);
+    assert.strictEqual(fs.readFileSync(scriptPath, 'utf-8'), 'Pedido.calc();\ncompras.Pedido.aux();\n');
+});
+
+test('classCallSites keeps the bare identifier shared with another package', async (t) => {
+    const { rootPath, scriptPath } = createRoot(t, ['vendas/Pedido', 'compras/Pedido'], 'Pedido.calc();\nvendas.Pedido.aux();\n');
+    const from = { classPath: path.join(rootPath, 'vendas', 'Pedido'), packageIdentifier: 'vendas', classIdentifier: 'Pedido' };
+    const to = { packageIdentifier: 'vendas', classIdentifier: 'PedidoVenda' };
+
+    const sharedIdentifier = isClassIdentifierShared(rootPath, from);
+    const rewritten = await rewriteCallSites(rootPath, classCallSites(from, to, { sharedIdentifier }));
+
+    assert.strictEqual(sharedIdentifier, true);
+    assert.deepStrictEqual(rewritten, [{ file: scriptPath, count: 1 }]);
+    assert.strictEqual(fs.readFileSync(scriptPath, 'utf-8'), 'Pedido.calc();\nvendas.PedidoVenda.aux();\n');
+});
@@ -0,0 +1,125 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+// Read once by getHttpSettings: short waits, two retries, two requests at a time
+process.env.SYDLE_HTTP_TIMEOUT = '5000';
+process.env.SYDLE_HTTP_RETRIES = '2';
+process.env.SYDLE_HTTP_BACKOFF = '1';
+process.env.SYDLE_HTTP_CONCURRENCY = '2';
+
+const axios = require('axios').default;
+const { logger } = require('../src/utils/logger');
+const { makeResilient, getHttpSettings, isIdempotent, parseRetryAfter, getRetryDelay } = require('../src/api/resilience');
+
+const settings = { retries: 3, backoff: 100 };
+const networkError = (config, code = 'ECONNRESET') => Object.assign(new Error(code), { code, config });
+const httpError = (config, status, headers = {}) => Object.assign(new Error(`HTTP ${status}`), { config, response: { status, headers } });
+
+/**
+ * Axios instance whose requests are answered by `respond` (called with the request config)
+ * @param {(config: Object) => Promise<Object>} respond - Returns the data or throws
+ */
+const createInstance = (respond) => makeResilient(axios.create({
+    adapter: async (config) => ({ data: await respond(config), status: 200, statusText: 'OK', headers: {}, config })
+}));
+
+test('getHttpSettings reads the SYDLE_HTTP_* variables', () => {
+    assert.deepStrictEqual(getHttpSettings(), { timeout: 5000, retries: 2, backoff: 1, concurrency: 2 });
+});
+
+test('isIdempotent accepts reads and _get/_search calls only', () => {
+    assert.strictEqual(isIdempotent({ method: 'get', url: '/x' }), true);
+    assert.strictEqual(isIdempotent({ url: '/x' }), true);
+    assert.strictEqual(isIdempotent({ method: 'post', url: '/class/_search' }), true);
+    assert.strictEqual(isIdempotent({ method: 'post', url: '/class/_get?x=1' }), true);
+    assert.strictEqual(isIdempotent({ method: 'post', url: '/class/_create' }), false);
+    assert.strictEqual(isIdempotent({ method: 'post', url: '/class/_getAll' }), false);
+    assert.strictEqual(isIdempotent({ method: 'patch', url: '/class/_patch' }), false);
+});
+
+test('parseRetryAfter reads seconds and HTTP dates', () => {
+    assert.strictEqual(parseRetryAfter('2'), 2000);
+    assert.strictEqual(parseRetryAfter(undefined), null);
+    assert.strictEqual(parseRetryAfter('soon'), null);
+    assert.strictEqual(parseRetryAfter(new Date(Date.now() - 1000).toUTCString()), 0);
+
+    const delay = parseRetryAfter(new Date(Date.now() + 10000).toUTCString());
+    assert.ok(delay > 8000 && delay <= 10000, `unexpected delay ${delay}`);
+});
+
+test('getRetryDelay backs off exponentially on retryable failures of idempotent requests', () => {
+    const config = { method: 'post', url: '/class/_search' };
+
+    const first = getRetryDelay(networkError(config), 0, settings);
+    const third = getRetryDelay(httpError(config, 503), 2, settings);
+    assert.ok(first >= 100 && first < 200, `unexpected delay ${first}`);
+    assert.ok(third >= 400 && third < 500, `unexpected delay ${third}`);
+    assert.strictEqual(getRetryDelay(networkError(config), 3, settings), null);
+});
+
+test('getRetryDelay never repeats writes or non-retryable failures', () => {
+    const write = { method: 'post', url: '/class/_create' };
+    const read = { method: 'get', url: '/x' };
+
+    assert.strictEqual(getRetryDelay(networkError(write), 0, settings), null);
+    assert.strictEqual(getRetryDelay(httpError(write, 503), 0, settings), null);
+    assert.strictEqual(getRetryDelay(httpError(read, 500), 0, settings), null);
+    assert.strictEqual(getRetryDelay(networkError(read, 'ENOTFOUND'), 0, settings), null);
+    assert.strictEqual(getRetryDelay(new Error('no config'), 0, settings), null);
+});
+
+test('getRetryDelay retries 429 of any request after Retry-After', () => {
+    const write = { method: 'post', url: '/class/_create' };
+
+    assert.strictEqual(getRetryDelay(httpError(write, 429, { 'retry-after': '2' }), 0, settings), 2000);
+    assert.strictEqual(getRetryDelay(httpError(write, 429), 1, settings), 200);
+    assert.strictEqual(getRetryDelay(httpError(write, 429, { 'retry-after': '3600' }), 0, settings), 60000);
+});
+
+test('makeResilient retries failed reads until they succeed', async (t) => {
+    t.mock.method(logger, 'warn', () => {});
+    let calls = 0;
+    const instance = createInstance(async (config) => {
+        calls++;
+        if (calls < 3) throw networkError(config);
+        return { ok: true };
+    });
+
+    const response = await instance.get('/x');
+
+    assert.deepStrictEqual(response.data, { ok: true });
+    assert.strictEqual(calls, 3);
+    assert.strictEqual(logger.warn.mock.callCount(), 2);
+});
+
+test('makeResilient gives up after the configured retries and does not repeat writes', async (t) => {
+    t.mock.method(logger, 'warn', () => {});
+    let reads = 0;
+    let writes = 0;
+    const instance = createInstance(async (config) => {
+        if (config.method === 'get') reads++;
+        else writes++;
+        throw networkError(config);
+    });
+
+    await assert.rejects(instance.get('/x'), { code: 'ECONNRESET' });
+    await assert.rejects(instance.post('/class/_create', {}), { code: 'ECONNRESET' });
+    assert.strictEqual(reads, 3);
+    assert.strictEqual(writes, 1);
+});
+
+test('makeResilient limits the requests in flight', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const instance = createInstance(async () => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        inFlight--;
+        return {};
+    });
+
+    await Promise.all(Array.from({ length: 6 }, () => instance.get('/x')));
+
+    assert.strictEqual(maxInFlight, 2);
+});
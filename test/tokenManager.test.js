@@ -0,0 +1,34 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Encrypted secret store in a temporary folder
+const secretsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sydle-tokens-'));
+process.env.SYDLE_SECRETS_FILE = path.join(secretsDir, 'secrets.enc');
+process.env.SYDLE_SECRET_PASSPHRASE = 'test';
+delete process.env.SYDLE_SECRET_STORE;
+after(() => fs.rmSync(secretsDir, { recursive: true, force: true }));
+
+const { saveToken, getTokenEntry, getToken, removeToken } = require('../src/utils/tokenManager');
+const { setSecret } = require('../src/utils/secretStore');
+
+test('getTokenEntry returns the token issued for the environment URL', () => {
+    saveToken('dev', { token: 'dev-token' }, 'https://dev.example.com/api/1');
+
+    assert.strictEqual(getTokenEntry('dev', 'https://dev.example.com/api/1/').token, 'dev-token');
+    assert.strictEqual(getToken('dev', 'https://dev.example.com/api/1'), 'dev-token');
+});
+
+test('getTokenEntry ignores a token issued for another URL', () => {
+    saveToken('dev', { token: 'old-token' }, 'https://old.example.com/api/1');
+    setSecret('envTokens', { dev: 'legacy-token' });
+
+    assert.strictEqual(getTokenEntry('dev', 'https://dev.example.com/api/1'), null);
+    assert.strictEqual(getToken('dev', 'https://dev.example.com/api/1'), undefined);
+
+    // Logging out still drops the token of the previous URL
+    assert.strictEqual(removeToken('dev', 'https://dev.example.com/api/1'), true);
+    assert.strictEqual(getTokenEntry('dev', 'https://old.example.com/api/1'), null);
+});
@@ -219,6 +219,11 @@ class SchemaField {
     /** @param {boolean} [val=true] @returns {SchemaField} */
     breakLine(val = true) { return this.exhibitionConfigs({ breakLine: val }); }
 
+    // ============ SYNC ============
+
+    /** @param {string} oldIdentifier - Identificador anterior do campo (renomeia em vez de remover e criar) @returns {SchemaField} */
+    renamedFrom(oldIdentifier) { this.fieldData.renamedFrom = oldIdentifier; return this; }
+
     toJSON() {
         return JSON.parse(JSON.stringify(this.fieldData));
     }